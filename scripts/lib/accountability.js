@@ -0,0 +1,122 @@
+/**
+ * accountability.js — Check that a review accounts for every prior issue
+ *
+ * The reviewer prompt lists the tracker's issues and asks for a status on each. A response's
+ * `prior_issues` is audited against the tracker before it is applied:
+ *
+ *   omitted             an open issue the response does not mention (its status would
+ *                       silently carry over)
+ *   unknown-id          an ID the tracker does not have
+ *   illegal-transition  a status the issue cannot move to: resolved or still-open for a
+ *                       resolved issue (it is left out while it stays fixed, and reopening it
+ *                       is `regressed`), regressed for a disputed one (the dispute is answered
+ *                       with resolved, not-applicable or still-open), or any report on a
+ *                       force-approved or waived issue (a human decision the reviewer cannot
+ *                       undo)
+ *
+ * With `init --accountability warn` (default) the gaps are recorded as `anomalies` in the round
+ * output and status, and illegal updates are not applied. With `strict`, parse-round rejects
+ * the response, which sends it back for a repair (see repair.js).
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readJson } = require('./util');
+const { UsageError, ValidationError } = require('./errors');
+const { isOpen, isMerged } = require('./workspace');
+
+const ACCOUNTABILITY_MODES = ['warn', 'strict'];
+const DEFAULT_ACCOUNTABILITY = 'warn';
+
+/** Statuses a reviewer may report for an issue, by the issue's current status. */
+const ALLOWED_TRANSITIONS = {
+  'open':           ['resolved', 'still-open', 'regressed', 'not-applicable'],
+  'still-open':     ['resolved', 'still-open', 'regressed', 'not-applicable'],
+  'regressed':      ['resolved', 'still-open', 'regressed', 'not-applicable'],
+  'resolved':       ['regressed', 'not-applicable'],
+  'not-applicable': ['resolved', 'regressed', 'not-applicable'],
+  'disputed':       ['resolved', 'still-open', 'not-applicable'],
+  'force-approved': [],
+  'waived':         [],
+};
+
+/** `--accountability` as a mode; throws on anything else. */
+function parseAccountabilityMode(value) {
+  const mode = value === undefined || value === null ? DEFAULT_ACCOUNTABILITY : String(value);
+  if (!ACCOUNTABILITY_MODES.includes(mode)) throw new UsageError(`--accountability must be one of ${ACCOUNTABILITY_MODES.join(', ')}`);
+  return mode;
+}
+
+function transitionProblem(from) {
+  if (from === 'force-approved') return 'it was force-approved at finalize; only a human can reopen it';
+  if (from === 'waived')         return 'it was waived as an accepted risk; only triage reopen can reopen it';
+  if (from === 'disputed')       return 'answer the dispute with resolved or not-applicable if the argument holds, still-open if the issue stands';
+  return 'a resolved issue is left out while it stays fixed, and reported as regressed if it is back';
+}
+
+/**
+ * Audit a response's prior_issues against the tracker (before the round is applied).
+ * Updates for merged issues are passed through; applyPriorUpdates warns about them.
+ *
+ * @param {object[]} issues       Tracker issues
+ * @param {object[]} priorIssues  The response's prior_issues
+ * @returns {{ accepted: object[], anomalies: Array<{ kind, id, from?, to?, message }> }}
+ *   `accepted` is priorIssues without unknown IDs and illegal transitions
+ */
+function auditPriorIssues(issues, priorIssues) {
+  const byId = new Map(issues.map(i => [i.id, i]));
+  const reported = new Set();
+  const accepted = [];
+  const anomalies = [];
+
+  for (const pu of priorIssues || []) {
+    reported.add(pu.id);
+    const iss = byId.get(pu.id);
+    if (!iss) {
+      anomalies.push({ kind: 'unknown-id', id: pu.id, to: pu.status, message: `prior_issues names ${pu.id}, which is not in the issue tracker` });
+      continue;
+    }
+    const allowed = ALLOWED_TRANSITIONS[iss.status];
+    if (!isMerged(iss) && allowed && !allowed.includes(pu.status)) {
+      anomalies.push({
+        kind: 'illegal-transition', id: pu.id, from: iss.status, to: pu.status,
+        message: `prior_issues marks ${pu.id} ${pu.status}, but it is ${iss.status}: ${transitionProblem(iss.status)}`,
+      });
+      continue;
+    }
+    accepted.push(pu);
+  }
+
+  for (const iss of issues.filter(i => isOpen(i) && !reported.has(i.id))) {
+    anomalies.push({
+      kind: 'omitted', id: iss.id, from: iss.status,
+      message: `prior_issues omits ${iss.id} (${iss.severity}, ${iss.status}); every open issue needs a status`,
+    });
+  }
+  return { accepted, anomalies };
+}
+
+/** Throw the anomalies as a ValidationError, so a strict workspace asks for a repair. */
+function rejectAnomalies(anomalies) {
+  throw new ValidationError(`Response failed accountability checks (${anomalies.length} problems)`, anomalies.map(a => a.message));
+}
+
+/** Anomalies recorded by the latest round, each with its reviewer in panel mode. */
+function latestAnomalies(wsDir, meta) {
+  const p = path.join(wsDir, `round-${meta.currentRound}-output.json`);
+  if (!meta.currentRound || !fs.existsSync(p)) return [];
+  return readJson(p).anomalies || [];
+}
+
+module.exports = {
+  ACCOUNTABILITY_MODES,
+  DEFAULT_ACCOUNTABILITY,
+  ALLOWED_TRANSITIONS,
+  parseAccountabilityMode,
+  auditPriorIssues,
+  rejectAnomalies,
+  latestAnomalies,
+};
@@ -0,0 +1,142 @@
+/**
+ * adapters.js — Model adapters: dispatch a next-step prompt to a model, return raw output
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { readJson } = require('./util');
+const { UsageError } = require('./errors');
+
+const FIXTURE_EXTENSIONS = ['.json', '.md', '.txt'];
+
+/** Glob-style model match: "*" matches any run of characters, everything else is literal. */
+function matchModel(pattern, modelId) {
+  const re = new RegExp('^' + pattern.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i');
+  return re.test(modelId);
+}
+
+/**
+ * Shell-command adapter: pipes the prompt to `command` on stdin and returns stdout.
+ * The step is exposed to the command as REVIEW_MODEL, REVIEW_ACTION and REVIEW_ROUND.
+ */
+function createShellAdapter(spec) {
+  if (!spec.command) throw new Error('shell adapter requires a "command"');
+  const timeoutMs = (spec.timeoutSeconds || 300) * 1000;
+  return {
+    type: 'shell',
+    describe: () => `shell: ${spec.command}`,
+    invoke(step) {
+      const res = spawnSync(spec.command, {
+        shell:     true,
+        input:     step.prompt,
+        encoding:  'utf8',
+        timeout:   timeoutMs,
+        maxBuffer: 32 * 1024 * 1024,
+        env: {
+          ...process.env,
+          REVIEW_MODEL:  step.model || '',
+          REVIEW_ACTION: step.action,
+          REVIEW_ROUND:  String(step.round !== undefined ? step.round : 0),
+        },
+      });
+      // A command that exits without reading stdin surfaces as EPIPE; its exit code is the real signal
+      if (typeof res.status === 'number' && res.status !== 0) {
+        throw new Error(`command exited with code ${res.status}: ${(res.stderr || '').trim().slice(0, 500)}`);
+      }
+      if (res.error) throw new Error(`command failed: ${res.error.message}`);
+      if (!res.stdout || !res.stdout.trim()) throw new Error('command produced no output');
+      return res.stdout;
+    },
+  };
+}
+
+/**
+ * Stub adapter: returns canned responses from a fixtures directory, for offline runs and tests.
+ * Lookup order for a review in round 2, attempt 1:
+ *   review-2.1.<ext>, review-2.<ext>, review.<ext>   (ext: .json, .md, .txt)
+ * Revisions are keyed by plan version (revise-2.md), criteria phases by action only
+ * (criteria-propose.2.json, then criteria-propose.json).
+ * Panel reviews try the panelist's position first: review-2-1.1.<ext>, review-2-1.<ext>, then as above.
+ */
+function createStubAdapter(spec) {
+  if (!spec.fixtures) throw new Error('stub adapter requires a "fixtures" directory');
+  if (!fs.existsSync(spec.fixtures)) throw new Error(`fixtures directory not found: ${spec.fixtures}`);
+  return {
+    type: 'stub',
+    describe: () => `stub: ${spec.fixtures}`,
+    invoke(step, attempt) {
+      const key = step.action === 'revise' ? step.planVersion
+        : step.action === 'review' ? step.round
+        : null;
+      const bases = [];
+      if (step.panel && step.reviewer) {
+        const k = `${key}-${step.panel.reviewers.indexOf(step.reviewer) + 1}`;
+        bases.push(`${step.action}-${k}.${attempt}`, `${step.action}-${k}`);
+      }
+      if (key !== null && key !== undefined) bases.push(`${step.action}-${key}.${attempt}`, `${step.action}-${key}`);
+      else bases.push(`${step.action}.${attempt}`);
+      bases.push(step.action);
+      for (const base of bases) {
+        for (const ext of FIXTURE_EXTENSIONS) {
+          const p = path.join(spec.fixtures, base + ext);
+          if (fs.existsSync(p)) return fs.readFileSync(p, 'utf8');
+        }
+      }
+      throw new Error(`no fixture for ${step.action} (tried ${bases.join(', ')})`);
+    },
+  };
+}
+
+const ADAPTER_FACTORIES = {
+  shell: createShellAdapter,
+  stub:  createStubAdapter,
+};
+
+/**
+ * Build the ordered adapter list for `run`. Entries from the config file are matched first;
+ * `fixtures` appends a catch-all stub adapter.
+ *
+ * @param {{ config?: string, fixtures?: string }} opts
+ * @returns {Array<{ models: string[], adapter: object }>}
+ */
+function loadAdapters(opts = {}) {
+  const adapters = [];
+  if (opts.config) {
+    const cfgPath = path.resolve(opts.config);
+    const cfg = readJson(cfgPath);
+    if (!Array.isArray(cfg.adapters)) throw new UsageError(`${cfgPath}: "adapters" must be an array`);
+    cfg.adapters.forEach((entry, i) => {
+      const factory = ADAPTER_FACTORIES[entry.type];
+      if (!factory) throw new UsageError(`${cfgPath}: adapters[${i}].type must be one of: ${Object.keys(ADAPTER_FACTORIES).join(', ')}`);
+      const spec = { ...entry };
+      if (spec.fixtures) spec.fixtures = path.resolve(path.dirname(cfgPath), spec.fixtures);
+      let adapter;
+      try { adapter = factory(spec); } catch (e) { throw new UsageError(`${cfgPath}: adapters[${i}]: ${e.message}`); }
+      adapters.push({ models: [].concat(entry.models || ['*']), adapter });
+    });
+  }
+  if (opts.fixtures) {
+    let adapter;
+    try { adapter = createStubAdapter({ fixtures: path.resolve(opts.fixtures) }); } catch (e) { throw new UsageError(e.message); }
+    adapters.push({ models: ['*'], adapter });
+  }
+  return adapters;
+}
+
+function selectAdapter(adapters, modelId) {
+  const hit = adapters.find(a => a.models.some(p => matchModel(p, modelId || '')));
+  return hit ? hit.adapter : null;
+}
+
+module.exports = {
+  ADAPTER_FACTORIES,
+  matchModel,
+  createShellAdapter,
+  createStubAdapter,
+  loadAdapters,
+  selectAdapter,
+};
@@ -0,0 +1,289 @@
+/**
+ * context.js — Codebase context: snapshot repo files into the workspace, rank them
+ * against the plan, and pack the most relevant ones into the reviewer prompt.
+ *
+ * Layout inside a workspace:
+ *   context/index.json        { root, files: [{ path, bytes, tokens, addedAt }] }
+ *   context/files/<path>      snapshot of each selected file
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readJson, writeJson, readFile, ensureDir } = require('./util');
+const { UsageError } = require('./errors');
+const { estimateTokens } = require('./tokens');
+const { requireWorkspace, getWorkspaceMeta, getLatestPlanVersion, appendChangelog } = require('./workspace');
+const { lockedCommand } = require('./lock');
+
+const SKIP_DIRS = new Set(['.git', 'node_modules', '.hg', '.svn']);
+const MAX_FILE_BYTES = 256 * 1024;
+const MAX_SCANNED_FILES = 20000;
+
+// ---------------------------------------------------------------------------
+// Globs — "**" spans directories, "*" and "?" stay within one, "{a,b}" alternates
+// ---------------------------------------------------------------------------
+function escapeRe(s) {
+  return s.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        if (glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; } else { re += '.*'; i++; }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{' && glob.indexOf('}', i) !== -1) {
+      const end = glob.indexOf('}', i);
+      re += '(?:' + glob.slice(i + 1, end).split(',').map(escapeRe).join('|') + ')';
+      i = end;
+    } else {
+      re += escapeRe(c);
+    }
+  }
+  return new RegExp('^' + re + '$');
+}
+
+/** Split a CLI list like "src/**\/*.{js,ts},docs/*.md" on commas outside braces. */
+function splitPatterns(list) {
+  if (Array.isArray(list)) return list;
+  const out = [];
+  let depth = 0;
+  let cur = '';
+  for (const c of String(list)) {
+    if (c === '{') depth++;
+    if (c === '}') depth = Math.max(0, depth - 1);
+    if (c === ',' && depth === 0) { out.push(cur); cur = ''; continue; }
+    cur += c;
+  }
+  out.push(cur);
+  return out.map(s => s.trim()).filter(Boolean);
+}
+
+/** Relative POSIX paths of every file under root (skipping VCS and dependency dirs). */
+function walkFiles(root) {
+  const files = [];
+  const stack = [''];
+  while (stack.length && files.length < MAX_SCANNED_FILES) {
+    const rel = stack.pop();
+    let entries;
+    try { entries = fs.readdirSync(path.join(root, rel), { withFileTypes: true }); } catch (_) { continue; }
+    for (const ent of entries) {
+      const childRel = rel ? `${rel}/${ent.name}` : ent.name;
+      if (ent.isDirectory()) {
+        if (!SKIP_DIRS.has(ent.name)) stack.push(childRel);
+      } else if (ent.isFile()) {
+        files.push(childRel);
+      }
+    }
+  }
+  return files.sort();
+}
+
+/** Files under root matching any pattern. A pattern naming a directory selects everything in it. */
+function expandGlobs(root, patterns) {
+  const matchers = splitPatterns(patterns).map(p => {
+    const clean = p.replace(/^\.\//, '').replace(/\/+$/, '');
+    const abs = path.join(root, clean);
+    const isDir = !/[*?{]/.test(clean) && fs.existsSync(abs) && fs.statSync(abs).isDirectory();
+    return globToRegExp(isDir ? `${clean}/**` : clean);
+  });
+  return walkFiles(root).filter(f => matchers.some(re => re.test(f)));
+}
+
+// ---------------------------------------------------------------------------
+// Snapshot
+// ---------------------------------------------------------------------------
+/** Files to snapshot; throws UsageError when the root is missing or nothing matches. */
+function matchContextFiles(root, patterns) {
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new UsageError(`Context root not found: ${root}`);
+  }
+  const matched = expandGlobs(root, patterns);
+  if (matched.length === 0) {
+    throw new UsageError(`No files under ${root} match ${splitPatterns(patterns).join(', ')}`);
+  }
+  return matched;
+}
+
+function contextDir(wsDir) {
+  return path.join(wsDir, 'context');
+}
+
+function getContextIndex(wsDir) {
+  const p = path.join(contextDir(wsDir), 'index.json');
+  return fs.existsSync(p) ? readJson(p) : { root: null, files: [] };
+}
+
+/**
+ * Copy files matching `patterns` (relative to `root`) into the workspace snapshot.
+ * Re-adding a path refreshes its snapshot. Binary and oversized files are skipped.
+ *
+ * @returns {{ added: string[], skipped: Array<{ path, reason }>, total: number }}
+ */
+function snapshotContextFiles(wsDir, root, patterns) {
+  const matched = matchContextFiles(root, patterns);
+
+  const index   = getContextIndex(wsDir);
+  const added   = [];
+  const skipped = [];
+  index.root = path.resolve(root);
+
+  for (const rel of matched) {
+    const src = path.join(root, rel);
+    const buf = fs.readFileSync(src);
+    if (buf.length > MAX_FILE_BYTES) { skipped.push({ path: rel, reason: `larger than ${MAX_FILE_BYTES} bytes` }); continue; }
+    if (buf.includes(0)) { skipped.push({ path: rel, reason: 'binary' }); continue; }
+
+    const dest = path.join(contextDir(wsDir), 'files', rel);
+    ensureDir(path.dirname(dest));
+    fs.writeFileSync(dest, buf);
+
+    const entry = { path: rel, bytes: buf.length, tokens: estimateTokens(buf.toString('utf8')), addedAt: new Date().toISOString() };
+    const existing = index.files.findIndex(f => f.path === rel);
+    if (existing === -1) index.files.push(entry); else index.files[existing] = entry;
+    added.push(rel);
+  }
+
+  ensureDir(contextDir(wsDir));
+  writeJson(path.join(contextDir(wsDir), 'index.json'), index);
+  return { added, skipped, total: index.files.length };
+}
+
+// ---------------------------------------------------------------------------
+// Ranking — headings and paths the plan mentions
+// ---------------------------------------------------------------------------
+const HEADING_STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'plan', 'step', 'steps', 'phase', 'overview', 'summary',
+  'implementation', 'details', 'notes', 'goals', 'goal', 'scope', 'risks', 'testing', 'tests',
+]);
+
+/** Terms from markdown headings and path-like tokens from the plan body. */
+function planSignals(planContent) {
+  const headingTerms = new Set();
+  for (const line of planContent.split('\n')) {
+    const m = line.match(/^#{1,6}\s+(.*)$/);
+    if (!m) continue;
+    for (const w of m[1].toLowerCase().split(/[^a-z0-9]+/)) {
+      if (w.length >= 3 && !HEADING_STOP_WORDS.has(w)) headingTerms.add(w);
+    }
+  }
+  const paths = new Set();
+  const pathRe = /[\w.-]*[\w-]+(?:\/[\w.-]+)+|[\w-]+\.[a-z][a-z0-9]{0,5}\b/gi;
+  for (const m of planContent.matchAll(pathRe)) {
+    paths.add(m[0].replace(/^\.\//, '').toLowerCase());
+  }
+  return { headingTerms, paths };
+}
+
+/**
+ * Score each snapshotted file against the plan. Returns entries sorted by score (desc),
+ * then path, each with the `reasons` that produced its score.
+ */
+function rankContextFiles(wsDir, planContent) {
+  const index = getContextIndex(wsDir);
+  const { headingTerms, paths } = planSignals(planContent);
+
+  const ranked = index.files.map(f => {
+    const lowerPath = f.path.toLowerCase();
+    const base      = path.posix.basename(lowerPath);
+    const reasons   = [];
+    let score = 0;
+
+    if ([...paths].some(p => lowerPath === p || (p.includes('/') && lowerPath.endsWith('/' + p)))) {
+      score += 10; reasons.push('path mentioned in plan');
+    } else if (paths.has(base)) {
+      score += 6; reasons.push('file name mentioned in plan');
+    }
+
+    const pathTerms = new Set(lowerPath.split(/[^a-z0-9]+/));
+    const inPath = [...headingTerms].filter(t => pathTerms.has(t));
+    if (inPath.length) { score += 3 * inPath.length; reasons.push(`heading terms in path: ${inPath.join(', ')}`); }
+
+    const content = readFile(path.join(contextDir(wsDir), 'files', f.path)).toLowerCase();
+    const inContent = [...headingTerms].filter(t => !pathTerms.has(t) && content.includes(t));
+    if (inContent.length) { score += inContent.length; reasons.push(`heading terms in content: ${inContent.join(', ')}`); }
+
+    return { ...f, score, reasons };
+  });
+
+  return ranked.sort((a, b) => (b.score - a.score) || a.path.localeCompare(b.path));
+}
+
+/**
+ * Pack ranked files into `budgetTokens`, most relevant first. A file that does not fit is
+ * skipped (a smaller, less relevant one may still fit); skipped files are listed by name.
+ *
+ * @returns {{ text: string, included: string[], omitted: string[] }}
+ */
+function packContextFiles(wsDir, ranked, budgetTokens) {
+  const included = [];
+  const omitted  = [];
+  const blocks   = [];
+  let used = 0;
+
+  for (const f of ranked) {
+    const body  = readFile(path.join(contextDir(wsDir), 'files', f.path));
+    const ext   = path.extname(f.path).slice(1);
+    const why   = f.reasons.length ? f.reasons.join('; ') : 'no direct plan reference';
+    const block = `### ${f.path} (relevance ${f.score}: ${why})\n\n\`\`\`${ext}\n${body.replace(/\n$/, '')}\n\`\`\`\n`;
+    const cost  = estimateTokens(block) + 1;
+    if (used + cost > budgetTokens) { omitted.push(f.path); continue; }
+    used += cost;
+    blocks.push(block);
+    included.push(f.path);
+  }
+
+  let text = blocks.join('\n');
+  if (omitted.length) {
+    const note = `\n_Omitted for token budget: ${omitted.join(', ')}_\n`;
+    if (used + estimateTokens(note) <= budgetTokens) text += note;
+  }
+  return { text, included, omitted };
+}
+
+// ---------------------------------------------------------------------------
+// COMMAND: add-context
+// ---------------------------------------------------------------------------
+/**
+ * Snapshot more repo files into a workspace's codebase context.
+ *
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {string|string[]} opts.files  Globs relative to `root` (comma-separated string or array)
+ * @param {string} [opts.root]          Repo root (default: the root recorded at init, else cwd)
+ */
+function addContext(opts = {}) {
+  const wsDir = requireWorkspace(opts.workspace);
+  if (!opts.files) throw new UsageError('--files <globs> is required');
+  getWorkspaceMeta(wsDir);
+
+  const root = opts.root || getContextIndex(wsDir).root || process.cwd();
+  const res  = snapshotContextFiles(wsDir, root, opts.files);
+  appendChangelog(wsDir, `\n## Context — ${new Date().toISOString()}\nAdded ${res.added.length} file(s) from ${root}${res.skipped.length ? ` (skipped ${res.skipped.length})` : ''}\n`);
+
+  // Preview how the current plan ranks the snapshot
+  const plan = readFile(path.join(wsDir, getLatestPlanVersion(wsDir)));
+  const ranking = rankContextFiles(wsDir, plan).map(f => ({ path: f.path, score: f.score, tokens: f.tokens }));
+  return { ...res, root: path.resolve(root), ranking };
+}
+
+module.exports = {
+  globToRegExp,
+  splitPatterns,
+  expandGlobs,
+  matchContextFiles,
+  getContextIndex,
+  snapshotContextFiles,
+  rankContextFiles,
+  packContextFiles,
+  addContext: lockedCommand('add-context', addContext),
+};
@@ -0,0 +1,149 @@
+/**
+ * convergence.js — Is the review loop getting anywhere?
+ *
+ * Two reviewers can ping-pong instead of converging. Over the last `meta.stallWindow` rounds
+ * (`init --stall-window`, default 3; 0 turns detection off) three signals are checked:
+ *
+ *   oscillating-issues   an issue came back after being resolved at least twice, most
+ *                        recently within the window
+ *   falling-rubric       the rubric average dropped every round of the window
+ *   growing-open-issues  the number of open issues rose every round of the window
+ *
+ * Any of them makes next-step return `stalled` with the diagnosis instead of another
+ * revision, so the orchestrator can escalate before the round budget is gone.
+ * `next-step --ignore-stall` goes on with the revision; the next completed round is checked
+ * afresh.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readJson } = require('./util');
+const { RESOLVED_STATUSES, isOpen, getIssueSnapshot, appendChangelog } = require('./workspace');
+const { issueHistory } = require('./issues');
+
+const DEFAULT_STALL_WINDOW = 3;
+const OSCILLATION_RETURNS = 2;
+
+function stallWindow(meta) {
+  return meta.stallWindow === undefined ? DEFAULT_STALL_WINDOW : meta.stallWindow;
+}
+
+/**
+ * Per-round figures the signals are computed from.
+ * @returns {Array<{ round, rubricAverage: number|null, openIssues: number|null, newIssues: number }>}
+ *   openIssues is null when the round's issue snapshot is missing
+ */
+function roundMetrics(wsDir, meta) {
+  const rounds = [];
+  for (let r = 1; r <= meta.currentRound; r++) {
+    const outPath = path.join(wsDir, `round-${r}-output.json`);
+    const out = fs.existsSync(outPath) ? readJson(outPath) : {};
+    const snap = getIssueSnapshot(wsDir, r);
+    rounds.push({
+      round:         r,
+      rubricAverage: out.rubric && typeof out.rubric._average === 'number' ? out.rubric._average : null,
+      openIssues:    snap ? snap.filter(isOpen).length : null,
+      newIssues:     (out.newIssues || []).length,
+    });
+  }
+  return rounds;
+}
+
+/** Rounds in which a reviewer reported a resolved issue open again (not human reopens). */
+function returnRounds(history) {
+  return history
+    .filter(h => RESOLVED_STATUSES.includes(h.from) && isOpen(h) && !h.source)
+    .map(h => h.round);
+}
+
+/** True when every value is a number and each is below (`dir` -1) or above (+1) the one before. */
+function monotonic(values, dir) {
+  return values.every(v => typeof v === 'number')
+    && values.every((v, i) => i === 0 || Math.sign(v - values[i - 1]) === dir);
+}
+
+/**
+ * Convergence signals for the workspace as it stands.
+ *
+ * @param {string} wsDir
+ * @param {object} meta
+ * @param {object[]} issues  Tracker issues
+ * @returns {{ stalled: boolean, window: number, signals: Array<{ kind, message, ... }>, rounds: object[] }}
+ */
+function analyzeConvergence(wsDir, meta, issues) {
+  const window  = stallWindow(meta);
+  const rounds  = roundMetrics(wsDir, meta);
+  const signals = [];
+  if (!window || rounds.length < window) return { stalled: false, window, signals, rounds };
+
+  const recent = rounds.slice(-window);
+  const since  = recent[0].round;
+
+  const oscillating = issues
+    .map(i => ({ id: i.id, severity: i.severity, status: i.status, returns: returnRounds(issueHistory(wsDir, meta, i)) }))
+    .filter(i => i.returns.length >= OSCILLATION_RETURNS && i.returns[i.returns.length - 1] >= since);
+  if (oscillating.length) {
+    signals.push({
+      kind:    'oscillating-issues',
+      issues:  oscillating,
+      message: `${oscillating.map(i => `${i.id} (back in rounds ${i.returns.join(', ')})`).join(', ')} keep${oscillating.length === 1 ? 's' : ''} coming back after being resolved`,
+    });
+  }
+
+  const averages = recent.map(r => r.rubricAverage);
+  if (monotonic(averages, -1)) {
+    signals.push({
+      kind:     'falling-rubric',
+      rounds:   recent.map(r => r.round),
+      averages,
+      message:  `rubric average fell every round from round ${since}: ${averages.join(' → ')}`,
+    });
+  }
+
+  const counts = recent.map(r => r.openIssues);
+  if (monotonic(counts, 1)) {
+    signals.push({
+      kind:    'growing-open-issues',
+      rounds:  recent.map(r => r.round),
+      counts,
+      message: `open issues rose every round from round ${since}: ${counts.join(' → ')}`,
+    });
+  }
+
+  return { stalled: signals.length > 0, window, signals, rounds };
+}
+
+/**
+ * The `stalled` step for the current round, or null when the loop is converging or the stall
+ * at this round was ignored.
+ */
+function stalledStep(wsDir, meta, issues) {
+  if (meta.stallIgnored && meta.stallIgnored.round === meta.currentRound) return null;
+  const diagnosis = analyzeConvergence(wsDir, meta, issues);
+  if (!diagnosis.stalled) return null;
+  return {
+    action:    'stalled',
+    round:     meta.currentRound,
+    reason:    `review is not converging after round ${meta.currentRound}: ${diagnosis.signals.map(s => s.message).join('; ')}`,
+    diagnosis,
+    maxRounds: meta.maxRounds,
+  };
+}
+
+/** Go on past a stall at the current round. The caller saves meta. */
+function ignoreStall(wsDir, meta, reason) {
+  meta.stallIgnored = { round: meta.currentRound, reason: reason || null, at: new Date().toISOString() };
+  appendChangelog(wsDir, `Stall after round ${meta.currentRound} ignored${reason ? ` — "${reason}"` : ''}; revising\n`);
+}
+
+module.exports = {
+  DEFAULT_STALL_WINDOW,
+  stallWindow,
+  roundMetrics,
+  analyzeConvergence,
+  stalledStep,
+  ignoreStall,
+};
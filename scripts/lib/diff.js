@@ -0,0 +1,138 @@
+/**
+ * diff.js — Section-aware diff between two plan versions, linked to open issues
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readFile, toInt } = require('./util');
+const { UsageError } = require('./errors');
+const { extractTerms } = require('./similarity');
+const { parseSections, diffLines, formatDiff } = require('./markdown');
+const { isMerged, requireWorkspace, getWorkspaceMeta, getIssues, listPlanVersions } = require('./workspace');
+
+function versionNumber(file) {
+  return parseInt(file.match(/(\d+)/)[1], 10);
+}
+
+function loadVersion(wsDir, version) {
+  const p = path.join(wsDir, `plan-v${version}.md`);
+  if (!fs.existsSync(p)) throw new UsageError(`Plan version not found: plan-v${version}.md`);
+  return readFile(p);
+}
+
+function termSet(text) {
+  return new Set(extractTerms(text).map(t => t.term));
+}
+
+/**
+ * Sections an issue's `location` points at: the ones whose heading path covers the most
+ * location terms (at least half of them), ties going to sections whose own title matches.
+ * "Auth > Rate limiting" links to "Plan > Auth > Rate limiting"; "Auth" links to
+ * "Plan > Auth" rather than to each of its subsections.
+ */
+function sectionsForLocation(location, sections) {
+  const loc = termSet(location);
+  if (loc.size === 0) return [];
+  const covered = terms => [...loc].filter(t => terms.has(t)).length / loc.size;
+
+  let best = null;
+  let matches = [];
+  for (const s of sections) {
+    const score = [covered(termSet(s.path)), covered(termSet(s.title))];
+    if (score[0] < 0.5) continue;
+    const cmp = best ? (score[0] - best[0]) || (score[1] - best[1]) : 1;
+    if (cmp > 0) { best = score; matches = [s.path]; }
+    else if (cmp === 0) matches.push(s.path);
+  }
+  return matches;
+}
+
+/**
+ * Compare plan-v`from`.md with plan-v`to`.md section by section.
+ *
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {number} [opts.from]  Default: the version before `to`
+ * @param {number} [opts.to]    Default: the latest version
+ * @returns {{ from, to, summary, sections: object[], issues: object[] }}
+ *   `sections` lists added/removed/modified sections with their line diff and linked issue
+ *   IDs. `issues` lists the issues the writer of plan-v`to` was asked to fix, with the
+ *   sections their location points at and whether any of them changed (`touched`).
+ */
+function diffPlans(opts = {}) {
+  const wsDir = requireWorkspace(opts.workspace);
+  getWorkspaceMeta(wsDir);
+
+  const versions = listPlanVersions(wsDir).map(versionNumber);
+  const to   = toInt(opts.to, versions[versions.length - 1]);
+  const from = toInt(opts.from, to - 1);
+  if (isNaN(from) || isNaN(to)) throw new UsageError('--from and --to must be plan version numbers');
+  if (from === to) throw new UsageError('--from and --to must differ');
+
+  const before = parseSections(loadVersion(wsDir, from));
+  const after  = parseSections(loadVersion(wsDir, to));
+  const beforeByPath = new Map(before.map(s => [s.path, s]));
+  const afterByPath  = new Map(after.map(s => [s.path, s]));
+
+  const sections = [];
+  for (const s of after) {
+    const old = beforeByPath.get(s.path);
+    if (!old) {
+      sections.push({ path: s.path, change: 'added', linesAdded: s.lines.length, linesRemoved: 0, diff: s.lines.map(l => `+ ${l}`) });
+      continue;
+    }
+    const ops = diffLines(old.lines, s.lines);
+    const added   = ops.filter(o => o.op === '+').length;
+    const removed = ops.filter(o => o.op === '-').length;
+    if (added || removed) {
+      sections.push({ path: s.path, change: 'modified', linesAdded: added, linesRemoved: removed, diff: formatDiff(ops) });
+    }
+  }
+  for (const s of before) {
+    if (!afterByPath.has(s.path)) {
+      sections.push({ path: s.path, change: 'removed', linesAdded: 0, linesRemoved: s.lines.length, diff: s.lines.map(l => `- ${l}`) });
+    }
+  }
+
+  // ---- Link issues to the sections their location points at ----
+  // Round N reviews plan-vN, so the writer of plan-v`to` saw every issue found before round
+  // `to` that was still unresolved then (later rounds may since have resolved it).
+  const changedPaths = new Set(sections.map(s => s.path));
+  const allSections  = [...after, ...before.filter(s => !afterByPath.has(s.path))];
+  const pending = iss => !isMerged(iss) && iss.round_found < to
+    && (iss.round_resolved === null || iss.round_resolved === undefined || iss.round_resolved >= to);
+  const issues = getIssues(wsDir).filter(pending).map(iss => {
+    const linked = sectionsForLocation(iss.location, allSections);
+    return {
+      id:       iss.id,
+      severity: iss.severity,
+      location: iss.location,
+      status:   iss.status,
+      sections: linked,
+      touched:  linked.some(p => changedPaths.has(p)),
+    };
+  });
+  for (const s of sections) {
+    s.issues = issues.filter(i => i.sections.includes(s.path)).map(i => i.id);
+  }
+
+  return {
+    from,
+    to,
+    summary: {
+      added:     sections.filter(s => s.change === 'added').length,
+      removed:   sections.filter(s => s.change === 'removed').length,
+      modified:  sections.filter(s => s.change === 'modified').length,
+      unchanged: after.filter(s => beforeByPath.has(s.path) && !changedPaths.has(s.path)).length,
+      untouchedIssues: issues.filter(i => i.sections.length && !i.touched).map(i => i.id),
+      unlinkedIssues:  issues.filter(i => i.sections.length === 0).map(i => i.id),
+    },
+    sections,
+    issues,
+  };
+}
+
+module.exports = { diffPlans, sectionsForLocation };
@@ -0,0 +1,42 @@
+/**
+ * errors.js — Typed errors thrown by the review API
+ *
+ * Every error carries a machine-readable `code` and the `exitCode` the CLI
+ * should use when it surfaces the error (2=error unless stated otherwise).
+ */
+
+'use strict';
+
+class ReviewError extends Error {
+  constructor(message, { code = 'E_REVIEW', exitCode = 2, details = null } = {}) {
+    super(message);
+    this.name     = this.constructor.name;
+    this.code     = code;
+    this.exitCode = exitCode;
+    this.details  = details;
+  }
+}
+
+/** Missing or invalid option. */
+class UsageError extends ReviewError {
+  constructor(message, opts = {}) {
+    super(message, { code: 'E_USAGE', ...opts });
+  }
+}
+
+/** Workspace missing, unreadable, or in a state that cannot serve the request. */
+class WorkspaceError extends ReviewError {
+  constructor(message, opts = {}) {
+    super(message, { code: 'E_WORKSPACE', ...opts });
+  }
+}
+
+/** Model output that could not be parsed or failed schema validation. `errors` lists each problem. */
+class ValidationError extends ReviewError {
+  constructor(message, errors = [], opts = {}) {
+    super(message, { code: 'E_VALIDATION', ...opts });
+    this.errors = errors;
+  }
+}
+
+module.exports = { ReviewError, UsageError, WorkspaceError, ValidationError };
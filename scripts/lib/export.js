@@ -0,0 +1,232 @@
+/**
+ * export.js — issues.json as SARIF or JUnit XML, for CI dashboards
+ *
+ * Every tracked issue is exported; merged duplicates are left out (they live on in the issue
+ * they were merged into). Rules are one per issue category (the review profile's categories,
+ * plus `uncategorized`), and an issue's plan `location` becomes its logical location.
+ *
+ *   SARIF   open issues are results at a level mapped from severity; resolved ones are
+ *           `kind: "pass"`; force-approved ones carry an accepted suppression with the
+ *           finalize --override-reason as justification
+ *   JUnit   one test case per issue, grouped by category; open issues that block approval
+ *           under the workspace's policy fail, force-approved ones are skipped
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readJson } = require('./util');
+const { UsageError } = require('./errors');
+const { workspaceProfile } = require('./profiles');
+const { isOpen, isMerged, requireWorkspace, getWorkspaceMeta, getIssues } = require('./workspace');
+const { resolvePolicy, issueBlockingRule } = require('./policy');
+
+const EXPORT_FORMATS = ['sarif', 'junit'];
+
+const TOOL_NAME    = 'cross-model-review';
+const RULE_PREFIX  = 'review';
+const UNCATEGORIZED = 'uncategorized';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/** SARIF result level per issue severity. */
+const SARIF_LEVELS = { CRITICAL: 'error', HIGH: 'error', MEDIUM: 'warning', LOW: 'note' };
+
+function toolVersion() {
+  return readJson(path.join(__dirname, '..', '..', 'package.json')).version;
+}
+
+function categoryOf(issue) {
+  return issue.category || UNCATEGORIZED;
+}
+
+function ruleId(category) {
+  return `${RULE_PREFIX}/${category}`;
+}
+
+/** The force-approve record written by finalize, if the workspace was force-approved. */
+function forceApproveLog(wsDir) {
+  const p = path.join(wsDir, 'summary.json');
+  return fs.existsSync(p) ? readJson(p).force_approve_log || null : null;
+}
+
+/**
+ * How an issue accepted as a risk (force-approved at finalize, or waived in triage) was
+ * accepted: { verb, justification, actor?, timestamp? }, or null for any other issue.
+ */
+function acceptance(iss, forceLog) {
+  if (iss.status === 'force-approved') {
+    return forceLog
+      ? { verb: 'Force-approved', justification: forceLog.reason, actor: forceLog.actor, timestamp: forceLog.timestamp }
+      : { verb: 'Force-approved', justification: 'Force-approved at finalize' };
+  }
+  if (iss.status === 'waived') {
+    return iss.waiver
+      ? { verb: 'Waived', justification: iss.waiver.reason, actor: iss.waiver.actor, timestamp: iss.waiver.at }
+      : { verb: 'Waived', justification: 'Waived in triage' };
+  }
+  return null;
+}
+
+/** Categories that have a rule: the profile's, in profile order, then any others issues use. */
+function ruleCategories(profile, issues) {
+  const used = issues.map(categoryOf);
+  return [...new Set([...profile.categories.filter(c => used.includes(c)), ...used])];
+}
+
+function toSarif(ctx) {
+  const { meta, profile, issues, forceLog } = ctx;
+  const labels = Object.fromEntries(profile.dimensions.map(d => [d.id, d]));
+
+  const categories = ruleCategories(profile, issues);
+  const rules = categories.map(c => ({
+    id:   ruleId(c),
+    name: c,
+    shortDescription: { text: labels[c] ? labels[c].label : c === UNCATEGORIZED ? 'Issues without a category' : c },
+    ...(labels[c] && labels[c].description ? { fullDescription: { text: labels[c].description } } : {}),
+  }));
+
+  const results = issues.map(iss => {
+    const category = categoryOf(iss);
+    const accepted = acceptance(iss, forceLog);
+    const result = {
+      ruleId:    ruleId(category),
+      ruleIndex: categories.indexOf(category),
+      kind:      isOpen(iss) || accepted ? 'fail' : 'pass',
+      level:     isOpen(iss) || accepted ? SARIF_LEVELS[iss.severity] || 'warning' : 'none',
+      message:   { text: iss.problem },
+      locations: [{ logicalLocations: [{ fullyQualifiedName: iss.location, kind: 'member' }] }],
+      partialFingerprints: { issueId: iss.id },
+      properties: {
+        issueId:       iss.id,
+        severity:      iss.severity,
+        status:        iss.status,
+        roundFound:    iss.round_found,
+        roundResolved: iss.round_resolved,
+        blocking:      issueBlockingRule(iss, ctx.policy) !== null,
+        fix:           iss.fix,
+        ...(iss.raised_by ? { raisedBy: iss.raised_by } : {}),
+      },
+    };
+    if (accepted) {
+      result.suppressions = [{
+        kind:          'external',
+        status:        'accepted',
+        justification: accepted.justification,
+        ...(accepted.actor ? { properties: { actor: accepted.actor, timestamp: accepted.timestamp } } : {}),
+      }];
+    }
+    return result;
+  });
+
+  return JSON.stringify({
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: TOOL_NAME, version: toolVersion(), rules } },
+      results,
+      properties: {
+        workspace:     meta.wsDir,
+        rounds:        meta.currentRound,
+        verdict:       meta.verdict,
+        profile:       profile.name,
+        reviewerModel: meta.reviewerModel,
+        plannerModel:  meta.plannerModel,
+      },
+    }],
+  }, null, 2) + '\n';
+}
+
+function xmlEscape(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters other than tab and newlines are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function attrs(obj) {
+  return Object.entries(obj).map(([k, v]) => `${k}="${xmlEscape(v)}"`).join(' ');
+}
+
+function toJunit(ctx) {
+  const { meta, profile, issues, forceLog, policy } = ctx;
+  const totals = { tests: 0, failures: 0, skipped: 0 };
+  const suites = [];
+
+  for (const category of ruleCategories(profile, issues)) {
+    const cases = [];
+    const counts = { tests: 0, failures: 0, skipped: 0 };
+    for (const iss of issues.filter(i => categoryOf(i) === category)) {
+      counts.tests++;
+      const head = `    <testcase ${attrs({ classname: ruleId(category), name: `${iss.id} [${iss.severity}] ${iss.location}` })}`;
+      const details = `${iss.problem}\n\nFix: ${iss.fix}\nStatus: ${iss.status} (found in round ${iss.round_found})`;
+      const accepted = acceptance(iss, forceLog);
+      if (accepted) {
+        counts.skipped++;
+        const why = accepted.actor ? `${accepted.verb} by ${accepted.actor}: ${accepted.justification}` : accepted.justification;
+        cases.push(`${head}>\n      <skipped ${attrs({ message: why })}/>\n    </testcase>`);
+      } else if (issueBlockingRule(iss, policy) !== null) {
+        counts.failures++;
+        cases.push(`${head}>\n      <failure ${attrs({ type: iss.severity, message: iss.problem })}>${xmlEscape(details)}</failure>\n    </testcase>`);
+      } else if (isOpen(iss)) {
+        cases.push(`${head}>\n      <system-out>${xmlEscape(`Open, does not block approval.\n${details}`)}</system-out>\n    </testcase>`);
+      } else {
+        cases.push(`${head}/>`);
+      }
+    }
+    for (const k of Object.keys(totals)) totals[k] += counts[k];
+    suites.push(`  <testsuite ${attrs({ name: ruleId(category), ...counts, errors: 0 })}>\n${cases.join('\n')}\n  </testsuite>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${attrs({ name: `${TOOL_NAME} (${profile.name} profile, round ${meta.currentRound}, ${meta.verdict})`, ...totals, errors: 0 })}>`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Render the workspace's issues in a CI report format.
+ *
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {string} opts.format   "sarif" or "junit"
+ * @param {string} [opts.out]    Also write the report to this file
+ * @returns {{ format, content: string, out: string|null, issues: number, open: number, blocking: number, suppressed: number }}
+ */
+function exportIssues(opts = {}) {
+  const wsDir = requireWorkspace(opts.workspace);
+  const format = String(opts.format || '').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new UsageError(`--format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const meta   = getWorkspaceMeta(wsDir);
+  const policy = resolvePolicy(meta);
+  const issues = getIssues(wsDir).filter(i => !isMerged(i));
+  const ctx    = { meta, policy, issues, profile: workspaceProfile(meta), forceLog: forceApproveLog(wsDir) };
+
+  const content = format === 'sarif' ? toSarif(ctx) : toJunit(ctx);
+  const out = opts.out ? path.resolve(opts.out) : null;
+  if (out) fs.writeFileSync(out, content, 'utf8');
+
+  return {
+    format,
+    content,
+    out,
+    issues:     issues.length,
+    open:       issues.filter(isOpen).length,
+    blocking:   issues.filter(i => issueBlockingRule(i, policy) !== null).length,
+    suppressed: issues.filter(i => acceptance(i, null)).length,
+  };
+}
+
+module.exports = { exportIssues, EXPORT_FORMATS };
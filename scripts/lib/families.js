@@ -0,0 +1,260 @@
+/**
+ * families.js — Model family detection, used to prevent same-provider review
+ *
+ * Families come from a registry of rules rather than keyword search, so "command" or "meta"
+ * inside an unrelated model ID no longer misclassifies it. For a model ID (lowercased):
+ *
+ *   1. alias      `aliases` maps the ID to another ID, which is matched instead
+ *   2. gateway    the ID starts with a `gateways` entry ("openrouter/", "bedrock/"): strip it
+ *                 and resolve the rest, unless a rule matches the full ID
+ *   3. exact      the ID is listed under a family's `exact`
+ *   4. prefix     the ID starts with one of a family's `prefixes`; the longest match wins
+ *   5. model-segment  exact and prefix rules on the part after the first "/", so a model
+ *                 served by a host that is not a gateway keeps its family
+ *                 ("github-copilot/gpt-4o" → openai)
+ *   6. path-segment  otherwise the first path segment ("acme/model-x" → acme)
+ *
+ * Rules only ever look at the start of the ID or of its model segment, so "acme/x-command"
+ * is acme, not cohere.
+ *
+ * `sameFamily` groups families that count as one provider (e.g. openai and azure-openai);
+ * detection returns the first family of the group.
+ *
+ * A project extends the built-in registry with .cross-model-review/families.json (or
+ * `init --families <file>`):
+ *
+ *   {
+ *     "families":   { "acme": { "exact": ["acme-large"], "prefixes": ["acme/", "acme-"] } },
+ *     "aliases":    { "fast": "anthropic/claude-haiku-4-5" },
+ *     "gateways":   ["gateway.internal/"],
+ *     "sameFamily": [["openai", "azure-openai"]],
+ *     "unknownFamily": "fail",
+ *     "builtin":    true
+ *   }
+ *
+ * `unknownFamily` ("warn", the default, or "fail") decides whether init proceeds when it
+ * cannot tell a model's family; `builtin: false` drops the built-in families and gateways.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readJson } = require('./util');
+const { UsageError } = require('./errors');
+
+const UNKNOWN = 'unknown';
+const BUILTIN_SOURCE = 'built-in';
+const PROJECT_REGISTRY = path.join('.cross-model-review', 'families.json');
+const UNKNOWN_FAMILY_POLICIES = ['warn', 'fail'];
+const REGISTRY_FIELDS = ['families', 'aliases', 'gateways', 'sameFamily', 'unknownFamily', 'builtin'];
+
+const BUILTIN_REGISTRY = {
+  families: {
+    anthropic: { prefixes: ['anthropic/', 'anthropic-', 'claude', 'sonnet', 'haiku', 'opus'] },
+    openai:    { exact: ['o1', 'o3', 'o4'], prefixes: ['openai/', 'openai-', 'gpt', 'chatgpt', 'o1-', 'o3-', 'o4-', 'codex', 'davinci'] },
+    google:    { prefixes: ['google/', 'gemini', 'bard', 'palm-', 'palm2'] },
+    mistral:   { prefixes: ['mistral', 'mixtral', 'codestral', 'ministral'] },
+    meta:      { prefixes: ['meta/', 'meta-llama/', 'llama'] },
+    cohere:    { exact: ['command'], prefixes: ['cohere/', 'command-'] },
+  },
+  gateways: ['openrouter/', 'bedrock/', 'vertex_ai/', 'azure/', 'together/'],
+};
+
+/** Rules per family of the built-in registry (kept for callers that list the known providers). */
+const PROVIDER_FAMILIES = BUILTIN_REGISTRY.families;
+
+function stringList(value, where) {
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || !v.trim())) {
+    throw new UsageError(`${where} must be an array of non-empty strings`);
+  }
+  return value.map(v => v.trim().toLowerCase());
+}
+
+/** Fold `def` (built-in or a registry file) into `registry`, tagging every rule with `source`. */
+function addRules(registry, def, source) {
+  const where = source === BUILTIN_SOURCE ? 'Built-in family registry' : `Family registry ${source}`;
+  if (!def || typeof def !== 'object' || Array.isArray(def)) throw new UsageError(`${where} must be a JSON object`);
+  const unknown = Object.keys(def).filter(k => !REGISTRY_FIELDS.includes(k));
+  if (unknown.length) throw new UsageError(`${where}: unknown field ${unknown.join(', ')} (expected ${REGISTRY_FIELDS.join(', ')})`);
+
+  for (const [family, rules] of Object.entries(def.families || {})) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) throw new UsageError(`${where}: families.${family} must be an object with exact and/or prefixes`);
+    const name = family.toLowerCase();
+    for (const value of rules.exact ? stringList(rules.exact, `${where}: families.${family}.exact`) : []) {
+      registry.rules.push({ family: name, kind: 'exact', value, source });
+    }
+    for (const value of rules.prefixes ? stringList(rules.prefixes, `${where}: families.${family}.prefixes`) : []) {
+      registry.rules.push({ family: name, kind: 'prefix', value, source });
+    }
+  }
+  for (const [alias, target] of Object.entries(def.aliases || {})) {
+    if (typeof target !== 'string' || !target.trim()) throw new UsageError(`${where}: aliases.${alias} must be a model ID`);
+    registry.aliases[alias.toLowerCase()] = { target: target.trim().toLowerCase(), source };
+  }
+  for (const value of def.gateways ? stringList(def.gateways, `${where}: gateways`) : []) {
+    registry.gateways.push({ value, source });
+  }
+  for (const group of def.sameFamily || []) {
+    const families = stringList(group, `${where}: sameFamily entries`);
+    if (families.length < 2) throw new UsageError(`${where}: each sameFamily entry must list at least two families`);
+    registry.sameFamily.push({ families, source });
+  }
+  if (def.unknownFamily !== undefined) {
+    if (!UNKNOWN_FAMILY_POLICIES.includes(def.unknownFamily)) throw new UsageError(`${where}: unknownFamily must be "warn" or "fail"`);
+    registry.unknownFamily = def.unknownFamily;
+  }
+}
+
+function emptyRegistry() {
+  return { sources: [], rules: [], aliases: {}, gateways: [], sameFamily: [], unknownFamily: 'warn' };
+}
+
+let builtinRegistry = null;
+
+/** The built-in registry on its own. */
+function builtinFamilyRegistry() {
+  if (!builtinRegistry) {
+    builtinRegistry = emptyRegistry();
+    addRules(builtinRegistry, BUILTIN_REGISTRY, BUILTIN_SOURCE);
+    builtinRegistry.sources.push(BUILTIN_SOURCE);
+  }
+  return builtinRegistry;
+}
+
+/**
+ * The registry init uses: built-in rules plus `file`, or the project's
+ * .cross-model-review/families.json under `cwd` when no file is given.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.file]  Registry JSON file (must exist)
+ * @param {string} [opts.cwd]   Project root searched for .cross-model-review/families.json (default: cwd)
+ * @throws {UsageError} for a missing or invalid file
+ */
+function loadFamilyRegistry(opts = {}) {
+  let file = opts.file;
+  if (file) {
+    if (!fs.existsSync(file)) throw new UsageError(`Family registry not found: ${file}`);
+  } else {
+    const projectFile = path.join(opts.cwd || process.cwd(), PROJECT_REGISTRY);
+    if (!fs.existsSync(projectFile)) return builtinFamilyRegistry();
+    file = projectFile;
+  }
+
+  let def;
+  try {
+    def = readJson(file);
+  } catch (e) {
+    throw new UsageError(`Family registry is not valid JSON: ${file} (${e.message})`);
+  }
+  const registry = emptyRegistry();
+  if (def && def.builtin !== false) {
+    addRules(registry, BUILTIN_REGISTRY, BUILTIN_SOURCE);
+    registry.sources.push(BUILTIN_SOURCE);
+  }
+  addRules(registry, def, path.resolve(file));
+  registry.sources.push(path.resolve(file));
+  return registry;
+}
+
+/** Exact or longest-prefix rule for `id`, or null. */
+function matchRules(registry, id) {
+  const exact = registry.rules.find(r => r.kind === 'exact' && r.value === id);
+  if (exact) return exact;
+  let best = null;
+  for (const r of registry.rules) {
+    if (r.kind === 'prefix' && id.startsWith(r.value) && (!best || r.value.length > best.value.length)) best = r;
+  }
+  return best;
+}
+
+function canonicalFamily(registry, family) {
+  const group = registry.sameFamily.find(g => g.families.includes(family));
+  return group ? { family: group.families[0], group } : { family, group: null };
+}
+
+/**
+ * Resolve a model ID to its provider family and the rule that decided it.
+ *
+ * @returns {{ model, family, rule: 'alias'|'exact'|'prefix'|'gateway'|'model-segment'|'path-segment'|'unknown',
+ *             match: string|null, source: string|null, detected?: string, sameFamilySource?: string }}
+ *   `match` is the rule value that matched (for aliases, gateways and model segments, the
+ *   alias, gateway or host followed by the inner match). `detected` is set when a sameFamily group renamed the family.
+ */
+function resolveFamily(modelId, registry = builtinFamilyRegistry()) {
+  const model = String(modelId || '');
+  let id = model.trim().toLowerCase();
+  const via = [];
+
+  for (let hops = 0; registry.aliases[id] && hops < 10; hops++) {
+    via.push({ rule: 'alias', match: id, source: registry.aliases[id].source });
+    id = registry.aliases[id].target;
+  }
+
+  for (let hops = 0; hops < 10 && !matchRules(registry, id); hops++) {
+    const gateway = registry.gateways.find(g => id.startsWith(g.value) && id.length > g.value.length);
+    if (!gateway) break;
+    via.push({ rule: 'gateway', match: gateway.value, source: gateway.source });
+    id = id.slice(gateway.value.length);
+  }
+
+  const rule = matchRules(registry, id);
+  const slash = id.indexOf('/');
+  const firstSegment = slash > 0 ? id.slice(0, slash) : '';
+  // A host outside the gateway list ("github-copilot/gpt-4o") must not hide the model's family
+  const modelRule = !rule && firstSegment ? matchRules(registry, id.slice(slash + 1)) : null;
+  let result;
+  if (rule) {
+    result = { model, family: rule.family, rule: rule.kind, match: rule.value, source: rule.source };
+  } else if (modelRule) {
+    result = { model, family: modelRule.family, rule: 'model-segment', match: `${firstSegment}/ → ${modelRule.value}`, source: modelRule.source };
+  } else {
+    result = firstSegment
+      ? { model, family: firstSegment, rule: 'path-segment', match: `${firstSegment}/`, source: null }
+      : { model, family: UNKNOWN, rule: UNKNOWN, match: null, source: null };
+  }
+
+  // An alias or gateway is reported as the deciding rule, with the inner match after it
+  if (via.length) {
+    const outer = via[0];
+    result = {
+      ...result,
+      rule:   outer.rule,
+      match:  [...via.map(v => v.match), result.match].filter(Boolean).join(' → '),
+      source: outer.source,
+    };
+  }
+
+  if (result.family !== UNKNOWN) {
+    const { family, group } = canonicalFamily(registry, result.family);
+    if (group && family !== result.family) {
+      result = { ...result, family, detected: result.family, sameFamilySource: group.source };
+    }
+  }
+  return result;
+}
+
+/** The model's provider family name ("unknown" if it cannot be told). */
+function detectFamily(modelId, registry) {
+  return resolveFamily(modelId, registry).family;
+}
+
+/** One line for init output and changelog.md: `model → family (prefix "gpt", built-in)`. */
+function describeMatch(m) {
+  const how = m.rule === UNKNOWN ? 'no rule matched' : `${m.rule}${m.match ? ` "${m.match}"` : ''}${m.source ? `, ${m.source}` : ''}`;
+  const renamed = m.detected ? `; same family as ${m.detected}` : '';
+  return `${m.model} → ${m.family} (${how}${renamed})`;
+}
+
+module.exports = {
+  UNKNOWN,
+  PROJECT_REGISTRY,
+  UNKNOWN_FAMILY_POLICIES,
+  PROVIDER_FAMILIES,
+  builtinFamilyRegistry,
+  loadFamilyRegistry,
+  resolveFamily,
+  detectFamily,
+  describeMatch,
+};
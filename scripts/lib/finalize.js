@@ -0,0 +1,191 @@
+/**
+ * finalize.js — Generate plan-final.md, changelog.md and summary.json
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readFile, writeJson } = require('./util');
+const { ReviewError, UsageError, WorkspaceError } = require('./errors');
+const { workspaceProfile } = require('./profiles');
+const {
+  RESOLVED_STATUSES, WAIVED_STATUS, isMerged, setIssueStatus, requireWorkspace, getWorkspaceMeta, saveMeta, getIssues, saveIssues,
+  listPlanVersions, getLatestRubric, getCriteriaStatus, appendChangelog,
+} = require('./workspace');
+const { resolvePolicy, evaluateApproval } = require('./policy');
+const { lockedCommand } = require('./lock');
+
+/**
+ * Finalize a workspace. Anything the approval policy blocks on (by default open CRITICAL/HIGH
+ * issues and failing acceptance criteria; see policy.js) blocks unless `overrideReason` is
+ * given together with either `ciForce` or a `confirm` callback that returns true.
+ *
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {string} [opts.overrideReason]  Reason for force-approving open blockers (min 10 chars)
+ * @param {boolean} [opts.ciForce]        Skip interactive confirmation
+ * @param {function} [opts.confirm]       ({ blockers, failingCriteria, blockedBy, reason }) => boolean, for interactive confirmation
+ * @param {string} [opts.actor]           Who is force-approving (default: $USER / $CI_ACTOR)
+ */
+function finalize(opts = {}) {
+  const wsDir          = opts.workspace;
+  const overrideReason = opts.overrideReason;
+  const ciForce        = !!opts.ciForce;
+
+  requireWorkspace(wsDir);
+
+  const meta     = getWorkspaceMeta(wsDir);
+  const issues   = getIssues(wsDir);
+  const criteria = getCriteriaStatus(wsDir, meta);
+  const latestRubric = getLatestRubric(wsDir, meta);
+  const policy   = resolvePolicy(meta);
+  const gate     = evaluateApproval(policy, { issues, rubric: latestRubric, criteria });
+  const blockers = gate.blockers;
+  const failingCriteria = criteria.filter(c => gate.failingCriteria.includes(c.id));
+
+  let forceApproveLog = null;
+
+  if (gate.blocked) {
+    if (!overrideReason) {
+      throw new ReviewError(
+        `Cannot finalize: ${gate.reasons.map(b => b.message).join('; ')}.\n` +
+        'Use --override-reason "text" to force-approve.',
+        {
+          code: 'E_BLOCKED',
+          details: { blockers: blockers.map(i => i.id), failingCriteria: gate.failingCriteria, blockedBy: gate.reasons },
+        }
+      );
+    }
+
+    if (overrideReason.length < 10) {
+      throw new UsageError('--override-reason must be at least 10 characters.');
+    }
+
+    let ttyConfirmed = false;
+    if (!ciForce) {
+      if (typeof opts.confirm !== 'function') {
+        // Non-interactive without --ci-force: reject
+        throw new UsageError('Force-approve in non-interactive mode requires both --override-reason and --ci-force.');
+      }
+      if (!opts.confirm({ blockers, failingCriteria, blockedBy: gate.reasons, reason: overrideReason })) {
+        throw new ReviewError('Force-approve aborted (did not receive CONFIRM).', { code: 'E_ABORTED', exitCode: 1 });
+      }
+      ttyConfirmed = true;
+    }
+
+    forceApproveLog = {
+      actor:             opts.actor || process.env.USER || process.env.CI_ACTOR || 'unknown',
+      reason:            overrideReason,
+      timestamp:         new Date().toISOString(),
+      unresolved_issues: blockers.map(i => i.id),
+      failing_criteria:  gate.failingCriteria,
+      blocked_by:        gate.reasons.map(b => `${b.rule}: ${b.message}`),
+      tty_confirmed:     ttyConfirmed,
+      ci_force:          ciForce,
+    };
+
+    // Mark blockers as force-approved
+    for (const iss of issues) {
+      if (blockers.find(b => b.id === iss.id)) {
+        setIssueStatus(iss, 'force-approved', {
+          round: meta.currentRound, evidence: overrideReason, source: 'finalize', actor: forceApproveLog.actor,
+        });
+        iss.round_resolved = meta.currentRound;
+      }
+    }
+    saveIssues(wsDir, issues);
+  }
+
+  // ---- Find latest plan version ----
+  const planVersions = listPlanVersions(wsDir);
+  if (planVersions.length === 0) throw new WorkspaceError('No plan versions found in workspace.');
+  const latestPlan = readFile(path.join(wsDir, planVersions[planVersions.length - 1]));
+
+  // plan-final.md — clean copy without review comments
+  const finalPlan = latestPlan
+    .replace(/<!--[\s\S]*?-->/g, '')  // strip HTML comments
+    .replace(/\n{3,}/g, '\n\n')       // collapse extra blank lines
+    .trim() + '\n';
+  fs.writeFileSync(path.join(wsDir, 'plan-final.md'), finalPlan, 'utf8');
+
+  // ---- Summary ----
+  // Merged duplicates are counted once, through the issue they were merged into
+  const tracked       = issues.filter(i => !isMerged(i));
+  const totalFound    = tracked.length;
+  const totalResolved = tracked.filter(i => RESOLVED_STATUSES.includes(i.status)).length;
+  const waivers       = tracked.filter(i => i.status === WAIVED_STATUS).map(i => ({
+    id: i.id, severity: i.severity, problem: i.problem,
+    reason: i.waiver ? i.waiver.reason : null, actor: i.waiver ? i.waiver.actor : null,
+    round: i.waiver ? i.waiver.round : null, at: i.waiver ? i.waiver.at : null,
+  }));
+  const bySeverity    = { critical: 0, high: 0, medium: 0, low: 0 };
+  for (const iss of tracked) {
+    const key = iss.severity.toLowerCase();
+    if (key in bySeverity) bySeverity[key]++;
+  }
+
+  const summary = {
+    rounds:            meta.currentRound,
+    plannerModel:      meta.plannerModel,
+    reviewerModel:     meta.reviewerModel,
+    totalIssuesFound:  totalFound,
+    issuesBySeverity:  bySeverity,
+    issuesResolved:    totalResolved,
+    issuesUnresolved:  totalFound - totalResolved,
+    issuesMerged:      issues.length - tracked.length,
+    waivers,
+    rubric:            latestRubric ? {
+      average:    latestRubric._average,
+      scored:     latestRubric._scored_dimensions,
+      dimensions: Object.fromEntries(
+        workspaceProfile(meta).dimensions.map(d => [d.id, latestRubric[d.id] || null])
+      ),
+    } : null,
+    criteria:          criteria.length ? {
+      passed:      criteria.filter(c => c.result === 'PASS').length,
+      failed:      criteria.filter(c => c.result === 'FAIL').length,
+      unevaluated: criteria.filter(c => c.result === null).length,
+      results:     criteria,
+    } : null,
+    profile:           workspaceProfile(meta).name,
+    approvalPolicy:    policy,
+    finalVerdict:      forceApproveLog ? 'FORCE_APPROVED' : 'APPROVED',
+    completedAt:       new Date().toISOString(),
+    force_approve_log: forceApproveLog,
+  };
+  writeJson(path.join(wsDir, 'summary.json'), summary);
+
+  // ---- Finalize changelog ----
+  const finalEntry = [
+    `\n## FINAL — ${summary.completedAt}`,
+    `Verdict: **${summary.finalVerdict}**`,
+    `Rounds: ${summary.rounds}`,
+    `Issues found: ${totalFound} | Resolved: ${totalResolved} | Unresolved: ${summary.issuesUnresolved}`,
+    summary.criteria ? `Acceptance criteria: ${summary.criteria.passed} PASS, ${summary.criteria.failed} FAIL, ${summary.criteria.unevaluated} not evaluated` : '',
+    waivers.length ? `Waived: ${waivers.map(w => `${w.id} (${w.actor})`).join(', ')}` : '',
+    forceApproveLog ? `Force-approved by: ${forceApproveLog.actor} — "${forceApproveLog.reason}"` : '',
+    '',
+  ].filter(l => l !== undefined).join('\n');
+  appendChangelog(wsDir, finalEntry);
+
+  // Update meta
+  meta.verdict = summary.finalVerdict;
+  meta.completedAt = summary.completedAt;
+  saveMeta(wsDir, meta);
+
+  return {
+    verdict:        summary.finalVerdict,
+    planFinal:      path.join(wsDir, 'plan-final.md'),
+    summaryJson:    path.join(wsDir, 'summary.json'),
+    changelogMd:    path.join(wsDir, 'changelog.md'),
+    issuesJson:     path.join(wsDir, 'issues.json'),
+    rounds:         summary.rounds,
+    issuesFound:    totalFound,
+    issuesResolved: totalResolved,
+    forceApproved:  !!forceApproveLog,
+  };
+}
+
+module.exports = { finalize: lockedCommand('finalize', finalize) };
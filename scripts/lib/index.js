@@ -0,0 +1,85 @@
+/**
+ * cross-model-review — programmatic API
+ *
+ * Every command of scripts/review.js is available as a function that returns a
+ * result object and throws a ReviewError subclass instead of exiting:
+ *
+ *   const review = require('cross-model-review');
+ *   const { workspace } = review.createWorkspace({ plan: 'plan.md', reviewerModel, plannerModel });
+ *   const step = review.nextStep({ workspace });
+ */
+
+'use strict';
+
+const errors     = require('./errors');
+const schema     = require('./schema');
+const similarity = require('./similarity');
+const families   = require('./families');
+const screening  = require('./screening');
+const templates  = require('./templates');
+const workspace  = require('./workspace');
+const adapters   = require('./adapters');
+const tokens     = require('./tokens');
+const context    = require('./context');
+const policy     = require('./policy');
+const profiles   = require('./profiles');
+
+module.exports = {
+  // Commands
+  createWorkspace: require('./init').createWorkspace,
+  parseRound:      require('./parse-round').parseRound,
+  aggregateRound:  require('./panel').aggregateRound,
+  nextStep:        require('./next-step').nextStep,
+  saveCriteria:    require('./save-criteria').saveCriteria,
+  savePlan:        require('./save-plan').savePlan,
+  finalize:        require('./finalize').finalize,
+  status:          require('./status').status,
+  run:             require('./run').run,
+  addContext:      context.addContext,
+  mergeIssues:     require('./merge').mergeIssues,
+  splitIssue:      require('./merge').splitIssue,
+  diffPlans:       require('./diff').diffPlans,
+  rewind:          require('./rewind').rewind,
+  exportIssues:    require('./export').exportIssues,
+  report:          require('./report').report,
+  listWorkspaces:  require('./list').listWorkspaces,
+  stats:           require('./stats').stats,
+  listTemplates:   templates.listTemplates,
+  showIssue:       require('./issues').showIssue,
+  listIssues:      require('./issues').listIssues,
+  triageIssue:     require('./triage').triageIssue,
+
+  // Errors
+  ReviewError:     errors.ReviewError,
+  UsageError:      errors.UsageError,
+  WorkspaceError:  errors.WorkspaceError,
+  ValidationError: errors.ValidationError,
+
+  // Building blocks
+  extractJson:            schema.extractJson,
+  validateReviewResponse: schema.validateReviewResponse,
+  RUBRIC_DIMENSIONS:      schema.RUBRIC_DIMENSIONS,
+  PANEL_POLICIES:         require('./panel').PANEL_POLICIES,
+  jaccardSimilarity:      similarity.jaccardSimilarity,
+  createIssueMatcher:     similarity.createIssueMatcher,
+  detectFamily:           families.detectFamily,
+  resolveFamily:          families.resolveFamily,
+  loadFamilyRegistry:     families.loadFamilyRegistry,
+  describeMatch:          families.describeMatch,
+  renderTemplate:         templates.renderTemplate,
+  parsePlaceholders:      templates.parsePlaceholders,
+  screenText:             screening.screenText,
+  neutralizeDelimiters:   screening.neutralizeDelimiters,
+  auditPriorIssues:       require('./accountability').auditPriorIssues,
+  getOpenBlockers:        policy.getBlockingIssues,
+  DEFAULT_POLICY:         policy.DEFAULT_POLICY,
+  normalizePolicy:        policy.normalizePolicy,
+  evaluateApproval:       policy.evaluateApproval,
+  BUILTIN_PROFILES:       profiles.BUILTIN_PROFILES,
+  loadProfile:            profiles.loadProfile,
+  estimateTokens:         tokens.estimateTokens,
+  rankContextFiles:       context.rankContextFiles,
+  loadAdapters:           adapters.loadAdapters,
+  createShellAdapter:     adapters.createShellAdapter,
+  createStubAdapter:      adapters.createStubAdapter,
+};
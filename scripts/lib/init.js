@@ -0,0 +1,251 @@
+/**
+ * init.js — Create a review workspace
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readFile, writeJson, ensureDir, toInt, toNumber, isValidThreshold } = require('./util');
+const { UsageError } = require('./errors');
+const { UNKNOWN, UNKNOWN_FAMILY_POLICIES, loadFamilyRegistry, resolveFamily, describeMatch } = require('./families');
+const { DEFAULT_DEDUP_THRESHOLD } = require('./similarity');
+const { DEFAULT_REVIEWS_DIR, saveMeta, saveIssueSnapshot } = require('./workspace');
+const { matchContextFiles, snapshotContextFiles } = require('./context');
+const { PANEL_POLICIES, DEFAULT_PANEL_POLICY } = require('./panel');
+const { policyFromOptions, describePolicy, isDefaultPolicy } = require('./policy');
+const { DEFAULT_PROFILE, loadProfile } = require('./profiles');
+const { parseScreeningMode, screenPlan, logScreening } = require('./screening');
+const { DEFAULT_MAX_REPAIRS } = require('./repair');
+const { DEFAULT_STALL_WINDOW } = require('./convergence');
+const { parseAccountabilityMode } = require('./accountability');
+const { resolveTemplateDir, listTemplates } = require('./templates');
+
+/** `--reviewers` as a list: accepts an array or a comma-separated string. */
+function parseReviewers(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(m => String(m).trim()).filter(Boolean);
+}
+
+/**
+ * Create a workspace under `out` with plan-v1.md, meta.json, issues.json and changelog.md.
+ *
+ * @param {object} opts
+ * @param {string} [opts.plan]      Path to the plan file (or pass `planText`)
+ * @param {string} [opts.planText]  Plan markdown
+ * @param {string} [opts.mode]      "static" (default), "alternating" or "panel"
+ * @param {string|string[]} [opts.reviewers]  Panel mode: reviewer models (at least two)
+ * @param {string} [opts.panelPolicy]         Panel mode: "unanimous" (default), "majority" or "any-critical"
+ * @param {string|string[]} [opts.contextFiles]  Repo globs to snapshot as codebase context
+ * @param {string} [opts.contextRoot]            Root the globs are relative to (default: cwd)
+ * @param {string} [opts.profile]                Review profile: built-in name or JSON file (see profiles.js)
+ * @param {string} [opts.policy]                 Approval policy JSON file (see policy.js)
+ * @param {string|string[]} [opts.blockOn]       Severities that block approval (overrides the file)
+ * @param {number} [opts.minRubricAverage]       Minimum rubric average to approve (overrides the file)
+ * @param {string} [opts.families]               Family registry JSON file (default: .cross-model-review/families.json, see families.js)
+ * @param {string} [opts.unknownFamily]          "warn" or "fail" when a model's family cannot be told (overrides the registry)
+ * @param {string} [opts.templateDir]            Directory of prompt template overrides (default: .cross-model-review/templates, see templates.js)
+ * @param {string} [opts.screening]              "warn" (default) or "strict": prompt-injection findings in a plan also open a CRITICAL issue (see screening.js)
+ * @param {string} [opts.accountability]         "warn" (default) or "strict": a review that leaves prior issues unaccounted for is rejected for repair (see accountability.js)
+ * @param {number} [opts.maxRepairs]             Repair prompts per unparseable review response before next-step gives up (default 2, see repair.js)
+ * @param {number} [opts.stallWindow]            Rounds next-step looks back over for a stalled loop (default 3, 0 = off, see convergence.js)
+ * @returns {{ workspace: string, meta: object, warnings: string[], familyMatches: object[] }}
+ */
+function createWorkspace(opts = {}) {
+  const mode          = opts.mode || 'static';
+  const planPath      = opts.plan;
+  const outBase       = opts.out || path.join(process.cwd(), DEFAULT_REVIEWS_DIR);
+  const maxRounds     = toInt(opts.maxRounds, mode === 'alternating' ? 8 : 5);
+  const panelPolicy   = opts.panelPolicy || DEFAULT_PANEL_POLICY;
+  const tokenBudget   = toInt(opts.tokenBudget, 8000);
+  const dedupThreshold = toNumber(opts.dedupThreshold, DEFAULT_DEDUP_THRESHOLD);
+  const maxRepairs    = toInt(opts.maxRepairs, DEFAULT_MAX_REPAIRS);
+  const stallWindow   = toInt(opts.stallWindow, DEFAULT_STALL_WINDOW);
+  const projectCtx    = opts.projectContext || '';
+  const warnings      = [];
+
+  if (!planPath && opts.planText === undefined) throw new UsageError('--plan <file> is required');
+  if (!['static', 'alternating', 'panel'].includes(mode)) throw new UsageError('--mode must be "static", "alternating" or "panel"');
+  if (mode === 'panel' && !PANEL_POLICIES.includes(panelPolicy)) {
+    throw new UsageError(`--panel-policy must be one of: ${PANEL_POLICIES.join(', ')}`);
+  }
+
+  if (isNaN(maxRounds) || maxRounds < 1)   throw new UsageError('--max-rounds must be a positive integer');
+  if (isNaN(tokenBudget) || tokenBudget < 1) throw new UsageError('--token-budget must be a positive integer');
+  if (isNaN(maxRepairs) || maxRepairs < 0) throw new UsageError('--max-repairs must be a non-negative integer');
+  if (isNaN(stallWindow) || stallWindow < 0 || stallWindow === 1) throw new UsageError('--stall-window must be 0 (off) or an integer of at least 2');
+  if (!isValidThreshold(dedupThreshold)) throw new UsageError('--dedup-threshold must be a number between 0 (exclusive) and 1');
+  if (planPath && !fs.existsSync(planPath)) throw new UsageError(`Plan file not found: ${planPath}`);
+
+  const screeningMode  = parseScreeningMode(opts.screening);
+  const accountability = parseAccountabilityMode(opts.accountability);
+  const profile        = loadProfile(opts.profile || DEFAULT_PROFILE);
+  const approvalPolicy = policyFromOptions(opts, profile);
+
+  const contextRoot = opts.contextRoot || process.cwd();
+  if (opts.contextFiles) matchContextFiles(contextRoot, opts.contextFiles);
+
+  // Catch a broken template now rather than at the round that first renders it
+  const templateDir = resolveTemplateDir({ templateDir: opts.templateDir, root: contextRoot });
+  const templates = listTemplates({ profile, templateDir });
+  const badTemplates = templates.templates.filter(t => t.problems.length);
+  if (badTemplates.length) {
+    const problems = badTemplates.map(t => `${t.path}: ${t.problems.join('; ')}`);
+    throw new UsageError(`Invalid prompt template(s): ${problems.join(' | ')}`, { code: 'E_TEMPLATE', details: problems });
+  }
+  for (const f of templates.unused) warnings.push(`Template directory ${templateDir.path} has ${f}, which is not a prompt template; it is ignored.`);
+
+  const registry = loadFamilyRegistry({ file: opts.families, cwd: contextRoot });
+  const unknownFamily = opts.unknownFamily || registry.unknownFamily;
+  if (!UNKNOWN_FAMILY_POLICIES.includes(unknownFamily)) throw new UsageError('--unknown-family must be "warn" or "fail"');
+  const familyMatches = [];
+  const detectFamily = (model, role) => {
+    const match = resolveFamily(model, registry);
+    familyMatches.push({ role, ...match });
+    return match.family;
+  };
+
+  let reviewerModel, plannerModel, rFamily, pFamily, modelA, modelB, familyA, familyB;
+  let reviewers, reviewerFamilies;
+
+  if (mode === 'panel') {
+    reviewers    = parseReviewers(opts.reviewers);
+    plannerModel = opts.plannerModel;
+    if (reviewers.length < 2) throw new UsageError('--reviewers <a,b,...> needs at least two models for panel mode');
+    if (!plannerModel) throw new UsageError('--planner-model <model> is required');
+    if (new Set(reviewers).size !== reviewers.length) throw new UsageError('--reviewers lists the same model twice');
+    pFamily = detectFamily(plannerModel, 'planner');
+    reviewerFamilies = {};
+    for (const model of reviewers) {
+      const family = detectFamily(model, 'panelist');
+      if (family === UNKNOWN) {
+        warnings.push(`Panel reviewer ${model} resolved to unknown provider family. Proceeding anyway.`);
+      } else if (family === pFamily) {
+        throw new UsageError(`Panel reviewer ${model} is from the planner's provider family (${family}). Cross-provider review required.`, { code: 'E_SAME_PROVIDER' });
+      } else {
+        const twin = Object.keys(reviewerFamilies).find(m => reviewerFamilies[m] === family);
+        if (twin) throw new UsageError(`Panel reviewers ${twin} and ${model} are from the same provider family (${family}). Each panelist must be a different provider.`, { code: 'E_SAME_PROVIDER' });
+      }
+      reviewerFamilies[model] = family;
+    }
+    if (pFamily === UNKNOWN) warnings.push('Planner model resolved to unknown provider family. Proceeding anyway.');
+    // The first panelist stands in wherever a single reviewer is expected
+    reviewerModel = reviewers[0];
+    rFamily = reviewerFamilies[reviewerModel];
+    modelA  = plannerModel;
+    modelB  = reviewerModel;
+    familyA = pFamily;
+    familyB = rFamily;
+  } else if (mode === 'alternating') {
+    modelA = opts.modelA;
+    modelB = opts.modelB;
+    if (!modelA) throw new UsageError('--model-a <model> is required for alternating mode');
+    if (!modelB) throw new UsageError('--model-b <model> is required for alternating mode');
+    familyA = detectFamily(modelA, 'model-a');
+    familyB = detectFamily(modelB, 'model-b');
+    if (familyA !== UNKNOWN && familyB !== UNKNOWN && familyA === familyB) {
+      throw new UsageError(`Model A and Model B are from the same provider family (${familyA}). Cross-provider review required.`, { code: 'E_SAME_PROVIDER' });
+    }
+    // For backward compat, set reviewer/planner to modelB/modelA
+    reviewerModel = modelB;
+    plannerModel  = modelA;
+    rFamily = familyB;
+    pFamily = familyA;
+  } else {
+    reviewerModel = opts.reviewerModel;
+    plannerModel  = opts.plannerModel;
+    if (!reviewerModel) throw new UsageError('--reviewer-model <model> is required');
+    if (!plannerModel)  throw new UsageError('--planner-model <model> is required');
+    rFamily = detectFamily(reviewerModel, 'reviewer');
+    pFamily = detectFamily(plannerModel, 'planner');
+    modelA = plannerModel;
+    modelB = reviewerModel;
+    familyA = pFamily;
+    familyB = rFamily;
+  }
+
+  if (mode === 'panel') {
+    // Families checked per panelist above
+  } else if (rFamily === UNKNOWN && pFamily === UNKNOWN) {
+    warnings.push('Both models resolved to unknown provider family. Cannot verify cross-provider constraint. Proceeding anyway.');
+  } else if (rFamily === UNKNOWN) {
+    warnings.push('Reviewer model resolved to unknown provider family. Proceeding anyway.');
+  } else if (pFamily === UNKNOWN) {
+    warnings.push('Planner model resolved to unknown provider family. Proceeding anyway.');
+  } else if (mode === 'static' && rFamily === pFamily) {
+    throw new UsageError(`Reviewer and planner are from the same provider family (${rFamily}). Cross-provider review required.`, { code: 'E_SAME_PROVIDER' });
+  }
+
+  const unknownModels = familyMatches.filter(m => m.family === UNKNOWN).map(m => m.model);
+  if (unknownModels.length && unknownFamily === 'fail') {
+    throw new UsageError(`Cannot tell the provider family of ${unknownModels.join(', ')}. Add the model to the family registry (${registry.sources.join(', ')}) or pass --unknown-family warn.`, { code: 'E_UNKNOWN_FAMILY' });
+  }
+
+  ensureDir(outBase);
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const uuid      = Math.random().toString(36).slice(2, 10);
+  const wsDir     = path.join(outBase, `${timestamp}-${uuid}`);
+  ensureDir(wsDir);
+
+  // Copy plan as v1
+  const planContent = planPath ? readFile(planPath) : opts.planText;
+  fs.writeFileSync(path.join(wsDir, 'plan-v1.md'), planContent, 'utf8');
+
+  // Write meta
+  const meta = {
+    created:        new Date().toISOString(),
+    mode,
+    modelA,
+    modelB,
+    familyA,
+    familyB,
+    reviewerModel,
+    plannerModel,
+    reviewerFamily: rFamily,
+    plannerFamily:  pFamily,
+    ...(mode === 'panel' ? { reviewers, reviewerFamilies, panelPolicy } : {}),
+    familyMatches,
+    maxRounds,
+    tokenBudget,
+    dedupThreshold,
+    maxRepairs,
+    stallWindow,
+    profile,
+    approvalPolicy,
+    templateDir,
+    screeningMode,
+    accountability,
+    projectContext: projectCtx,
+    currentRound:   0,
+    verdict:        'PENDING',
+    needsRevision:  false,
+    criteria:       null,         // Round 0: task-specific acceptance criteria (set by criteria-negotiate)
+    criteriaPhase:  'propose',    // 'propose' → 'challenge' → 'done'
+    wsDir,
+  };
+  const issues = [];
+  const screened = screenPlan(meta, issues, { version: 1, content: planContent });
+  warnings.push(...screened.warnings);
+  saveMeta(wsDir, meta);
+
+  // Initialize issue tracker and changelog
+  writeJson(path.join(wsDir, 'issues.json'), issues);
+  saveIssueSnapshot(wsDir, 0, issues);
+  const profileLine = profile.name === DEFAULT_PROFILE ? '' : `Profile: ${profile.name} (${profile.dimensions.map(d => d.id).join(', ')})\n`;
+  const familyLine = `Families: ${familyMatches.map(describeMatch).join('; ')}\n`;
+  const policyLine = isDefaultPolicy(approvalPolicy) ? '' : `Approval policy: ${describePolicy(approvalPolicy).join('; ')}\n`;
+  fs.writeFileSync(path.join(wsDir, 'changelog.md'), `# Review Changelog\n\nWorkspace: ${wsDir}\nStarted: ${meta.created}\nMode: ${mode}\nModel A: ${modelA}\nModel B: ${modelB}\n${reviewers ? `Panel: ${reviewers.join(', ')} (${panelPolicy})\n` : ''}${familyLine}${profileLine}${policyLine}\n`, 'utf8');
+  logScreening(wsDir, 1, screened);
+
+  // Snapshot codebase context so later rounds review against the code as it was at init
+  if (opts.contextFiles) {
+    const ctx = snapshotContextFiles(wsDir, contextRoot, opts.contextFiles);
+    for (const skip of ctx.skipped) warnings.push(`Context file skipped (${skip.reason}): ${skip.path}`);
+  }
+
+  return { workspace: wsDir, meta, warnings, familyMatches };
+}
+
+module.exports = { createWorkspace };
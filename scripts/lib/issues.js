@@ -0,0 +1,181 @@
+/**
+ * issues.js — Look up issues: one issue's status history, or a filtered list
+ */
+
+'use strict';
+
+const path = require('path');
+
+const { readFile, toInt } = require('./util');
+const { UsageError } = require('./errors');
+const { parseSections } = require('./markdown');
+const { sectionsForLocation } = require('./diff');
+const {
+  requireWorkspace, getWorkspaceMeta, getIssues, getIssueSnapshot, getLatestPlanVersion,
+} = require('./workspace');
+const { roundReviewer } = require('./round');
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+function findIssue(issues, id) {
+  const iss = issues.find(i => i.id === id);
+  if (!iss) throw new UsageError(`Issue not found: ${id}`);
+  return iss;
+}
+
+/** A comma list option (string or array) as trimmed values, or null when not given. */
+function listOption(value) {
+  if (value === undefined || value === null || value === true) return null;
+  const list = (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+  return list.length ? list : null;
+}
+
+/**
+ * History of an issue from before histories were recorded: one entry per round snapshot in
+ * which its status changed. Evidence is the issue's last_evidence as of that snapshot.
+ */
+function reconstructHistory(wsDir, meta, iss) {
+  const history = [];
+  let from = null;
+  for (let r = iss.round_found || 1; r <= meta.currentRound; r++) {
+    const snap = getIssueSnapshot(wsDir, r);
+    const then = snap && snap.find(i => i.id === iss.id);
+    if (!then || then.status === from) continue;
+    const reviewer = meta.mode === 'panel' ? null : roundReviewer(meta, r);
+    history.push({
+      round: r, from, status: then.status, evidence: then.last_evidence || null,
+      ...(reviewer ? { reviewer } : {}),
+      reconstructed: true,
+    });
+    from = then.status;
+  }
+  return history;
+}
+
+/** An issue's status history: the recorded one, else one rebuilt from the round snapshots. */
+function issueHistory(wsDir, meta, iss) {
+  return iss.history || reconstructHistory(wsDir, meta, iss);
+}
+
+/**
+ * One issue with its full status history and the sections of the latest plan its location
+ * points at.
+ *
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {string} opts.id        Issue ID, e.g. ISS-003
+ * @returns {{ issue: object, history: object[], planVersion: string, sections: Array<{ path, line, text }> }}
+ *   History entries are { round, from, status, evidence, reviewer | source (+ actor), at }.
+ *   Workspaces from before histories were recorded get one rebuilt from the round snapshots
+ *   (entries marked `reconstructed`).
+ */
+function showIssue(opts = {}) {
+  const wsDir = requireWorkspace(opts.workspace);
+  if (!opts.id) throw new UsageError('issue show needs an issue ID, e.g. issue show ISS-003');
+  const meta = getWorkspaceMeta(wsDir);
+  const { history, ...issue } = findIssue(getIssues(wsDir), opts.id);
+
+  const planVersion = getLatestPlanVersion(wsDir);
+  const sections = parseSections(readFile(path.join(wsDir, planVersion)));
+  const linked = sectionsForLocation(issue.location || '', sections)
+    .map(p => sections.find(s => s.path === p))
+    .map(s => ({ path: s.path, line: s.line, text: s.lines.join('\n') }));
+
+  return {
+    issue,
+    history: issueHistory(wsDir, meta, { ...issue, history }),
+    planVersion,
+    sections: linked,
+  };
+}
+
+/**
+ * Issues matching every given filter, in tracker order.
+ *
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {string|string[]} [opts.severity]  CRITICAL, HIGH, MEDIUM and/or LOW
+ * @param {string|string[]} [opts.status]    Statuses, e.g. "open,still-open,regressed"
+ * @param {string} [opts.location]           Case-insensitive substring of the location
+ * @param {number} [opts.round]              Round the issue was found in
+ * @returns {{ filters: object, total: number, issues: object[] }}
+ */
+function listIssues(opts = {}) {
+  const wsDir = requireWorkspace(opts.workspace);
+  getWorkspaceMeta(wsDir);
+
+  const severity = listOption(opts.severity && String(opts.severity).toUpperCase());
+  const status   = listOption(opts.status);
+  const location = opts.location === undefined || opts.location === null ? null : String(opts.location).toLowerCase();
+  const round    = toInt(opts.round, null);
+  const badSeverity = (severity || []).filter(s => !SEVERITIES.includes(s));
+  if (badSeverity.length) throw new UsageError(`--severity must be one or more of ${SEVERITIES.join(', ')} (got ${badSeverity.join(', ')})`);
+  if (round !== null && (isNaN(round) || round < 1)) throw new UsageError('--round must be a positive integer');
+
+  const all = getIssues(wsDir);
+  const issues = all
+    .filter(i => !severity || severity.includes(i.severity))
+    .filter(i => !status || status.includes(i.status))
+    .filter(i => location === null || String(i.location || '').toLowerCase().includes(location))
+    .filter(i => round === null || i.round_found === round)
+    .map(i => ({
+      id:          i.id,
+      severity:    i.severity,
+      status:      i.status,
+      location:    i.location,
+      problem:     i.problem,
+      round_found: i.round_found,
+      ...(i.raised_by ? { raised_by: i.raised_by } : {}),
+      ...(i.merged_into ? { merged_into: i.merged_into } : {}),
+      statusChanges: (i.history || []).filter(h => h.from && h.from !== h.status).length,
+    }));
+
+  return { filters: { severity, status, location: opts.location || null, round }, total: all.length, issues };
+}
+
+/** Plain-text rendering of a showIssue() result: the issue, its history, then the plan sections. */
+function formatIssue(result) {
+  const i = result.issue;
+  const who = h => h.reviewer || [h.source, h.actor].filter(Boolean).join(' by ') || 'unknown';
+  const lines = [
+    `${i.id} [${i.severity}] ${i.status} — ${i.location || '(no location)'}`,
+    `Problem: ${i.problem}`,
+    `Fix: ${i.fix}`,
+    `Found in round ${i.round_found}${i.raised_by ? ` by ${i.raised_by.join(', ')}` : ''}`,
+    ...(i.waiver ? [`Waived by ${i.waiver.actor}: ${i.waiver.reason}`] : []),
+    ...(i.dispute ? [`Disputed by ${i.dispute.actor}: ${i.dispute.argument}`
+      + (i.dispute.answer ? ` (answered in round ${i.dispute.answer.round}: ${i.dispute.answer.status})` : ' (awaiting the next review)')] : []),
+    '',
+    'History:',
+    ...result.history.map(h => `  round ${h.round}: ${h.from ? `${h.from} → ` : ''}${h.status} (${who(h)})${h.evidence ? ` — ${h.evidence}` : ''}`),
+    '',
+    `Plan sections (${result.planVersion}):`,
+  ];
+  if (!result.sections.length) lines.push('  none matched the location');
+  for (const s of result.sections) lines.push(`  ## ${s.path} (line ${s.line})`, ...s.text.split('\n').map(l => `    ${l}`));
+  return lines.join('\n');
+}
+
+/** Plain-text table of a listIssues() result, one row per issue. */
+function formatIssueTable(result) {
+  const clip = (s, n) => (s.length > n ? s.slice(0, n - 1) + '…' : s);
+  const columns = [
+    ['ID',       i => i.id],
+    ['SEVERITY', i => i.severity],
+    ['STATUS',   i => i.status],
+    ['FOUND',    i => `round ${i.round_found}`],
+    ['LOCATION', i => clip(i.location || '', 30)],
+    ['PROBLEM',  i => clip(i.problem || '', 80)],
+  ];
+  const rows = result.issues.map(i => columns.map(([, get]) => get(i)));
+  const widths = columns.map(([head], c) => Math.max(head.length, ...rows.map(r => r[c].length)));
+  const line = cells => cells.map((v, c) => (c === cells.length - 1 ? v : v.padEnd(widths[c]))).join('  ');
+  return [
+    line(columns.map(([head]) => head)),
+    ...rows.map(line),
+    '',
+    `${result.issues.length} of ${result.total} issue(s)`,
+  ].join('\n');
+}
+
+module.exports = { issueHistory, showIssue, listIssues, formatIssue, formatIssueTable };
@@ -0,0 +1,228 @@
+/**
+ * list.js — Index of the review workspaces under a reviews directory (default tasks/reviews)
+ *
+ * Every subdirectory with a meta.json is a workspace; anything else is skipped. Entries carry
+ * the plan title (first heading of plan-v1.md), verdict, models, open blocker count under the
+ * workspace's approval policy, and when the workspace last changed. A workspace waiting on a
+ * revision (`needsRevision`) that nothing has touched for `staleDays` is flagged `stale`.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { toNumber } = require('./util');
+const { UsageError, WorkspaceError } = require('./errors');
+const {
+  DEFAULT_REVIEWS_DIR, isOpen, getWorkspaceMeta, getIssues, listPlanVersions, planTitle,
+} = require('./workspace');
+const { resolvePolicy, getBlockingIssues } = require('./policy');
+
+const DEFAULT_STALE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Sort keys, and the order each sorts in unless --order says otherwise. */
+const SORT_FIELDS = {
+  created:  'desc',
+  updated:  'desc',
+  blockers: 'desc',
+  rounds:   'desc',
+  idle:     'desc',
+  title:    'asc',
+  verdict:  'asc',
+  mode:     'asc',
+};
+
+/** `2025-01-31` or a full ISO timestamp → ms. `endOfDay` makes a bare date inclusive. */
+function parseDate(value, flag, endOfDay) {
+  if (value === undefined || value === null) return null;
+  const s = String(value);
+  const bare = /^\d{4}-\d{2}-\d{2}$/.test(s);
+  const ms = Date.parse(bare ? `${s}T00:00:00.000Z` : s);
+  if (isNaN(ms)) throw new UsageError(`${flag} must be a date (YYYY-MM-DD or ISO timestamp)`);
+  return bare && endOfDay ? ms + DAY_MS - 1 : ms;
+}
+
+function parseCount(value, flag) {
+  if (value === undefined || value === null) return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new UsageError(`${flag} must be a non-negative integer`);
+  return n;
+}
+
+/** Most recent modification time of the workspace's own files (not rewound/ or context/). */
+function lastActivity(wsDir) {
+  let latest = 0;
+  for (const f of fs.readdirSync(wsDir)) {
+    const st = fs.statSync(path.join(wsDir, f));
+    if (st.isFile() && st.mtimeMs > latest) latest = st.mtimeMs;
+  }
+  return latest;
+}
+
+function modelsOf(meta) {
+  return [meta.modelA, meta.modelB, meta.reviewerModel, meta.plannerModel, ...(meta.reviewers || [])]
+    .filter(Boolean)
+    .filter((m, i, all) => all.indexOf(m) === i);
+}
+
+function describeWorkspace(wsDir, now, staleDays) {
+  const meta    = getWorkspaceMeta(wsDir);
+  const issues  = getIssues(wsDir);
+  const updated = lastActivity(wsDir);
+  const idleDays = Math.floor((now - updated) / DAY_MS);
+  return {
+    workspace:     wsDir,
+    name:          path.basename(wsDir),
+    title:         planTitle(wsDir),
+    mode:          meta.mode,
+    verdict:       meta.verdict,
+    needsRevision: !!meta.needsRevision,
+    rounds:        meta.currentRound,
+    maxRounds:     meta.maxRounds,
+    models:        modelsOf(meta),
+    reviewerModel: meta.reviewerModel,
+    plannerModel:  meta.plannerModel,
+    profile:       meta.profile ? meta.profile.name : 'default',
+    openIssues:    issues.filter(isOpen).length,
+    openBlockers:  getBlockingIssues(issues, resolvePolicy(meta)).length,
+    planVersions:  listPlanVersions(wsDir).length,
+    created:       meta.created,
+    updated:       new Date(updated).toISOString(),
+    completedAt:   meta.completedAt || null,
+    idleDays,
+    stale:         !!meta.needsRevision && !meta.completedAt && idleDays >= staleDays,
+  };
+}
+
+/**
+ * Workspace directories under `out` (default tasks/reviews): subdirectories with a meta.json.
+ * @throws {WorkspaceError} when `out` does not exist
+ */
+function findWorkspaces(out) {
+  const base = path.resolve(out || path.join(process.cwd(), DEFAULT_REVIEWS_DIR));
+  if (!fs.existsSync(base)) throw new WorkspaceError(`Reviews directory not found: ${base}`);
+  const dirs = [];
+  const skipped = [];
+  for (const name of fs.readdirSync(base).sort()) {
+    const dir = path.join(base, name);
+    if (!fs.statSync(dir).isDirectory()) continue;
+    if (fs.existsSync(path.join(dir, 'meta.json'))) dirs.push(dir);
+    else skipped.push({ path: dir, reason: 'no meta.json' });
+  }
+  return { out: base, dirs, skipped };
+}
+
+function sortValue(entry, field) {
+  switch (field) {
+    case 'created':  return Date.parse(entry.created) || 0;
+    case 'updated':  return Date.parse(entry.updated) || 0;
+    case 'blockers': return entry.openBlockers;
+    case 'rounds':   return entry.rounds;
+    case 'idle':     return entry.idleDays;
+    default:         return String(entry[field] || '').toLowerCase();
+  }
+}
+
+/**
+ * List the workspaces under `out`, filtered and sorted.
+ *
+ * @param {object} opts
+ * @param {string} [opts.out]           Reviews directory (default: tasks/reviews)
+ * @param {string} [opts.verdict]       APPROVED, REVISE, FORCE_APPROVED or PENDING (comma-separated for several)
+ * @param {string} [opts.mode]          static, alternating or panel
+ * @param {string} [opts.model]         Substring of any model on the workspace (reviewer, planner, panelist)
+ * @param {string} [opts.since]         Created on or after (YYYY-MM-DD or ISO timestamp)
+ * @param {string} [opts.until]         Created on or before
+ * @param {number} [opts.minBlockers]   At least this many open blockers
+ * @param {number} [opts.maxBlockers]   At most this many open blockers
+ * @param {string} [opts.title]         Case-insensitive substring of the plan title
+ * @param {boolean} [opts.stale]        Only stale workspaces
+ * @param {number} [opts.staleDays]     Idle days before a workspace awaiting revision is stale (default 7)
+ * @param {string} [opts.sort]          One of SORT_FIELDS (default: created)
+ * @param {string} [opts.order]         asc or desc (default depends on the field)
+ * @returns {{ out, total, matched, stale, workspaces: object[], skipped: Array<{ path, reason }> }}
+ */
+function listWorkspaces(opts = {}) {
+  const sort = opts.sort || 'created';
+  if (!SORT_FIELDS[sort]) throw new UsageError(`--sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}`);
+  const order = opts.order || SORT_FIELDS[sort];
+  if (!['asc', 'desc'].includes(order)) throw new UsageError('--order must be "asc" or "desc"');
+
+  const staleDays = toNumber(opts.staleDays, DEFAULT_STALE_DAYS);
+  if (isNaN(staleDays) || staleDays < 0) throw new UsageError('--stale-days must be a non-negative number');
+  const since = parseDate(opts.since, '--since', false);
+  const until = parseDate(opts.until, '--until', true);
+  const minBlockers = parseCount(opts.minBlockers, '--min-blockers');
+  const maxBlockers = parseCount(opts.maxBlockers, '--max-blockers');
+  const verdicts = opts.verdict ? String(opts.verdict).toUpperCase().split(',').map(v => v.trim()) : null;
+  const model = opts.model ? String(opts.model).toLowerCase() : null;
+  const title = opts.title ? String(opts.title).toLowerCase() : null;
+
+  const { out, dirs, skipped } = findWorkspaces(opts.out);
+  const now = Date.now();
+  const all = [];
+  for (const dir of dirs) {
+    try {
+      all.push(describeWorkspace(dir, now, staleDays));
+    } catch (e) {
+      skipped.push({ path: dir, reason: e.message });
+    }
+  }
+
+  const workspaces = all.filter(w => {
+    const created = Date.parse(w.created);
+    if (verdicts && !verdicts.includes(w.verdict)) return false;
+    if (opts.mode && w.mode !== opts.mode) return false;
+    if (model && !w.models.some(m => m.toLowerCase().includes(model))) return false;
+    if (since !== null && !(created >= since)) return false;
+    if (until !== null && !(created <= until)) return false;
+    if (minBlockers !== null && w.openBlockers < minBlockers) return false;
+    if (maxBlockers !== null && w.openBlockers > maxBlockers) return false;
+    if (title && !(w.title || '').toLowerCase().includes(title)) return false;
+    if (opts.stale && !w.stale) return false;
+    return true;
+  });
+
+  const dir = order === 'asc' ? 1 : -1;
+  workspaces.sort((a, b) => {
+    const va = sortValue(a, sort);
+    const vb = sortValue(b, sort);
+    return (va < vb ? -1 : va > vb ? 1 : 0) * dir || a.name.localeCompare(b.name);
+  });
+
+  return {
+    out,
+    total:   all.length,
+    matched: workspaces.length,
+    stale:   workspaces.filter(w => w.stale).length,
+    workspaces,
+    skipped,
+  };
+}
+
+/** Plain-text table of a listWorkspaces() result, one row per workspace. */
+function formatTable(result) {
+  const columns = [
+    ['CREATED',  w => (w.created || '').slice(0, 16).replace('T', ' ')],
+    ['VERDICT',  w => w.verdict + (w.stale ? ' (stale)' : '')],
+    ['MODE',     w => w.mode],
+    ['ROUNDS',   w => `${w.rounds}/${w.maxRounds}`],
+    ['BLOCKERS', w => String(w.openBlockers)],
+    ['IDLE',     w => `${w.idleDays}d`],
+    ['TITLE',    w => w.title || '(untitled)'],
+    ['WORKSPACE', w => w.name],
+  ];
+  const rows = result.workspaces.map(w => columns.map(([, get]) => get(w)));
+  const widths = columns.map(([head], i) => Math.max(head.length, ...rows.map(r => r[i].length)));
+  const line = cells => cells.map((c, i) => (i === cells.length - 1 ? c : c.padEnd(widths[i]))).join('  ');
+  return [
+    line(columns.map(([head]) => head)),
+    ...rows.map(line),
+    '',
+    `${result.matched} of ${result.total} workspace(s) in ${result.out}${result.stale ? `; ${result.stale} stale` : ''}`,
+  ].join('\n');
+}
+
+module.exports = { listWorkspaces, findWorkspaces, parseDate, formatTable, SORT_FIELDS, DEFAULT_STALE_DAYS };
@@ -0,0 +1,117 @@
+/**
+ * lock.js — Advisory workspace lock around mutating commands
+ *
+ * A command holds `<workspace>/.lock` (created with O_EXCL) for as long as it reads and
+ * rewrites workspace state, so two agents driving the same workspace cannot interleave
+ * writes. A second command waits briefly for the lock, then fails with E_LOCKED naming
+ * the holder. Locks left by a process that died are taken over.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const { WorkspaceError } = require('./errors');
+
+const LOCK_FILE     = '.lock';
+const LOCK_WAIT_MS  = 2000;
+const LOCK_POLL_MS  = 50;
+/** A lock older than this is assumed abandoned even if its pid looks alive (pids get reused). */
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+function lockPath(wsDir) {
+  return path.join(wsDir, LOCK_FILE);
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function readHolder(p) {
+  try {
+    return JSON.parse(fs.readFileSync(p, 'utf8'));
+  } catch (e) {
+    return null;  // gone, or its writer has not filled it in yet
+  }
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function isStale(p, holder) {
+  let age;
+  try { age = Date.now() - fs.statSync(p).mtimeMs; } catch (e) { return false; }
+  if (age > STALE_LOCK_MS) return true;
+  return !!holder && holder.host === os.hostname() && !pidAlive(holder.pid);
+}
+
+function describeHolder(holder) {
+  if (!holder) return 'another command';
+  return `${holder.command} (pid ${holder.pid} on ${holder.host}, since ${holder.acquiredAt})`;
+}
+
+/**
+ * Take the workspace lock for `command`, waiting up to LOCK_WAIT_MS for a running holder.
+ * @throws {WorkspaceError} E_LOCKED when another live command still holds it
+ */
+function acquireLock(wsDir, command) {
+  const p = lockPath(wsDir);
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      const fd = fs.openSync(p, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), command, acquiredAt: new Date().toISOString() }));
+      fs.closeSync(fd);
+      return p;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    const holder = readHolder(p);
+    if (isStale(p, holder)) {
+      fs.rmSync(p, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new WorkspaceError(
+        `Workspace is locked by ${describeHolder(holder)}. Retry when it finishes; if no command is running, delete ${p}.`,
+        { code: 'E_LOCKED', details: { holder } }
+      );
+    }
+    sleep(LOCK_POLL_MS);
+  }
+}
+
+function releaseLock(wsDir) {
+  fs.rmSync(lockPath(wsDir), { force: true });
+}
+
+/** Run `fn` while holding the workspace lock. */
+function withLock(wsDir, command, fn) {
+  acquireLock(wsDir, command);
+  try {
+    return fn();
+  } finally {
+    releaseLock(wsDir);
+  }
+}
+
+/**
+ * Wrap a command function `(opts) => result` so it runs under the lock of `opts.workspace`.
+ * A missing workspace is left to the command itself to report.
+ */
+function lockedCommand(command, fn) {
+  return function (opts = {}) {
+    if (!opts.workspace || !fs.existsSync(opts.workspace)) return fn(opts);
+    return withLock(opts.workspace, command, () => fn(opts));
+  };
+}
+
+module.exports = { LOCK_FILE, acquireLock, releaseLock, withLock, lockedCommand };
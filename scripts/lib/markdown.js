@@ -0,0 +1,108 @@
+/**
+ * markdown.js — Plan structure: markdown heading tree and line diffs
+ */
+
+'use strict';
+
+const PREAMBLE = '(preamble)';
+
+/**
+ * Split markdown into sections, one per heading. Each section's `path` joins the titles
+ * of its ancestors ("Plan > Auth > Rate limits"); `lines` is the text under the heading
+ * up to the next heading of any level. Text before the first heading is the preamble.
+ * Headings inside fenced code blocks are ignored.
+ *
+ * @returns {Array<{ path, title, level, line, lines: string[] }>}
+ */
+function parseSections(text) {
+  const sections = [];
+  const stack = [];
+  const seen = new Map();
+  let current = { path: PREAMBLE, title: PREAMBLE, level: 0, line: 1, lines: [] };
+  let inFence = false;
+
+  String(text).split('\n').forEach((line, idx) => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const m = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!m) {
+      current.lines.push(line);
+      return;
+    }
+    sections.push(current);
+    const level = m[1].length;
+    const title = m[2];
+    while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+    stack.push({ level, title });
+    let p = stack.map(s => s.title).join(' > ');
+    // Repeated headings at the same path get a counter so every section is addressable
+    const n = (seen.get(p) || 0) + 1;
+    seen.set(p, n);
+    if (n > 1) p += ` (${n})`;
+    current = { path: p, title, level, line: idx + 1, lines: [] };
+  });
+  sections.push(current);
+
+  // Drop an empty preamble; trim blank lines around each body so spacing changes don't show as edits
+  return sections
+    .map(s => {
+      const lines = [...s.lines];
+      while (lines.length && lines[lines.length - 1].trim() === '') lines.pop();
+      while (lines.length && lines[0].trim() === '') lines.shift();
+      return { ...s, lines };
+    })
+    .filter(s => s.path !== PREAMBLE || s.lines.some(l => l.trim() !== ''));
+}
+
+/**
+ * Line diff via longest common subsequence.
+ * @returns {Array<{ op: ' ' | '-' | '+', line: string }>}
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) { ops.push({ op: ' ', line: a[i] }); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) { ops.push({ op: '-', line: a[i] }); i++; }
+    else { ops.push({ op: '+', line: b[j] }); j++; }
+  }
+  while (i < n) ops.push({ op: '-', line: a[i++] });
+  while (j < m) ops.push({ op: '+', line: b[j++] });
+  return ops;
+}
+
+/**
+ * Render diff ops as unified-style lines ("- old", "+ new", "  context"), keeping
+ * `context` unchanged lines around each change and eliding the rest as "…".
+ */
+function formatDiff(ops, context = 1) {
+  const keep = ops.map(() => false);
+  ops.forEach((o, idx) => {
+    if (o.op === ' ') return;
+    for (let k = Math.max(0, idx - context); k <= Math.min(ops.length - 1, idx + context); k++) keep[k] = true;
+  });
+  const out = [];
+  let elided = false;
+  ops.forEach((o, idx) => {
+    if (!keep[idx]) {
+      if (!elided) out.push('…');
+      elided = true;
+      return;
+    }
+    elided = false;
+    out.push(`${o.op} ${o.line}`);
+  });
+  if (out[out.length - 1] === '…') out.pop();
+  if (out[0] === '…') out.shift();
+  return out;
+}
+
+module.exports = { PREAMBLE, parseSections, diffLines, formatDiff };
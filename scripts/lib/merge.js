@@ -0,0 +1,247 @@
+/**
+ * merge.js — Act on dedup warnings: merge a duplicate issue into another, or undo a merge
+ *
+ * Every merge is recorded in merges.json with what it changed, so split-issue can put
+ * the duplicate back exactly as it was.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readJson, writeJson } = require('./util');
+const { UsageError } = require('./errors');
+const {
+  MERGED_STATUS, isOpen, isMerged, setIssueStatus, requireWorkspace, getWorkspaceMeta, getIssues, saveIssues,
+  saveIssueSnapshot, appendChangelog,
+} = require('./workspace');
+const { resolvePolicy, getBlockingIssues } = require('./policy');
+const { lockedCommand } = require('./lock');
+
+const SEVERITY_RANK = { LOW: 0, MEDIUM: 1, HIGH: 2, CRITICAL: 3 };
+
+function mergesPath(wsDir) {
+  return path.join(wsDir, 'merges.json');
+}
+
+function getMerges(wsDir) {
+  return fs.existsSync(mergesPath(wsDir)) ? readJson(mergesPath(wsDir)) : [];
+}
+
+function findIssue(issues, id) {
+  const iss = issues.find(i => i.id === id);
+  if (!iss) throw new UsageError(`Issue not found: ${id}`);
+  return iss;
+}
+
+function roundOutputFiles(wsDir) {
+  return fs.readdirSync(wsDir).filter(f => /^round-\d+-output\.json$/.test(f)).sort();
+}
+
+/**
+ * Point round outputs at the surviving issue: `from` is replaced by `into` in each
+ * round's blockers, and dedup warnings pairing the two are marked `merged`.
+ * Returns what was changed, per file, for split-issue to undo.
+ */
+function rewriteRoundOutputs(wsDir, from, into) {
+  const changes = {};
+  for (const file of roundOutputFiles(wsDir)) {
+    const out = readJson(path.join(wsDir, file));
+    const change = {};
+
+    if ((out.blockers || []).includes(from)) {
+      change.blockers = out.blockers;
+      out.blockers = [...new Set(out.blockers.map(id => (id === from ? into : id)))];
+    }
+
+    const pair = [from, into];
+    const marked = [];
+    (out.dedupWarnings || []).forEach((w, idx) => {
+      const newId = (out.newIssues || [])[w.new_issue_index];
+      if (pair.includes(newId) && pair.includes(w.possible_duplicate_of) && !w.merged) {
+        w.merged = true;
+        marked.push(idx);
+      }
+    });
+    if (marked.length) change.mergedWarnings = marked;
+
+    if (Object.keys(change).length) {
+      writeJson(path.join(wsDir, file), out);
+      changes[file] = change;
+    }
+  }
+  return changes;
+}
+
+function restoreRoundOutputs(wsDir, changes) {
+  for (const [file, change] of Object.entries(changes || {})) {
+    const p = path.join(wsDir, file);
+    if (!fs.existsSync(p)) continue;
+    const out = readJson(p);
+    if (change.blockers) out.blockers = change.blockers;
+    for (const idx of change.mergedWarnings || []) {
+      if (out.dedupWarnings && out.dedupWarnings[idx]) delete out.dedupWarnings[idx].merged;
+    }
+    writeJson(p, out);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// COMMAND: merge-issues
+// ---------------------------------------------------------------------------
+/**
+ * Merge issue `from` into issue `into`. The duplicate gets status "merged" and a
+ * `merged_into` pointer; the survivor lists it in `merged_from`, keeps its problem,
+ * fix and evidence in `merged_evidence`, and takes the higher of the two severities.
+ * Merging an open duplicate into a closed issue reopens the survivor as still-open.
+ *
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {string} opts.from     Duplicate issue ID (e.g. ISS-007)
+ * @param {string} opts.into     Surviving issue ID (e.g. ISS-003)
+ * @param {string} [opts.reason]
+ */
+function mergeIssues(opts = {}) {
+  const wsDir = requireWorkspace(opts.workspace);
+  if (!opts.from) throw new UsageError('--from <issue-id> is required');
+  if (!opts.into) throw new UsageError('--into <issue-id> is required');
+  if (opts.from === opts.into) throw new UsageError('Cannot merge an issue into itself');
+
+  const meta   = getWorkspaceMeta(wsDir);
+  const issues = getIssues(wsDir);
+  const src    = findIssue(issues, opts.from);
+  const dst    = findIssue(issues, opts.into);
+  if (isMerged(src)) throw new UsageError(`${src.id} is already merged into ${src.merged_into}`);
+  if (isMerged(dst)) throw new UsageError(`${dst.id} is merged into ${dst.merged_into}; merge into that issue instead`);
+
+  const record = {
+    from:     src.id,
+    into:     dst.id,
+    reason:   opts.reason || null,
+    round:    meta.currentRound,
+    mergedAt: new Date().toISOString(),
+    before:   { fromStatus: src.status, intoStatus: dst.status, intoSeverity: dst.severity },
+    roundOutputs: {},
+    splitAt:  null,
+  };
+
+  dst.merged_from = [...(dst.merged_from || []), src.id];
+  dst.merged_evidence = [...(dst.merged_evidence || []), {
+    id:            src.id,
+    severity:      src.severity,
+    location:      src.location,
+    problem:       src.problem,
+    fix:           src.fix,
+    last_evidence: src.last_evidence || null,
+  }];
+  if (SEVERITY_RANK[src.severity] > SEVERITY_RANK[dst.severity]) dst.severity = src.severity;
+  const by = { round: meta.currentRound, source: 'merge-issues' };
+  if (isOpen(src) && !isOpen(dst)) {
+    setIssueStatus(dst, 'still-open', { ...by, evidence: `${src.id} merged in while open` });
+    dst.round_resolved = null;
+  }
+
+  setIssueStatus(src, MERGED_STATUS, { ...by, evidence: `Merged into ${dst.id}${record.reason ? `: ${record.reason}` : ''}` });
+  src.merged_into = dst.id;
+
+  record.after = { intoStatus: dst.status, intoSeverity: dst.severity };
+  record.roundOutputs = rewriteRoundOutputs(wsDir, src.id, dst.id);
+
+  saveIssues(wsDir, issues);
+  saveIssueSnapshot(wsDir, meta.currentRound, issues);
+  writeJson(mergesPath(wsDir), [...getMerges(wsDir), record]);
+  appendChangelog(wsDir, [
+    `\n## Merge — ${record.mergedAt}`,
+    `${src.id} merged into ${dst.id}${record.reason ? ` — "${record.reason}"` : ''}`,
+    `${dst.id} is now ${dst.severity} / ${dst.status}`,
+    '',
+  ].join('\n'));
+
+  return {
+    from:         src.id,
+    into:         dst.id,
+    severity:     dst.severity,
+    status:       dst.status,
+    mergedFrom:   dst.merged_from,
+    roundOutputs: Object.keys(record.roundOutputs),
+    blockers:     getBlockingIssues(issues, resolvePolicy(meta)).map(i => i.id),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// COMMAND: split-issue
+// ---------------------------------------------------------------------------
+/**
+ * Undo a merge: restore the duplicate's status, drop it from the survivor, and put back
+ * the survivor's severity/status and the round outputs the merge rewrote. Survivor
+ * fields changed since the merge (e.g. by a later review round) are left alone.
+ *
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {string} opts.issue    The merged issue to split back out
+ * @param {string} [opts.reason]
+ */
+function splitIssue(opts = {}) {
+  const wsDir = requireWorkspace(opts.workspace);
+  if (!opts.issue) throw new UsageError('--issue <issue-id> is required');
+  const meta = getWorkspaceMeta(wsDir);
+
+  const issues = getIssues(wsDir);
+  const src    = findIssue(issues, opts.issue);
+  if (!isMerged(src)) throw new UsageError(`${src.id} is not merged (status: ${src.status})`);
+
+  const merges = getMerges(wsDir);
+  const record = [...merges].reverse().find(m => m.from === src.id && !m.splitAt);
+  if (!record) throw new UsageError(`No merge record for ${src.id} in merges.json`);
+  const dst = findIssue(issues, record.into);
+
+  const by = { round: meta.currentRound, source: 'split-issue' };
+  setIssueStatus(src, record.before.fromStatus, { ...by, evidence: `Split out of ${dst.id}${opts.reason ? `: ${opts.reason}` : ''}` });
+  delete src.merged_into;
+
+  dst.merged_from = (dst.merged_from || []).filter(id => id !== src.id);
+  dst.merged_evidence = (dst.merged_evidence || []).filter(e => e.id !== src.id);
+  if (dst.merged_from.length === 0) {
+    delete dst.merged_from;
+    delete dst.merged_evidence;
+  }
+  if (dst.severity === record.after.intoSeverity) {
+    // Highest of the original severity and any duplicates still merged in
+    dst.severity = (dst.merged_evidence || [])
+      .map(e => e.severity)
+      .reduce((a, b) => (SEVERITY_RANK[b] > SEVERITY_RANK[a] ? b : a), record.before.intoSeverity);
+  }
+  if (dst.status === record.after.intoStatus && record.before.intoStatus !== record.after.intoStatus) {
+    setIssueStatus(dst, record.before.intoStatus, { ...by, evidence: `${src.id} split back out` });
+  }
+
+  restoreRoundOutputs(wsDir, record.roundOutputs);
+  record.splitAt     = new Date().toISOString();
+  record.splitReason = opts.reason || null;
+
+  saveIssues(wsDir, issues);
+  saveIssueSnapshot(wsDir, meta.currentRound, issues);
+  writeJson(mergesPath(wsDir), merges);
+  appendChangelog(wsDir, [
+    `\n## Split — ${record.splitAt}`,
+    `${src.id} split back out of ${dst.id}${record.splitReason ? ` — "${record.splitReason}"` : ''}`,
+    `${src.id} is ${src.severity} / ${src.status}; ${dst.id} is ${dst.severity} / ${dst.status}`,
+    '',
+  ].join('\n'));
+
+  return {
+    issue:    src.id,
+    from:     dst.id,
+    status:   src.status,
+    blockers: getBlockingIssues(issues, resolvePolicy(meta)).map(i => i.id),
+  };
+}
+
+module.exports = {
+  mergeIssues: lockedCommand('merge-issues', mergeIssues),
+  splitIssue:  lockedCommand('split-issue', splitIssue),
+  getMerges,
+  mergesPath,
+  restoreRoundOutputs,
+};
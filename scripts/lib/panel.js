@@ -0,0 +1,301 @@
+/**
+ * panel.js — Panel mode: several reviewers per round, aggregated under a verdict policy
+ *
+ * Each panelist's response is validated and recorded in round-N-panel.json by parse-round.
+ * Once all panelists are in, aggregate merges their findings into issues.json (folding
+ * issues that different panelists reported into one, with `raised_by` listing them all)
+ * and computes the round verdict under meta.panelPolicy:
+ *
+ *   unanimous     every panelist must say APPROVED
+ *   majority      more than half must say APPROVED
+ *   any-critical  verdicts are advisory; a CRITICAL issue from any panelist blocks
+ *
+ * The usual approval gate applies on top: open CRITICAL/HIGH issues always mean REVISE, and
+ * an acceptance criterion any panelist marks FAIL counts as failing.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readJson, writeJsonAtomic, toInt } = require('./util');
+const { UsageError } = require('./errors');
+const { createIssueMatcher } = require('./similarity');
+const { workspaceProfile } = require('./profiles');
+const { isOpen, requireWorkspace, getWorkspaceMeta, getIssues } = require('./workspace');
+const {
+  resolveDedupThreshold, applyPriorUpdates, addNewIssues, scoreRubric, commitRound,
+} = require('./round');
+const { lockedCommand } = require('./lock');
+const { auditPriorIssues } = require('./accountability');
+
+const PANEL_POLICIES = ['unanimous', 'majority', 'any-critical'];
+const DEFAULT_PANEL_POLICY = 'unanimous';
+
+const SEVERITY_RANK = { LOW: 0, MEDIUM: 1, HIGH: 2, CRITICAL: 3 };
+
+/** When panelists disagree about a prior issue, the least-resolved status wins. */
+const STATUS_RANK = { 'resolved': 0, 'not-applicable': 0, 'still-open': 1, 'regressed': 2 };
+
+function panelPath(wsDir, round) {
+  return path.join(wsDir, `round-${round}-panel.json`);
+}
+
+/** `{ [model]: { verdict, response, submittedAt } }` recorded so far for a round. */
+function getPanelSubmissions(wsDir, round) {
+  const p = panelPath(wsDir, round);
+  return fs.existsSync(p) ? readJson(p).submissions : {};
+}
+
+/** Panelists that have not submitted for `round`, in panel order. */
+function pendingPanelists(wsDir, meta, round) {
+  const submissions = getPanelSubmissions(wsDir, round);
+  return meta.reviewers.filter(m => !submissions[m]);
+}
+
+/** Check that `reviewer` is a panelist and `round` is the round under review. */
+function checkPanelSubmission(meta, round, reviewer) {
+  if (!reviewer) throw new UsageError('--reviewer <model> is required in panel mode');
+  if (!meta.reviewers.includes(reviewer)) {
+    throw new UsageError(`${reviewer} is not on the review panel (${meta.reviewers.join(', ')})`);
+  }
+  if (round !== meta.currentRound + 1) {
+    throw new UsageError(`Round ${round} is not under review (expected round ${meta.currentRound + 1})`);
+  }
+}
+
+/**
+ * Record one panelist's (already validated) response. Resubmitting replaces the
+ * earlier response from that panelist.
+ */
+function submitPanelReview(wsDir, meta, round, reviewer, parsed) {
+  checkPanelSubmission(meta, round, reviewer);
+
+  const submissions = getPanelSubmissions(wsDir, round);
+  submissions[reviewer] = { verdict: parsed.verdict, response: parsed, submittedAt: new Date().toISOString() };
+  writeJsonAtomic(panelPath(wsDir, round), { round, submissions });
+
+  const pending = meta.reviewers.filter(m => !submissions[m]);
+  return {
+    verdict:         'PENDING',
+    round,
+    reviewer,
+    panelSubmission: true,
+    submitted:       meta.reviewers.filter(m => submissions[m]),
+    pending,
+    next:            pending.length ? 'review' : 'aggregate',
+    warnings:        [],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Aggregation helpers
+// ---------------------------------------------------------------------------
+/** One status update per prior issue: least-resolved status wins, evidence kept per panelist. */
+function combinePriorUpdates(reviewers, submissions) {
+  const updates = {};
+  const statuses = {};
+  for (const model of reviewers) {
+    for (const pu of submissions[model].response.prior_issues || []) {
+      (statuses[pu.id] = statuses[pu.id] || {})[model] = pu.status;
+      const cur = updates[pu.id];
+      const evidence = pu.evidence ? `[${model}] ${pu.evidence}` : null;
+      if (!cur) {
+        updates[pu.id] = { status: pu.status, evidence };
+        continue;
+      }
+      if (STATUS_RANK[pu.status] > STATUS_RANK[cur.status]) cur.status = pu.status;
+      if (evidence) cur.evidence = cur.evidence ? `${cur.evidence}\n${evidence}` : evidence;
+    }
+  }
+  // Credit the status applied to the panelists who reported it
+  for (const [id, byModel] of Object.entries(statuses)) {
+    updates[id].reviewer = Object.keys(byModel).filter(m => byModel[m] === updates[id].status).join(', ');
+  }
+  const disagreements = Object.entries(statuses)
+    .filter(([, byModel]) => new Set(Object.values(byModel)).size > 1)
+    .map(([id, byModel]) => ({ id, statuses: byModel, applied: updates[id].status }));
+  return { updates, disagreements };
+}
+
+/**
+ * Fold new issues that different panelists reported into one. Two reports from the same
+ * panelist are never folded (that is for dedup warnings and a human to judge).
+ */
+function foldPanelIssues(reviewers, submissions, existingIssues, threshold) {
+  const reports = [];
+  for (const model of reviewers) {
+    for (const ni of submissions[model].response.new_issues || []) reports.push({ ...ni, raised_by: [model] });
+  }
+  const matcher = createIssueMatcher([...existingIssues, ...reports]);
+  const folded = [];
+  const merges = [];
+
+  for (const rep of reports) {
+    const reviewer = rep.raised_by[0];
+    let best = null;
+    let target = null;
+    for (const f of folded) {
+      if (f.raised_by.includes(reviewer)) continue;
+      const match = matcher.compare(rep, f);
+      if (match.score >= threshold && (!best || match.score > best.score)) {
+        best = match;
+        target = f;
+      }
+    }
+    if (!target) {
+      folded.push(rep);
+      continue;
+    }
+    target.raised_by.push(reviewer);
+    if (SEVERITY_RANK[rep.severity] > SEVERITY_RANK[target.severity]) target.severity = rep.severity;
+    merges.push({
+      target,
+      reviewer,
+      severity:     rep.severity,
+      location:     rep.location,
+      problem:      rep.problem,
+      similarity:   best.score,
+      matchedTerms: best.matchedTerms,
+    });
+  }
+  return { folded, merges };
+}
+
+/** One result per acceptance criterion: FAIL if any panelist says FAIL, evidence kept per panelist. */
+function combineCriteriaResults(reviewers, submissions) {
+  const combined = new Map();
+  for (const model of reviewers) {
+    for (const cr of submissions[model].response.criteria_results || []) {
+      const cur = combined.get(cr.id) || { id: cr.id, result: 'PASS', evidence: '', byReviewer: {} };
+      if (cr.result === 'FAIL') cur.result = 'FAIL';
+      cur.evidence = [cur.evidence, `[${model}] ${cr.evidence}`].filter(Boolean).join(' ');
+      cur.byReviewer[model] = cr.result;
+      combined.set(cr.id, cur);
+    }
+  }
+  return combined.size ? [...combined.values()] : null;
+}
+
+/** Mean score per rubric dimension over the panelists that scored it. */
+function combineRubrics(reviewers, submissions, profile) {
+  const combined = {};
+  let any = false;
+  for (const { id: dim } of profile.dimensions) {
+    const scores = [];
+    const rationales = [];
+    for (const model of reviewers) {
+      const entry = (submissions[model].response.rubric || {})[dim];
+      if (!entry) continue;
+      any = true;
+      if (typeof entry.score === 'number') scores.push(entry.score);
+      if (entry.rationale) rationales.push(`[${model}] ${entry.rationale}`);
+    }
+    combined[dim] = {
+      score:     scores.length ? Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 100) / 100 : null,
+      rationale: rationales.join(' '),
+    };
+  }
+  return any ? combined : null;
+}
+
+function policyVerdict(policy, reviewers, submissions, folded, issues) {
+  const approvals = reviewers.filter(m => submissions[m].verdict === 'APPROVED').length;
+  if (policy === 'unanimous') return approvals === reviewers.length ? 'APPROVED' : 'REVISE';
+  if (policy === 'majority')  return approvals > reviewers.length / 2 ? 'APPROVED' : 'REVISE';
+  // any-critical: a CRITICAL anyone raised this round, or one still open, blocks
+  const critical = folded.some(i => i.severity === 'CRITICAL')
+    || issues.some(i => isOpen(i) && i.severity === 'CRITICAL');
+  return critical ? 'REVISE' : 'APPROVED';
+}
+
+// ---------------------------------------------------------------------------
+// COMMAND: aggregate
+// ---------------------------------------------------------------------------
+/**
+ * Merge a complete panel's responses into the tracker and close the round.
+ *
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {number} [opts.round]           Default: the round under review
+ * @param {number} [opts.dedupThreshold]  Overrides meta.dedupThreshold for this round
+ * @returns {object} The parse-round result object plus `panel` (per-panelist verdicts)
+ */
+function aggregateRound(opts = {}) {
+  const wsDir = requireWorkspace(opts.workspace);
+  const meta  = getWorkspaceMeta(wsDir);
+  if (meta.mode !== 'panel') throw new UsageError('aggregate is only valid in panel mode');
+
+  const round = toInt(opts.round, meta.currentRound + 1);
+  if (isNaN(round) || round !== meta.currentRound + 1) {
+    throw new UsageError(`Round ${opts.round} is not under review (expected round ${meta.currentRound + 1})`);
+  }
+  const pending = pendingPanelists(wsDir, meta, round);
+  if (pending.length) {
+    throw new UsageError(`Panel incomplete for round ${round}: waiting on ${pending.join(', ')}`);
+  }
+
+  const dedupThreshold = resolveDedupThreshold(meta, opts.dedupThreshold);
+  const submissions = getPanelSubmissions(wsDir, round);
+  const reviewers   = meta.reviewers;
+  const policy      = meta.panelPolicy || DEFAULT_PANEL_POLICY;
+  const issues      = getIssues(wsDir);
+  const warnings    = [];
+
+  // Each panelist is held to account on its own; only legal updates are combined
+  const anomalies = [];
+  const audited = {};
+  for (const m of reviewers) {
+    const audit = auditPriorIssues(issues, submissions[m].response.prior_issues);
+    anomalies.push(...audit.anomalies.map(a => ({ ...a, reviewer: m })));
+    audited[m] = { ...submissions[m], response: { ...submissions[m].response, prior_issues: audit.accepted } };
+  }
+  const { updates, disagreements } = combinePriorUpdates(reviewers, audited);
+  applyPriorUpdates(issues, updates, round, warnings);
+
+  const { folded, merges } = foldPanelIssues(reviewers, submissions, issues, dedupThreshold);
+  const reviewVerdict = policyVerdict(policy, reviewers, submissions, folded, issues);
+  const { assigned, dedupWarnings } = addNewIssues(issues, folded, round, dedupThreshold);
+
+  const profile = workspaceProfile(meta);
+  const { rubric, rubricWarnings } = scoreRubric(combineRubrics(reviewers, submissions, profile), profile);
+  const panel = reviewers.map(m => ({
+    reviewer:  m,
+    verdict:   submissions[m].verdict,
+    newIssues: (submissions[m].response.new_issues || []).length,
+    summary:   submissions[m].response.summary,
+  }));
+
+  const result = commitRound(wsDir, meta, issues, {
+    round,
+    reviewVerdict,
+    summary: panel.map(p => `[${p.reviewer}] ${p.summary}`).join(' | '),
+    rubric,
+    rubricWarnings,
+    criteriaResults: combineCriteriaResults(reviewers, submissions),
+    assigned,
+    dedupWarnings,
+    dedupThreshold,
+    anomalies,
+    warnings,
+    extra: {
+      panelPolicy: policy,
+      panel,
+      panelMerges: merges.map(({ target, ...m }) => ({ into: assigned[folded.indexOf(target)].id, ...m })),
+      statusDisagreements: disagreements,
+    },
+  });
+
+  return { ...result, panelPolicy: policy, panel, statusDisagreements: disagreements };
+}
+
+module.exports = {
+  PANEL_POLICIES,
+  DEFAULT_PANEL_POLICY,
+  getPanelSubmissions,
+  pendingPanelists,
+  checkPanelSubmission,
+  submitPanelReview,
+  aggregateRound: lockedCommand('aggregate', aggregateRound),
+};
@@ -0,0 +1,152 @@
+/**
+ * parse-round.js — Parse a reviewer response and update the issue tracker
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const { readFile, toInt } = require('./util');
+const { UsageError, WorkspaceError, ValidationError } = require('./errors');
+const { requireWorkspace, getWorkspaceMeta, saveMeta, getIssues } = require('./workspace');
+const {
+  responseSchemaOptions, parseReviewResponse, resolveDedupThreshold, roundReviewer, applyPriorUpdates,
+  addNewIssues, scoreRubric, criteriaResultsOf, commitRound,
+} = require('./round');
+const { checkPanelSubmission, submitPanelReview } = require('./panel');
+const { checkStepToken, consumeStepToken } = require('./steps');
+const { recordParseFailure, clearRepair } = require('./repair');
+const { auditPriorIssues, rejectAnomalies } = require('./accountability');
+const { workspaceProfile } = require('./profiles');
+const { lockedCommand } = require('./lock');
+
+/** Raw model output from `opts.response` (a file path) or `opts.responseText`. */
+function loadResponseText(opts) {
+  if (opts.responseText !== undefined) return String(opts.responseText);
+  if (!opts.response) throw new UsageError('--response <file> is required');
+  if (!fs.existsSync(opts.response)) throw new UsageError(`Response file not found: ${opts.response}`);
+  return readFile(opts.response);
+}
+
+/**
+ * Reject a round that is not the next one to review: re-submitting a parsed round would
+ * add its new issues twice, and skipping ahead would leave gaps in the round history.
+ */
+function checkRoundSequence(meta, round) {
+  if (meta.verdict === 'APPROVED' || meta.verdict === 'FORCE_APPROVED') {
+    throw new WorkspaceError(`Round ${round} is out of sequence: the workspace is already ${meta.verdict}.`, { code: 'E_SEQUENCE' });
+  }
+  const expected = meta.currentRound + 1;
+  if (round === expected) return;
+  const why = round < expected
+    ? `round ${round} was already parsed`
+    : `round ${round} skips ahead`;
+  throw new WorkspaceError(`Round ${round} is out of sequence: ${why}; the next round to review is ${expected}.`, { code: 'E_SEQUENCE' });
+}
+
+/**
+ * Apply one round of reviewer output to the workspace.
+ *
+ * In panel mode the response is only recorded for `opts.reviewer`; the tracker is updated
+ * once every panelist has submitted and `aggregate` runs.
+ *
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {number} opts.round
+ * @param {string} [opts.response]      Path to the raw reviewer response (or pass `responseText`)
+ * @param {string} [opts.responseText]
+ * @param {string} [opts.reviewer]      Panel mode: the panelist this response came from
+ * @param {string} [opts.stepToken]     stepToken from the next-step that asked for this review
+ * @param {number} [opts.dedupThreshold]  Overrides meta.dedupThreshold for this round
+ * @returns {object} Round result; `verdict` is APPROVED only when no blockers remain and no
+ *   acceptance criterion FAILs.
+ *   `warnings` lists verdict overrides for the caller to surface.
+ * @throws {ValidationError} when the response is not JSON or fails the schema (including
+ *   criteria_results that do not cover exactly the agreed acceptance criteria), or, with
+ *   `init --accountability strict`, leaves prior issues unaccounted for (see accountability.js).
+ *   The response is kept in the workspace and next-step asks for a repair (see repair.js).
+ * @throws {WorkspaceError} E_SEQUENCE when `round` is not the next round to review
+ * @throws {UsageError} E_STEP_TOKEN when the step token is missing, stale or for another step
+ */
+function parseRound(opts = {}) {
+  const wsDir = opts.workspace;
+  const round = toInt(opts.round, NaN);
+
+  if (!wsDir)    throw new UsageError('--workspace <dir> is required');
+  if (!round || isNaN(round)) throw new UsageError('--round <n> is required');
+  if (!opts.response && opts.responseText === undefined) throw new UsageError('--response <file> is required');
+  requireWorkspace(wsDir);
+
+  const meta = getWorkspaceMeta(wsDir);
+  const dedupThreshold = resolveDedupThreshold(meta, opts.dedupThreshold);
+  const raw = loadResponseText(opts);
+
+  if (meta.mode !== 'panel' && opts.reviewer) throw new UsageError('--reviewer is only valid in panel mode');
+  if (meta.mode === 'panel') checkPanelSubmission(meta, round, opts.reviewer);
+  else checkRoundSequence(meta, round);
+  // A repair prompt is answered like the review it repairs
+  const step = {
+    action:   meta.pendingStep && meta.pendingStep.action === 'repair' ? 'repair' : 'review',
+    round,
+    reviewer: opts.reviewer,
+  };
+  checkStepToken(meta, step, opts.stepToken);
+
+  const issues = getIssues(wsDir);
+  let parsed, audit;
+  try {
+    parsed = parseReviewResponse(raw, responseSchemaOptions(meta));
+    audit = auditPriorIssues(issues, parsed.prior_issues);
+    if (audit.anomalies.length && meta.accountability === 'strict') rejectAnomalies(audit.anomalies);
+  } catch (e) {
+    if (!(e instanceof ValidationError)) throw e;
+    recordParseFailure(wsDir, meta, { round, reviewer: opts.reviewer, raw, error: e });
+    saveMeta(wsDir, meta);
+    throw e;
+  }
+  consumeStepToken(meta, step, opts.stepToken);
+  clearRepair(wsDir, meta, round, opts.reviewer);
+
+  if (meta.mode === 'panel') {
+    const submitted = submitPanelReview(wsDir, meta, round, opts.reviewer, parsed);
+    saveMeta(wsDir, meta);
+    return submitted;
+  }
+
+  const warnings = [];
+  const reviewer = roundReviewer(meta, round);
+
+  // ---- Process prior issue status updates ----
+  const priorUpdateMap = {};
+  for (const pu of audit.accepted) {
+    priorUpdateMap[pu.id] = reviewer ? { ...pu, reviewer } : pu;
+  }
+  applyPriorUpdates(issues, priorUpdateMap, round, warnings);
+
+  // ---- Dedup check on new issues ----
+  const { assigned, dedupWarnings } = addNewIssues(
+    issues,
+    (parsed.new_issues || []).map(ni => (reviewer ? { ...ni, raised_by: [reviewer] } : ni)),
+    round,
+    dedupThreshold
+  );
+
+  // ---- Rubric scoring ----
+  const { rubric, rubricWarnings } = scoreRubric(parsed.rubric, workspaceProfile(meta));
+
+  return commitRound(wsDir, meta, issues, {
+    round,
+    reviewVerdict: parsed.verdict,
+    summary:       parsed.summary,
+    rubric,
+    rubricWarnings,
+    criteriaResults: criteriaResultsOf(parsed),
+    assigned,
+    dedupWarnings,
+    dedupThreshold,
+    anomalies: audit.anomalies,
+    warnings,
+  });
+}
+
+module.exports = { parseRound: lockedCommand('parse-round', parseRound), loadResponseText };
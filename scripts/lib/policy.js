@@ -0,0 +1,228 @@
+/**
+ * policy.js — Approval policy: what keeps a plan from being approved
+ *
+ * A workspace's policy lives in meta.approvalPolicy (set at init from --policy <file> and
+ * flags); fields left out fall back to DEFAULT_POLICY, which is the original gate:
+ *
+ *   blockingSeverities   open issues at these severities block (default CRITICAL, HIGH)
+ *   categorySeverities   { [category]: severities } replacing blockingSeverities for issues
+ *                        the reviewer tagged with that category (the profile's category list)
+ *   minRubricAverage     the round's rubric average must reach this (default: no minimum)
+ *   minDimensionScores   { [profile dimension]: minimum score } (dimensions scored null are skipped)
+ *   failedCriteriaBlock  a FAIL in criteria_results blocks (default true)
+ *
+ * parse-round, aggregate, next-step, status and finalize all evaluate the same policy, and
+ * every block is reported with the rule that caused it.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const { readJson } = require('./util');
+const { UsageError } = require('./errors');
+const { VALID_SEVERITIES } = require('./schema');
+const { isOpen } = require('./workspace');
+const { loadProfile, workspaceProfile, DEFAULT_PROFILE } = require('./profiles');
+
+const DEFAULT_POLICY = Object.freeze({
+  blockingSeverities:  ['CRITICAL', 'HIGH'],
+  categorySeverities:  {},
+  minRubricAverage:    null,
+  minDimensionScores:  {},
+  failedCriteriaBlock: true,
+});
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+/** `"CRITICAL,high"` or `['CRITICAL']` → `['CRITICAL']`, validated. An empty list blocks nothing. */
+function parseSeverities(value, where) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const severities = list.map(s => String(s).trim().toUpperCase()).filter(Boolean);
+  const bad = severities.filter(s => !VALID_SEVERITIES.has(s));
+  if (bad.length) throw new UsageError(`${where}: unknown severity ${bad.join(', ')} (expected CRITICAL, HIGH, MEDIUM or LOW)`);
+  return [...new Set(severities)];
+}
+
+function checkName(name, allowed, what, where) {
+  if (!allowed.includes(name)) {
+    throw new UsageError(`${where}: unknown ${what} "${name}" (expected one of ${allowed.join(', ')})`);
+  }
+}
+
+function checkScore(value, where) {
+  const n = Number(value);
+  if (value === '' || value === null || isNaN(n) || n < 0 || n > 5) throw new UsageError(`${where} must be a number from 0 to 5`);
+  return n;
+}
+
+/**
+ * Fill in and validate a policy against the workspace's review profile. Unknown fields,
+ * categories and dimensions are rejected so a typo cannot silently weaken the gate.
+ * @throws {UsageError}
+ */
+function normalizePolicy(input = {}, profile = loadProfile(DEFAULT_PROFILE)) {
+  const dimensionIds = profile.dimensions.map(d => d.id);
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new UsageError('Approval policy must be a JSON object');
+  const unknown = Object.keys(input).filter(k => !POLICY_FIELDS.includes(k));
+  if (unknown.length) throw new UsageError(`Approval policy: unknown field ${unknown.join(', ')} (expected ${POLICY_FIELDS.join(', ')})`);
+
+  const policy = {
+    ...DEFAULT_POLICY,
+    categorySeverities: {},
+    minDimensionScores: {},
+  };
+  if (input.blockingSeverities !== undefined) {
+    policy.blockingSeverities = parseSeverities(input.blockingSeverities, 'blockingSeverities');
+  }
+  for (const [dim, sevs] of Object.entries(input.categorySeverities || {})) {
+    checkName(dim, profile.categories, 'issue category', 'categorySeverities');
+    policy.categorySeverities[dim] = parseSeverities(sevs, `categorySeverities.${dim}`);
+  }
+  if (input.minRubricAverage !== undefined && input.minRubricAverage !== null) {
+    policy.minRubricAverage = checkScore(input.minRubricAverage, 'minRubricAverage');
+  }
+  for (const [dim, min] of Object.entries(input.minDimensionScores || {})) {
+    checkName(dim, dimensionIds, 'rubric dimension', 'minDimensionScores');
+    policy.minDimensionScores[dim] = checkScore(min, `minDimensionScores.${dim}`);
+  }
+  if (input.failedCriteriaBlock !== undefined) {
+    if (typeof input.failedCriteriaBlock !== 'boolean') throw new UsageError('failedCriteriaBlock must be true or false');
+    policy.failedCriteriaBlock = input.failedCriteriaBlock;
+  }
+  return policy;
+}
+
+/**
+ * Build the policy for a new workspace: the `--policy` file, then individual flags on top.
+ *
+ * @param {object} opts  { policy?: path, blockOn?: severities, minRubricAverage?: number }
+ * @param {object} [profile]  The workspace's review profile
+ */
+function policyFromOptions(opts = {}, profile) {
+  let input = {};
+  if (opts.policy) {
+    if (!fs.existsSync(opts.policy)) throw new UsageError(`Policy file not found: ${opts.policy}`);
+    try {
+      input = readJson(opts.policy);
+    } catch (e) {
+      throw new UsageError(`Policy file is not valid JSON: ${opts.policy} (${e.message})`);
+    }
+  }
+  input = { ...input };
+  if (opts.blockOn !== undefined)          input.blockingSeverities = opts.blockOn;
+  if (opts.minRubricAverage !== undefined) input.minRubricAverage = opts.minRubricAverage;
+  return normalizePolicy(input, profile);
+}
+
+/** The workspace's policy; workspaces created before policies existed get the default. */
+function resolvePolicy(meta) {
+  return normalizePolicy((meta && meta.approvalPolicy) || {}, workspaceProfile(meta));
+}
+
+/** The rule under which an open issue blocks, or null if it does not. */
+function issueBlockingRule(issue, policy = DEFAULT_POLICY) {
+  if (!isOpen(issue)) return null;
+  const byCategory = issue.category && (policy.categorySeverities || {})[issue.category];
+  if (byCategory) return byCategory.includes(issue.severity) ? `category-severity:${issue.category}` : null;
+  return policy.blockingSeverities.includes(issue.severity) ? 'blocking-severity' : null;
+}
+
+/** Open issues that block approval under `policy` (exported by the API as getOpenBlockers). */
+function getBlockingIssues(issues, policy = DEFAULT_POLICY) {
+  return issues.filter(iss => issueBlockingRule(iss, policy) !== null);
+}
+
+/**
+ * Evaluate the policy against the current state.
+ *
+ * @param {object} policy
+ * @param {object} state
+ * @param {object[]} state.issues
+ * @param {object|null} [state.rubric]    A scored rubric (`_average` and `{ score }` per dimension)
+ * @param {object[]} [state.criteria]     `[{ id, result }]`
+ * @returns {{ blocked: boolean, blockers: object[], failingCriteria: string[],
+ *             reasons: Array<{ rule: string, message: string, ids?: string[] }> }}
+ */
+function evaluateApproval(policy, state) {
+  const reasons  = [];
+  const blockers = getBlockingIssues(state.issues, policy);
+
+  const byRule = {};
+  for (const iss of blockers) {
+    const rule = issueBlockingRule(iss, policy);
+    (byRule[rule] = byRule[rule] || []).push(iss);
+  }
+  for (const [rule, list] of Object.entries(byRule)) {
+    const ids = list.map(i => i.id);
+    const category = rule.startsWith('category-severity:') ? rule.slice('category-severity:'.length) : null;
+    const severities = category ? policy.categorySeverities[category] : policy.blockingSeverities;
+    reasons.push({
+      rule: category ? 'category-severity' : 'blocking-severity',
+      message: `${list.length} ${category ? `${category} ` : ''}${severities.join('/')} issue(s) still open (${ids.join(', ')})`,
+      ids,
+      ...(category ? { category } : {}),
+    });
+  }
+
+  const rubric = state.rubric || null;
+  if (policy.minRubricAverage !== null) {
+    const avg = rubric && typeof rubric._average === 'number' ? rubric._average : null;
+    if (avg === null) {
+      reasons.push({ rule: 'min-rubric-average', message: `no rubric scores to check against the minimum average ${policy.minRubricAverage}` });
+    } else if (avg < policy.minRubricAverage) {
+      reasons.push({ rule: 'min-rubric-average', message: `rubric average ${avg} is below the minimum ${policy.minRubricAverage}` });
+    }
+  }
+  for (const [dim, min] of Object.entries(policy.minDimensionScores)) {
+    const entry = rubric && rubric[dim];
+    if (!entry || typeof entry.score !== 'number') continue;
+    if (entry.score < min) {
+      reasons.push({ rule: 'min-dimension-score', message: `${dim} scored ${entry.score}, below the minimum ${min}`, dimension: dim });
+    }
+  }
+
+  const failingCriteria = (state.criteria || []).filter(c => c.result === 'FAIL').map(c => c.id);
+  if (policy.failedCriteriaBlock && failingCriteria.length) {
+    reasons.push({ rule: 'failed-criteria', message: `${failingCriteria.length} acceptance criteria failing (${failingCriteria.join(', ')})`, ids: failingCriteria });
+  }
+
+  return {
+    blocked: reasons.length > 0,
+    blockers,
+    failingCriteria: policy.failedCriteriaBlock ? failingCriteria : [],
+    reasons,
+  };
+}
+
+/** Human-readable rules, one per line, for prompts and status. */
+function describePolicy(policy) {
+  const lines = [];
+  lines.push(policy.blockingSeverities.length
+    ? `Open ${policy.blockingSeverities.join('/')} issues block approval`
+    : 'Issue severity alone never blocks approval');
+  for (const [dim, sevs] of Object.entries(policy.categorySeverities)) {
+    lines.push(`Open ${dim} issues block at ${sevs.length ? sevs.join('/') : 'no severity'}`);
+  }
+  if (policy.minRubricAverage !== null) lines.push(`Rubric average must be at least ${policy.minRubricAverage}`);
+  for (const [dim, min] of Object.entries(policy.minDimensionScores)) lines.push(`Rubric ${dim} must score at least ${min}`);
+  lines.push(policy.failedCriteriaBlock ? 'A FAIL on any acceptance criterion blocks approval' : 'Acceptance criteria results are advisory');
+  return lines;
+}
+
+/** True when `policy` is exactly the built-in gate (so prompts need not spell it out). */
+function isDefaultPolicy(policy) {
+  return JSON.stringify(policy) === JSON.stringify(normalizePolicy({}));
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  normalizePolicy,
+  policyFromOptions,
+  resolvePolicy,
+  issueBlockingRule,
+  getBlockingIssues,
+  evaluateApproval,
+  describePolicy,
+  isDefaultPolicy,
+};
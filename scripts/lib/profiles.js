@@ -0,0 +1,182 @@
+/**
+ * profiles.js — Review profiles: which rubric dimensions a review scores, and how
+ *
+ * A profile declares its rubric dimensions (each with a weight, and optionally `optional`
+ * so a response may leave it out), the categories issues can be tagged with, and prompt
+ * template overrides. `init --profile` picks a built-in profile by name or loads one from a
+ * JSON file; the resolved profile is stored in meta.profile so the workspace keeps reviewing
+ * against the same rubric even if the file changes later.
+ *
+ * Workspaces created before profiles existed use the `default` profile.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readJson } = require('./util');
+const { UsageError } = require('./errors');
+
+const DEFAULT_PROFILE = 'default';
+
+const DIMENSION_ID = /^[a-z][a-z0-9_]*$/;
+
+/** Shared dimension definitions; profiles pick from these and set their own weights. */
+const DIMENSIONS = {
+  security:        { label: 'Security',        description: 'Auth, input validation, secrets management, injection risks, rate limiting' },
+  data_integrity:  { label: 'Data Integrity',  description: 'Schema consistency, migrations, state conflicts, atomicity' },
+  concurrency:     { label: 'Concurrency',     description: 'Race conditions, deadlocks, lack of locking' },
+  error_handling:  { label: 'Error Handling',  description: 'Failure modes, retries, graceful degradation, timeouts' },
+  scalability:     { label: 'Scalability',     description: 'Bottlenecks, unbounded operations, resource limits' },
+  completeness:    { label: 'Completeness',    description: 'Edge cases, untested paths, unstated assumptions' },
+  maintainability: { label: 'Maintainability', description: 'Code organization, naming clarity, documentation, tech debt' },
+  differentiation: {
+    label:       'Differentiation',
+    description: 'Does this plan contain specific, non-obvious decisions grounded in the project, or could a default LLM have produced it from a generic prompt? Score 0 for boilerplate, 5 if every decision is grounded in project context',
+  },
+  threat_model:    { label: 'Threat Model',    description: 'Attackers, trust boundaries and abuse cases identified, with a mitigation for each' },
+  rollback:        { label: 'Rollback',        description: 'Every step reversible or gated; a tested restore path; what happens to data written mid-migration' },
+  observability:   { label: 'Observability',   description: 'Progress, lag and failures visible while the change runs; alerts on the ones that matter' },
+  accessibility:   { label: 'Accessibility',   description: 'Keyboard and screen-reader support, contrast, focus management' },
+  performance:     { label: 'Performance',     description: 'Bundle size, render cost, network waterfalls, perceived latency' },
+  ux_states:       { label: 'UX States',       description: 'Loading, empty, error and partial states designed, not just the happy path' },
+};
+
+function dims(weights, optional = []) {
+  return Object.entries(weights).map(([id, weight]) => ({ id, ...DIMENSIONS[id], weight, optional: optional.includes(id) }));
+}
+
+const BUILTIN_PROFILES = {
+  'default': {
+    description: 'General-purpose engineering review',
+    dimensions:  dims({
+      security: 1, data_integrity: 1, concurrency: 1, error_handling: 1,
+      scalability: 1, completeness: 1, maintainability: 1, differentiation: 1,
+    }, ['differentiation']),
+  },
+  'security': {
+    description: 'Security-sensitive changes: auth, payments, secrets, multi-tenant data',
+    dimensions:  dims({
+      security: 3, threat_model: 2, data_integrity: 2, error_handling: 2,
+      concurrency: 1, completeness: 1, maintainability: 1,
+    }),
+  },
+  'data-migration': {
+    description: 'Schema changes, backfills and data moves',
+    dimensions:  dims({
+      data_integrity: 3, rollback: 3, concurrency: 2, scalability: 2,
+      error_handling: 2, observability: 1, completeness: 1,
+    }),
+  },
+  'frontend': {
+    description: 'UI features and client-side changes',
+    dimensions:  dims({
+      ux_states: 2, accessibility: 2, performance: 2, error_handling: 1,
+      security: 1, completeness: 1, maintainability: 1,
+    }),
+  },
+  'mvp': {
+    description: 'Prototypes and MVPs: proportionate, shippable, not gold-plated',
+    dimensions:  dims({
+      completeness: 2, error_handling: 1, security: 1, maintainability: 1, differentiation: 1,
+    }),
+  },
+};
+
+/**
+ * Validate a profile definition and fill in defaults. `baseDir` is where relative template
+ * paths are resolved from.
+ * @throws {UsageError}
+ */
+function normalizeProfile(name, def, baseDir) {
+  const where = `Profile "${name}"`;
+  if (!def || typeof def !== 'object' || Array.isArray(def)) throw new UsageError(`${where} must be a JSON object`);
+  if (!Array.isArray(def.dimensions) || def.dimensions.length === 0) throw new UsageError(`${where}: dimensions must be a non-empty array`);
+
+  const seen = new Set();
+  const dimensions = def.dimensions.map((d, i) => {
+    const entry = typeof d === 'string' ? { id: d } : d;
+    if (!entry || !DIMENSION_ID.test(entry.id || '')) {
+      throw new UsageError(`${where}: dimensions[${i}].id must be snake_case (e.g. "data_integrity")`);
+    }
+    if (seen.has(entry.id)) throw new UsageError(`${where}: dimension ${entry.id} is declared twice`);
+    seen.add(entry.id);
+    const known  = DIMENSIONS[entry.id] || {};
+    const weight = entry.weight === undefined ? 1 : Number(entry.weight);
+    if (!(weight > 0)) throw new UsageError(`${where}: dimensions[${i}].weight must be a positive number`);
+    return {
+      id:          entry.id,
+      label:       entry.label || known.label || entry.id,
+      description: entry.description || known.description || '',
+      weight,
+      optional:    !!entry.optional,
+    };
+  });
+
+  const ids = dimensions.map(d => d.id);
+  const categories = def.categories === undefined ? ids : def.categories;
+  if (!Array.isArray(categories) || categories.some(c => !DIMENSION_ID.test(String(c)))) {
+    throw new UsageError(`${where}: categories must be an array of snake_case names`);
+  }
+
+  const templates = {};
+  for (const [template, file] of Object.entries(def.templates || {})) {
+    const resolved = path.resolve(baseDir || process.cwd(), file);
+    if (!fs.existsSync(resolved)) throw new UsageError(`${where}: template override for ${template} not found: ${resolved}`);
+    templates[template] = resolved;
+  }
+
+  return { name, description: def.description || '', dimensions, categories: [...new Set(categories)], templates };
+}
+
+/**
+ * Resolve `--profile`: a built-in profile name, or a path to a profile JSON file.
+ * @throws {UsageError} for unknown names and invalid files
+ */
+function loadProfile(nameOrPath) {
+  const ref = nameOrPath || DEFAULT_PROFILE;
+  if (BUILTIN_PROFILES[ref]) return normalizeProfile(ref, BUILTIN_PROFILES[ref]);
+  if (!/\.json$/i.test(ref) && !fs.existsSync(ref)) {
+    throw new UsageError(`Unknown profile "${ref}". Built-in profiles: ${Object.keys(BUILTIN_PROFILES).join(', ')}; or pass a profile JSON file.`);
+  }
+  if (!fs.existsSync(ref)) throw new UsageError(`Profile file not found: ${ref}`);
+  let def;
+  try {
+    def = readJson(ref);
+  } catch (e) {
+    throw new UsageError(`Profile file is not valid JSON: ${ref} (${e.message})`);
+  }
+  return normalizeProfile(def.name || path.basename(ref, '.json'), def, path.dirname(path.resolve(ref)));
+}
+
+/** The profile a workspace reviews against. */
+function workspaceProfile(meta) {
+  return (meta && meta.profile) || loadProfile(DEFAULT_PROFILE);
+}
+
+
+/** Numbered "**Label** — description" list for the reviewer prompt. */
+function renderReviewCriteria(profile) {
+  return profile.dimensions
+    .map((d, i) => `${i + 1}. **${d.label}**${d.description ? ` — ${d.description}` : ''}`)
+    .join('\n');
+}
+
+/** The rubric object of the required output format, one line per dimension. */
+function renderRubricSchema(profile) {
+  const width = Math.max(...profile.dimensions.map(d => d.id.length)) + 3;
+  return profile.dimensions
+    .map(d => `    ${`"${d.id}":`.padEnd(width)} { "score": 0-5 | null, "rationale": "one-line justification" }`)
+    .join(',\n');
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  BUILTIN_PROFILES,
+  normalizeProfile,
+  loadProfile,
+  workspaceProfile,
+  renderReviewCriteria,
+  renderRubricSchema,
+};
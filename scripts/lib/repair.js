@@ -0,0 +1,116 @@
+/**
+ * repair.js — Reviewer responses that fail to parse, and the repair re-prompt loop
+ *
+ * When parse-round cannot extract JSON from a review or the JSON fails the schema, the raw
+ * output is kept as round-N-invalid-A.txt (round-N-invalid-K-A.txt for panelist K) and
+ * meta.repair records the round, reviewer, attempt count and exact errors. Records are keyed by
+ * panelist (`single` outside panel mode), so each panelist's repairs are counted on their own.
+ * The step token is not used up, so the same step can be answered again.
+ *
+ * next-step then returns a `repair` action for that round: a prompt quoting the original
+ * output and the errors, answered with parse-round like the review itself. Once
+ * meta.maxRepairs repairs (`init --max-repairs`, default 2) have failed as well, next-step
+ * returns `error` instead and drops the pending step, so a hand-fixed response can be
+ * submitted without a token.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { appendChangelog } = require('./workspace');
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+/** Errors of a ValidationError as a list: the schema errors, else the message. */
+function errorList(err) {
+  return err.errors && err.errors.length ? err.errors.slice() : [err.message];
+}
+
+function maxRepairs(meta) {
+  return meta.maxRepairs === undefined ? DEFAULT_MAX_REPAIRS : meta.maxRepairs;
+}
+
+const SINGLE_REVIEWER = 'single';
+
+function repairKey(reviewer) {
+  return reviewer || SINGLE_REVIEWER;
+}
+
+/** meta.repair by reviewer; workspaces from before panel repairs hold a single record. */
+function repairRecords(meta) {
+  const r = meta.repair;
+  if (!r) return {};
+  return typeof r.round === 'number' ? { [repairKey(r.reviewer)]: r } : r;
+}
+
+/** Every repair record still open. */
+function pendingRepairs(meta) {
+  return Object.values(repairRecords(meta));
+}
+
+/** The repair record for a review of `round` by `reviewer` (panel mode), or null. */
+function pendingRepair(meta, round, reviewer) {
+  const r = repairRecords(meta)[repairKey(reviewer)];
+  return r && r.round === round ? r : null;
+}
+
+/** File the raw output of failed attempt `attempt` is kept in. */
+function invalidResponseFile(meta, round, reviewer, attempt) {
+  const k = reviewer ? `-${meta.reviewers.indexOf(reviewer) + 1}` : '';
+  return `round-${round}-invalid${k}-${attempt}.txt`;
+}
+
+/**
+ * Record a response for `round` that failed to parse. The caller saves meta.
+ * @returns {object} The reviewer's updated repair record
+ */
+function recordParseFailure(wsDir, meta, { round, reviewer, raw, error }) {
+  const previous = pendingRepair(meta, round, reviewer);
+  const attempt  = previous ? previous.attempts + 1 : 1;
+  const file     = invalidResponseFile(meta, round, reviewer, attempt);
+  fs.writeFileSync(path.join(wsDir, file), raw, 'utf8');
+
+  const record = {
+    round,
+    reviewer:  reviewer || null,
+    attempts:  attempt,
+    errors:    errorList(error),
+    files:     [...(previous ? previous.files : []), file],
+    firstAt:   previous ? previous.firstAt : new Date().toISOString(),
+    lastAt:    new Date().toISOString(),
+  };
+  meta.repair = { ...repairRecords(meta), [repairKey(reviewer)]: record };
+  appendChangelog(wsDir, `\n## Round ${round} — response rejected${reviewer ? ` (${reviewer})` : ''} — ${record.lastAt}\n`
+    + `Attempt ${attempt}, kept as ${file}: ${record.errors.join('; ')}\n`);
+  return record;
+}
+
+/** A response for `round` parsed: retire its repair record, if any. The caller saves meta. */
+function clearRepair(wsDir, meta, round, reviewer) {
+  const r = pendingRepair(meta, round, reviewer);
+  if (!r) return null;
+  const rest = repairRecords(meta);
+  delete rest[repairKey(reviewer)];
+  if (Object.keys(rest).length) meta.repair = rest;
+  else delete meta.repair;
+  meta.repairLog = [...(meta.repairLog || []), { round, reviewer: r.reviewer, failedAttempts: r.attempts, resolvedAt: new Date().toISOString() }];
+  appendChangelog(wsDir, `Round ${round} response accepted after ${r.attempts} rejected attempt(s)${r.reviewer ? ` (${r.reviewer})` : ''}\n`);
+  return r;
+}
+
+/** True once every allowed repair has failed too (attempt 1 is the review, then one per repair). */
+function repairsExhausted(meta, repair) {
+  return repair.attempts > maxRepairs(meta);
+}
+
+module.exports = {
+  DEFAULT_MAX_REPAIRS,
+  maxRepairs,
+  pendingRepair,
+  pendingRepairs,
+  recordParseFailure,
+  clearRepair,
+  repairsExhausted,
+};
@@ -0,0 +1,426 @@
+/**
+ * report.js — Self-contained HTML report of a review workspace
+ *
+ * One offline HTML file (inline CSS and SVG, no scripts or external assets) for people who
+ * will not read changelog.md or summary.json: the round timeline, rubric charts, each issue's
+ * status round by round (from the round-N-issues.json snapshots), the criteria negotiation
+ * including rejected proposals, side-by-side plan diffs and any force-approve log.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readJson } = require('./util');
+const { UsageError } = require('./errors');
+const { workspaceProfile } = require('./profiles');
+const {
+  isOpen, requireWorkspace, getWorkspaceMeta, getIssues, getIssueSnapshot, getCriteriaStatus, listPlanVersions, planTitle,
+} = require('./workspace');
+const { roundReviewer } = require('./round');
+const { diffPlans } = require('./diff');
+
+const REPORT_FORMATS = ['html'];
+const REPORT_FILE    = 'report.html';
+
+const COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#ca8a04', '#db2777', '#4b5563', '#65a30d'];
+
+const VERDICT_CLASS = { APPROVED: 'ok', FORCE_APPROVED: 'warn', REVISE: 'bad', PENDING: 'muted' };
+const STATUS_CLASS  = {
+  'open': 'bad', 'still-open': 'bad', 'regressed': 'bad', 'disputed': 'warn',
+  'resolved': 'ok', 'not-applicable': 'muted', 'force-approved': 'warn', 'waived': 'warn', 'merged': 'muted',
+};
+
+function esc(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function badge(text, cls) {
+  return `<span class="badge ${cls || 'muted'}">${esc(text)}</span>`;
+}
+
+function readIfExists(p) {
+  return fs.existsSync(p) ? readJson(p) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Data
+// ---------------------------------------------------------------------------
+
+function loadRounds(wsDir, meta) {
+  const rounds = [];
+  for (let r = 1; r <= meta.currentRound; r++) {
+    const output = readIfExists(path.join(wsDir, `round-${r}-output.json`));
+    if (output) rounds.push(output);
+  }
+  return rounds;
+}
+
+/**
+ * Status of each issue after each round: from the round snapshots where they exist, otherwise
+ * reconstructed from round_found / round_resolved (workspaces from before snapshots).
+ */
+function issueLifecycles(wsDir, issues, rounds) {
+  const snapshots = rounds.map(r => {
+    const snap = getIssueSnapshot(wsDir, r.round);
+    return snap ? new Map(snap.map(i => [i.id, i.status])) : null;
+  });
+  return new Map(issues.map(iss => [iss.id, rounds.map((r, idx) => {
+    if (snapshots[idx]) return snapshots[idx].get(iss.id) || null;
+    if (r.round < iss.round_found) return null;
+    if (iss.round_resolved !== null && iss.round_resolved !== undefined && r.round >= iss.round_resolved) return iss.status;
+    return 'open';
+  })]));
+}
+
+// ---------------------------------------------------------------------------
+// SVG charts
+// ---------------------------------------------------------------------------
+
+/** Line chart of 0-5 scores per round. `series` is [{ label, color, values: (number|null)[], bold }]. */
+function lineChart(roundNumbers, series, { width = 640, height = 220 } = {}) {
+  const pad = { left: 32, right: 16, top: 12, bottom: 28 };
+  const w = width - pad.left - pad.right;
+  const h = height - pad.top - pad.bottom;
+  const x = idx => pad.left + (roundNumbers.length === 1 ? w / 2 : (idx * w) / (roundNumbers.length - 1));
+  const y = v => pad.top + h - (v / 5) * h;
+
+  const grid = [0, 1, 2, 3, 4, 5].map(v =>
+    `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(v)}" y2="${y(v)}" class="grid"/>` +
+    `<text x="${pad.left - 8}" y="${y(v) + 4}" class="axis" text-anchor="end">${v}</text>`
+  ).join('');
+  const xLabels = roundNumbers.map((n, idx) =>
+    `<text x="${x(idx)}" y="${height - 8}" class="axis" text-anchor="middle">R${n}</text>`
+  ).join('');
+
+  const lines = series.map(s => {
+    const points = s.values.map((v, idx) => (typeof v === 'number' ? [x(idx), y(v), v] : null));
+    // Break the line where a round has no score
+    const segments = [];
+    let current = [];
+    for (const p of points) {
+      if (p) current.push(p);
+      else if (current.length) { segments.push(current); current = []; }
+    }
+    if (current.length) segments.push(current);
+    const paths = segments.filter(seg => seg.length > 1).map(seg =>
+      `<polyline fill="none" stroke="${s.color}" stroke-width="${s.bold ? 3 : 1.5}" points="${seg.map(p => `${p[0].toFixed(1)},${p[1].toFixed(1)}`).join(' ')}"/>`
+    ).join('');
+    const dots = points.map((p, idx) => p
+      ? `<circle cx="${p[0].toFixed(1)}" cy="${p[1].toFixed(1)}" r="${s.bold ? 4 : 3}" fill="${s.color}"><title>${esc(s.label)}, round ${roundNumbers[idx]}: ${p[2]}</title></circle>`
+      : '').join('');
+    return paths + dots;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">${grid}${xLabels}${lines}</svg>`;
+}
+
+function legend(series) {
+  return `<div class="legend">${series.map(s =>
+    `<span><i style="background:${s.color}"></i>${esc(s.label)}</span>`).join('')}</div>`;
+}
+
+// ---------------------------------------------------------------------------
+// Sections
+// ---------------------------------------------------------------------------
+
+function renderHeader(ctx) {
+  const { meta, profile, summary } = ctx;
+  const verdict = meta.verdict || 'PENDING';
+  const title = planTitle(ctx.wsDir) || 'Plan review';
+  const models = meta.mode === 'panel'
+    ? `Panel: ${(meta.reviewers || []).join(', ')} · Planner: ${meta.plannerModel}`
+    : meta.mode === 'alternating'
+      ? `Model A: ${meta.modelA} · Model B: ${meta.modelB}`
+      : `Reviewer: ${meta.reviewerModel} · Planner: ${meta.plannerModel}`;
+  const counts = summary
+    ? `${summary.totalIssuesFound} issues found, ${summary.issuesResolved} resolved, ${summary.issuesUnresolved} unresolved`
+    : `${ctx.issues.length} issues, ${ctx.issues.filter(isOpen).length} open`;
+  return `<header>
+  <h1>${esc(title)}</h1>
+  <p>${badge(verdict, VERDICT_CLASS[verdict])} ${esc(`${meta.currentRound} round(s) · ${meta.mode} mode · ${profile.name} profile`)}</p>
+  <p class="muted">${esc(models)}</p>
+  <p class="muted">${esc(counts)}</p>
+  <p class="muted">Workspace ${esc(meta.wsDir)} · started ${esc(meta.created)}${meta.completedAt ? ` · finalized ${esc(meta.completedAt)}` : ''}</p>
+</header>`;
+}
+
+function renderForceApprove(ctx) {
+  const log = ctx.summary && ctx.summary.force_approve_log;
+  if (!log) return '';
+  const rows = [
+    ['Actor', log.actor],
+    ['Reason', log.reason],
+    ['When', log.timestamp],
+    ['Unresolved issues', (log.unresolved_issues || []).join(', ') || 'none'],
+    ['Failing criteria', (log.failing_criteria || []).join(', ') || 'none'],
+    ['Blocked by', (log.blocked_by || []).join('; ') || '—'],
+    ['Confirmation', log.ci_force ? '--ci-force' : log.tty_confirmed ? 'typed CONFIRM' : '—'],
+  ];
+  return `<section class="callout warn">
+  <h2>Force-approved</h2>
+  <table class="kv">${rows.map(([k, v]) => `<tr><th>${esc(k)}</th><td>${esc(v)}</td></tr>`).join('')}</table>
+</section>`;
+}
+
+function renderTimeline(ctx) {
+  const { wsDir, meta, rounds, issues } = ctx;
+  const items = [];
+  const proposed = readIfExists(path.join(wsDir, 'criteria-proposed.json'));
+  const agreed   = readIfExists(path.join(wsDir, 'criteria-final.json'));
+  if (proposed) items.push(`<li><b>Round 0a</b> — ${esc((proposed.criteria || []).length)} acceptance criteria proposed</li>`);
+  if (agreed)   items.push(`<li><b>Round 0b</b> — ${esc((agreed.criteria || []).length)} acceptance criteria agreed</li>`);
+
+  for (const r of rounds) {
+    const reviewers = r.panel ? r.panel.map(p => p.reviewer).join(', ') : roundReviewer(meta, r.round);
+    const resolved = issues.filter(i => i.round_resolved === r.round && i.status !== 'force-approved' && i.status !== 'waived').map(i => i.id);
+    const overridden = r.reviewVerdict && r.reviewVerdict !== r.verdict ? ` <span class="muted">(reviewer said ${esc(r.reviewVerdict)})</span>` : '';
+    items.push(`<li>
+  <b>Round ${r.round}</b> ${badge(r.verdict, VERDICT_CLASS[r.verdict])}${overridden} <span class="muted">${esc(reviewers)}</span>
+  <p>${esc(r.summary)}</p>
+  <p class="muted">New: ${esc((r.newIssues || []).join(', ') || 'none')} · Resolved: ${esc(resolved.join(', ') || 'none')}${r.rubric && typeof r.rubric._average === 'number' ? ` · Rubric avg ${esc(r.rubric._average)}` : ''}</p>
+  ${(r.blockedBy || []).length ? `<ul class="blocked">${r.blockedBy.map(b => `<li>${esc(b.rule)}: ${esc(b.message)}</li>`).join('')}</ul>` : ''}
+</li>`);
+  }
+  if (meta.completedAt) items.push(`<li><b>Finalized</b> ${badge(meta.verdict, VERDICT_CLASS[meta.verdict])} <span class="muted">${esc(meta.completedAt)}</span></li>`);
+
+  return `<section>
+  <h2>Timeline</h2>
+  ${items.length ? `<ol class="timeline">${items.join('\n')}</ol>` : '<p class="muted">No rounds yet.</p>'}
+</section>`;
+}
+
+function renderRubric(ctx) {
+  const scored = ctx.rounds.filter(r => r.rubric);
+  if (!scored.length) return '<section><h2>Rubric</h2><p class="muted">No rubric scores recorded.</p></section>';
+
+  const roundNumbers = scored.map(r => r.round);
+  const dims = ctx.profile.dimensions;
+  const scoreOf = (r, id) => (r.rubric[id] && typeof r.rubric[id].score === 'number' ? r.rubric[id].score : null);
+  const average = { label: 'Average', color: '#111827', bold: true, values: scored.map(r => (typeof r.rubric._average === 'number' ? r.rubric._average : null)) };
+  const series = dims.map((d, idx) => ({ label: d.label, color: COLORS[idx % COLORS.length], values: scored.map(r => scoreOf(r, d.id)) }));
+
+  const header = `<tr><th>Dimension</th><th>Weight</th>${roundNumbers.map(n => `<th>R${n}</th>`).join('')}</tr>`;
+  const rows = dims.map(d => `<tr><td>${esc(d.label)}</td><td>${esc(d.weight)}</td>${scored.map(r => {
+    const s = scoreOf(r, d.id);
+    return `<td class="num"${r.rubric[d.id] && r.rubric[d.id].rationale ? ` title="${esc(r.rubric[d.id].rationale)}"` : ''}>${s === null ? '—' : esc(s)}</td>`;
+  }).join('')}</tr>`).join('');
+  const avgRow = `<tr class="total"><td>Average</td><td></td>${average.values.map(v => `<td class="num">${v === null ? '—' : esc(v)}</td>`).join('')}</tr>`;
+
+  return `<section>
+  <h2>Rubric</h2>
+  ${lineChart(roundNumbers, [...series, average])}
+  ${legend([average, ...series])}
+  <table>${header}${rows}${avgRow}</table>
+</section>`;
+}
+
+function renderIssues(ctx) {
+  const { issues, rounds, lifecycles } = ctx;
+  if (!issues.length) return '<section><h2>Issues</h2><p class="muted">No issues raised.</p></section>';
+
+  const header = `<tr><th>ID</th><th>Severity</th><th>Location</th><th>Problem / fix</th>${rounds.map(r => `<th>R${r.round}</th>`).join('')}<th>Now</th></tr>`;
+  const rows = issues.map(iss => {
+    const history = lifecycles.get(iss.id).map(s => (s ? `<td>${badge(s, STATUS_CLASS[s])}</td>` : '<td class="muted">·</td>')).join('');
+    const notes = [
+      iss.category ? `Category: ${iss.category}` : null,
+      iss.raised_by ? `Raised by: ${[].concat(iss.raised_by).join(', ')}` : null,
+      iss.merged_into ? `Merged into ${iss.merged_into}` : null,
+      iss.merged_from && iss.merged_from.length ? `Absorbed ${iss.merged_from.join(', ')}` : null,
+      iss.last_evidence ? `Evidence: ${iss.last_evidence}` : null,
+    ].filter(Boolean);
+    return `<tr id="${esc(iss.id)}">
+  <td><b>${esc(iss.id)}</b></td>
+  <td>${badge(iss.severity, iss.severity === 'CRITICAL' || iss.severity === 'HIGH' ? 'bad' : iss.severity === 'MEDIUM' ? 'warn' : 'muted')}</td>
+  <td>${esc(iss.location)}</td>
+  <td>${esc(iss.problem)}<div class="fix">Fix: ${esc(iss.fix)}</div>${notes.map(n => `<div class="muted">${esc(n)}</div>`).join('')}</td>
+  ${history}
+  <td>${badge(iss.status, STATUS_CLASS[iss.status])}</td>
+</tr>`;
+  }).join('\n');
+
+  return `<section>
+  <h2>Issues</h2>
+  <p class="muted">Status after each round; · = not yet raised.</p>
+  <table class="issues">${header}${rows}</table>
+</section>`;
+}
+
+function renderCriteria(ctx) {
+  const { wsDir, meta } = ctx;
+  const proposed = readIfExists(path.join(wsDir, 'criteria-proposed.json'));
+  const agreed   = readIfExists(path.join(wsDir, 'criteria-final.json'));
+  if (!proposed && !agreed) return '';
+
+  // Challenges are normally { id, action, reason }; older responses gave free-text notes
+  const allChallenges = (agreed && agreed.challenges) || [];
+  const challenges = new Map(allChallenges.filter(c => c && typeof c === 'object').map(c => [c.id, c]));
+  const notes = allChallenges.filter(c => typeof c === 'string');
+  const actionClass = { accept: 'ok', modify: 'warn', reject: 'bad' };
+  const proposedRows = ((proposed && proposed.criteria) || []).map(c => {
+    const ch = challenges.get(c.id);
+    return `<tr class="${ch && ch.action === 'reject' ? 'rejected' : ''}"><td><b>${esc(c.id)}</b></td><td>${esc(c.description)}</td><td>${ch ? badge(ch.action, actionClass[ch.action]) : '<span class="muted">—</span>'}</td><td>${esc(ch ? ch.reason : '')}</td></tr>`;
+  }).join('');
+  // Challenges about criteria that were never in the proposal (e.g. the challenger's additions)
+  const proposedIds = new Set(((proposed && proposed.criteria) || []).map(c => c.id));
+  const otherRows = [...challenges.values()].filter(ch => !proposedIds.has(ch.id)).map(ch =>
+    `<tr class="${ch.action === 'reject' ? 'rejected' : ''}"><td><b>${esc(ch.id)}</b></td><td class="muted">not in the proposal</td><td>${badge(ch.action, actionClass[ch.action])}</td><td>${esc(ch.reason)}</td></tr>`
+  ).join('');
+
+  const status = getCriteriaStatus(wsDir, meta);
+  const finalRows = status.map(c => `<tr><td><b>${esc(c.id)}</b></td><td>${esc(c.description)}</td><td>${c.result ? badge(c.result, c.result === 'PASS' ? 'ok' : 'bad') : '<span class="muted">not evaluated</span>'}</td><td>${esc(c.evidence || '')}${c.round ? ` <span class="muted">(round ${esc(c.round)})</span>` : ''}</td></tr>`).join('');
+
+  return `<section>
+  <h2>Acceptance criteria</h2>
+  ${proposed ? `<h3>Proposed and challenged</h3>
+  <table><tr><th>ID</th><th>Proposed criterion</th><th>Challenge</th><th>Reason</th></tr>${proposedRows}${otherRows}</table>` : ''}
+  ${notes.length ? `<ul>${notes.map(n => `<li>${esc(n)}</li>`).join('')}</ul>` : ''}
+  ${agreed && agreed.scope_boundary ? `<p><b>Scope boundary:</b> ${esc(agreed.scope_boundary)}</p>` : ''}
+  ${status.length ? `<h3>Agreed</h3>
+  <table><tr><th>ID</th><th>Criterion</th><th>Latest result</th><th>Evidence</th></tr>${finalRows}</table>` : ''}
+</section>`;
+}
+
+/** Pair "- old" / "+ new" runs of a diff into side-by-side rows. */
+function sideBySide(diff) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i], right: added[i] });
+    }
+    removed = [];
+    added = [];
+  };
+  for (const line of diff) {
+    if (line === '…') { flush(); rows.push({ gap: true }); continue; }
+    const op = line.slice(0, 1);
+    const text = line.slice(2);
+    if (op === '-') removed.push(text);
+    else if (op === '+') added.push(text);
+    else { flush(); rows.push({ left: text, right: text, same: true }); }
+  }
+  flush();
+  return rows;
+}
+
+function renderDiffs(ctx) {
+  const versions = ctx.plans.map(f => parseInt(f.match(/(\d+)/)[1], 10));
+  if (versions.length < 2) return '';
+
+  const blocks = [];
+  for (let i = 1; i < versions.length; i++) {
+    const d = diffPlans({ workspace: ctx.wsDir, from: versions[i - 1], to: versions[i] });
+    const sections = d.sections.map(s => {
+      const rows = sideBySide(s.diff).map(r => (r.gap
+        ? '<tr class="gap"><td colspan="2">…</td></tr>'
+        : `<tr class="${r.same ? 'same' : ''}"><td class="${r.same || r.left === undefined ? '' : 'del'}">${esc(r.left)}</td><td class="${r.same || r.right === undefined ? '' : 'add'}">${esc(r.right)}</td></tr>`)).join('');
+      return `<details open>
+  <summary>${badge(s.change, s.change === 'added' ? 'ok' : s.change === 'removed' ? 'bad' : 'warn')} ${esc(s.path)} <span class="muted">+${s.linesAdded} −${s.linesRemoved}${s.issues.length ? ` · ${s.issues.map(id => `<a href="#${esc(id)}">${esc(id)}</a>`).join(', ')}` : ''}</span></summary>
+  <table class="diff"><tr><th>v${d.from}</th><th>v${d.to}</th></tr>${rows}</table>
+</details>`;
+    }).join('\n');
+    const untouched = d.summary.untouchedIssues.length ? `<p class="warn-text">Asked to fix but section unchanged: ${esc(d.summary.untouchedIssues.join(', '))}</p>` : '';
+    blocks.push(`<h3>v${d.from} → v${d.to}</h3>
+  <p class="muted">${d.summary.added} added · ${d.summary.removed} removed · ${d.summary.modified} modified · ${d.summary.unchanged} unchanged sections</p>
+  ${untouched}
+  ${sections || '<p class="muted">No changes.</p>'}`);
+  }
+  return `<section>
+  <h2>Plan changes</h2>
+  ${blocks.join('\n')}
+</section>`;
+}
+
+const STYLE = `
+body { font: 14px/1.5 -apple-system, "Segoe UI", Roboto, sans-serif; color: #111827; max-width: 1100px; margin: 2em auto; padding: 0 1em; }
+h1 { margin-bottom: .2em; } h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: .2em; margin-top: 2em; }
+table { border-collapse: collapse; width: 100%; margin: .5em 0; } th, td { border: 1px solid #e5e7eb; padding: 4px 6px; text-align: left; vertical-align: top; }
+th { background: #f9fafb; } td.num { text-align: right; } tr.total td { font-weight: bold; }
+.badge { display: inline-block; padding: 0 6px; border-radius: 4px; font-size: 12px; font-weight: 600; white-space: nowrap; }
+.ok { background: #dcfce7; color: #166534; } .bad { background: #fee2e2; color: #991b1b; } .warn { background: #fef3c7; color: #92400e; } .muted { color: #6b7280; }
+.badge.muted { background: #f3f4f6; }
+.callout { border: 1px solid #f59e0b; border-radius: 6px; padding: 0 1em 1em; margin-top: 1.5em; }
+.kv th { width: 12em; } .fix { color: #374151; margin-top: .3em; } .warn-text { color: #92400e; }
+.timeline > li { margin-bottom: 1em; } .timeline p { margin: .2em 0; } .blocked { color: #991b1b; margin: .2em 0; }
+.legend span { margin-right: 1em; white-space: nowrap; } .legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+svg .grid { stroke: #e5e7eb; } svg .axis { font-size: 11px; fill: #6b7280; }
+tr.rejected td { text-decoration: line-through; color: #6b7280; } tr.rejected td:nth-child(n+3) { text-decoration: none; }
+table.diff { font: 12px/1.4 ui-monospace, Menlo, monospace; table-layout: fixed; } table.diff td { white-space: pre-wrap; word-break: break-word; width: 50%; }
+table.diff .del { background: #fee2e2; } table.diff .add { background: #dcfce7; } table.diff tr.same td { color: #6b7280; } table.diff tr.gap td { text-align: center; color: #9ca3af; }
+details { margin: .5em 0; } summary { cursor: pointer; }
+`.trim();
+
+/**
+ * Write a self-contained report of the workspace.
+ *
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {string} [opts.format]  "html" (default)
+ * @param {string} [opts.out]     Output file (default: <workspace>/report.html)
+ * @returns {{ format, out, rounds: number, issues: number, planVersions: number, bytes: number }}
+ */
+function report(opts = {}) {
+  const wsDir  = requireWorkspace(opts.workspace);
+  const format = String(opts.format || 'html').toLowerCase();
+  if (!REPORT_FORMATS.includes(format)) throw new UsageError(`--format must be one of ${REPORT_FORMATS.join(', ')}`);
+
+  const meta   = getWorkspaceMeta(wsDir);
+  const rounds = loadRounds(wsDir, meta);
+  const issues = getIssues(wsDir);
+  const ctx = {
+    wsDir,
+    meta,
+    rounds,
+    issues,
+    profile:    workspaceProfile(meta),
+    summary:    readIfExists(path.join(wsDir, 'summary.json')),
+    plans:      listPlanVersions(wsDir),
+    lifecycles: issueLifecycles(wsDir, issues, rounds),
+  };
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Review report — ${esc(path.basename(wsDir))}</title>
+<style>
+${STYLE}
+</style>
+</head>
+<body>
+${[
+    renderHeader(ctx),
+    renderForceApprove(ctx),
+    renderTimeline(ctx),
+    renderRubric(ctx),
+    renderIssues(ctx),
+    renderCriteria(ctx),
+    renderDiffs(ctx),
+  ].filter(Boolean).join('\n')}
+<footer class="muted"><p>Generated ${esc(new Date().toISOString())} by cross-model-review</p></footer>
+</body>
+</html>
+`;
+
+  const out = path.resolve(opts.out || path.join(wsDir, REPORT_FILE));
+  fs.writeFileSync(out, html, 'utf8');
+
+  return {
+    format,
+    out,
+    rounds:       rounds.length,
+    issues:       issues.length,
+    planVersions: ctx.plans.length,
+    bytes:        Buffer.byteLength(html),
+  };
+}
+
+module.exports = { report, REPORT_FORMATS, REPORT_FILE };
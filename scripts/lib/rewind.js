@@ -0,0 +1,120 @@
+/**
+ * rewind.js — Roll a workspace back to the state right after an earlier round
+ *
+ * Nothing is deleted: later plan versions, round files and finalize or report output are moved into
+ * rewound/<timestamp>/ together with the meta.json and issues.json being replaced, so a
+ * rewind can be inspected (or undone by hand) afterwards.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readJson, writeJson, ensureDir, toInt } = require('./util');
+const { UsageError, WorkspaceError } = require('./errors');
+const {
+  requireWorkspace, getWorkspaceMeta, saveMeta, getIssues, saveIssues, getIssueSnapshot, appendChangelog,
+} = require('./workspace');
+const { getMerges, mergesPath, restoreRoundOutputs } = require('./merge');
+const { lockedCommand } = require('./lock');
+const { REPORT_FILE } = require('./report');
+
+const REWOUND_DIR = 'rewound';
+
+/** Files that belong to rounds after `toRound`: their round files and the plans written after them. */
+function laterFiles(wsDir, toRound) {
+  // Round N reviews plan-vN, so the state after round N still includes plan-v1..vN
+  const keepPlans = Math.max(toRound, 1);
+  return fs.readdirSync(wsDir).filter(f => {
+    const round = f.match(/^round-(\d+)-/);
+    if (round) return parseInt(round[1], 10) > toRound;
+    const plan = f.match(/^plan-v(\d+)(-response)?\.md$/);
+    if (plan) return parseInt(plan[1], 10) > keepPlans;
+    return f === 'plan-final.md' || f === 'summary.json' || f === REPORT_FILE;
+  }).sort();
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {number} opts.toRound   Completed round to return to (0 = before the first review)
+ * @param {string} [opts.reason]  Recorded in changelog.md
+ * @returns {{ fromRound, toRound, verdict, needsRevision, archivedTo, archived: string[], mergesUndone: string[], issues }}
+ * @throws {WorkspaceError} E_NO_SNAPSHOT when round `toRound` was parsed before issue snapshots existed
+ */
+function rewind(opts = {}) {
+  const wsDir = requireWorkspace(opts.workspace);
+  const toRound = toInt(opts.toRound, NaN);
+  if (isNaN(toRound) || toRound < 0) throw new UsageError('--to-round <n> is required (0 or a completed round)');
+
+  const meta = getWorkspaceMeta(wsDir);
+  if (toRound > meta.currentRound) {
+    throw new UsageError(`Cannot rewind to round ${toRound}: only ${meta.currentRound} round(s) completed`);
+  }
+  const issues = getIssueSnapshot(wsDir, toRound);
+  if (!issues) {
+    throw new WorkspaceError(
+      `No issue snapshot for round ${toRound} (round-${toRound}-issues.json); rounds parsed before rewind support cannot be restored`,
+      { code: 'E_NO_SNAPSHOT' }
+    );
+  }
+
+  const stamp      = new Date().toISOString().replace(/[:.]/g, '-');
+  const archiveRel = path.join(REWOUND_DIR, stamp);
+  const archiveDir = path.join(wsDir, archiveRel);
+  ensureDir(archiveDir);
+  writeJson(path.join(archiveDir, 'meta.json'), meta);
+  writeJson(path.join(archiveDir, 'issues.json'), getIssues(wsDir));
+
+  const archived = laterFiles(wsDir, toRound);
+  for (const f of archived) fs.renameSync(path.join(wsDir, f), path.join(archiveDir, f));
+
+  // Merges made after the target round: the snapshot predates them, but they also rewrote
+  // the round outputs that are staying, so put those back
+  const merges = getMerges(wsDir);
+  const undone = merges.filter(m => m.round > toRound);
+  for (const m of [...undone].reverse()) {
+    if (!m.splitAt) restoreRoundOutputs(wsDir, m.roundOutputs);
+  }
+  if (undone.length) {
+    writeJson(path.join(archiveDir, 'merges.json'), undone);
+    writeJson(mergesPath(wsDir), merges.filter(m => m.round <= toRound));
+  }
+
+  saveIssues(wsDir, issues);
+
+  const fromRound = meta.currentRound;
+  const lastOutput = toRound > 0 ? readJson(path.join(wsDir, `round-${toRound}-output.json`)) : null;
+  meta.currentRound  = toRound;
+  meta.verdict       = lastOutput ? lastOutput.verdict : 'PENDING';
+  meta.needsRevision = lastOutput ? lastOutput.verdict === 'REVISE' : false;
+  delete meta.completedAt;
+  delete meta.pendingStep;
+  delete meta.repair;
+  delete meta.stallIgnored;
+  saveMeta(wsDir, meta);
+
+  const mergesUndone = undone.filter(m => !m.splitAt).map(m => `${m.from}→${m.into}`);
+  appendChangelog(wsDir, [
+    `\n## Rewind to round ${toRound} — ${new Date().toISOString()}`,
+    `From round ${fromRound}${opts.reason ? ` — "${opts.reason}"` : ''}`,
+    `Archived to ${archiveRel}: ${archived.join(', ') || 'nothing'}`,
+    mergesUndone.length ? `Merges undone: ${mergesUndone.join(', ')}` : null,
+    `Verdict: ${meta.verdict}${meta.needsRevision ? ' (revision pending)' : ''}`,
+    '',
+  ].filter(l => l !== null).join('\n'));
+
+  return {
+    fromRound,
+    toRound,
+    verdict:       meta.verdict,
+    needsRevision: meta.needsRevision,
+    archivedTo:    archiveDir,
+    archived,
+    mergesUndone,
+    issues:        issues.length,
+  };
+}
+
+module.exports = { rewind: lockedCommand('rewind', rewind), REWOUND_DIR };
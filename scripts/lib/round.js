@@ -0,0 +1,327 @@
+/**
+ * round.js — Apply a review round to the issue tracker (shared by parse-round and aggregate)
+ */
+
+'use strict';
+
+const path = require('path');
+
+const { writeJson, toNumber, isValidThreshold } = require('./util');
+const { UsageError, ValidationError } = require('./errors');
+const { DEFAULT_DEDUP_THRESHOLD, createIssueMatcher } = require('./similarity');
+const { validateReviewResponse, extractJson } = require('./schema');
+const { workspaceProfile, loadProfile, DEFAULT_PROFILE } = require('./profiles');
+const {
+  DISPUTED_STATUS, isOpen, isMerged, setIssueStatus, saveMeta, saveIssues, saveIssueSnapshot, nextIssueId, appendChangelog,
+} = require('./workspace');
+const { resolvePolicy, evaluateApproval } = require('./policy');
+
+/** IDs of the acceptance criteria agreed in Round 0 (empty before or without negotiation). */
+function agreedCriteriaIds(meta) {
+  return Array.isArray(meta.criteria) ? meta.criteria.map(c => c.id).filter(Boolean) : [];
+}
+
+/** validateReviewResponse options for this workspace: agreed criteria and the profile's rubric. */
+function responseSchemaOptions(meta) {
+  const profile = workspaceProfile(meta);
+  return {
+    criteriaIds: agreedCriteriaIds(meta),
+    dimensions:  profile.dimensions,
+    categories:  profile.categories,
+  };
+}
+
+/**
+ * Extract and schema-check a raw reviewer response.
+ * @param {object} [opts]  { criteriaIds, dimensions, categories } — see validateReviewResponse
+ */
+function parseReviewResponse(raw, opts = {}) {
+  let parsed;
+  try {
+    parsed = extractJson(raw);
+  } catch (e) {
+    throw new ValidationError(`JSON extraction failed: ${e.message}`);
+  }
+  const schemaErrors = validateReviewResponse(parsed, opts);
+  if (schemaErrors.length > 0) {
+    throw new ValidationError(`Response failed schema validation (${schemaErrors.length} errors)`, schemaErrors);
+  }
+  return parsed;
+}
+
+/** The dedup threshold for this round: explicit option, else the workspace's, else the default. */
+function resolveDedupThreshold(meta, value) {
+  const threshold = toNumber(value, meta.dedupThreshold || DEFAULT_DEDUP_THRESHOLD);
+  if (!isValidThreshold(threshold)) throw new UsageError('--dedup-threshold must be a number between 0 (exclusive) and 1');
+  return threshold;
+}
+
+/** The model that reviews `round` in static/alternating mode. */
+function roundReviewer(meta, round) {
+  if (meta.mode === 'alternating') return round % 2 === 1 ? meta.modelB : meta.modelA;
+  return meta.reviewerModel;
+}
+
+/**
+ * Apply `{ id → { status, evidence, reviewer } }` to the tracker, recording each in the issue's
+ * history. Merged issues are skipped with a warning; an issue moved between resolved and
+ * not-applicable keeps the round it was first resolved in. The update on a disputed issue is the reviewer's answer to
+ * the dispute (see triage.js).
+ */
+function applyPriorUpdates(issues, updates, round, warnings) {
+  for (const iss of issues) {
+    const update = updates[iss.id];
+    if (!update) continue;
+    if (isMerged(iss)) {
+      // Status lives on the surviving issue; split-issue first to track this one again
+      warnings.push(`Ignoring status update for ${iss.id}: merged into ${iss.merged_into}.`);
+      continue;
+    }
+    const wasResolved = iss.status === 'resolved' || iss.status === 'not-applicable';
+    if (iss.status === DISPUTED_STATUS && iss.dispute) {
+      iss.dispute.answer = { round, status: update.status, evidence: update.evidence || null, reviewer: update.reviewer || null };
+    }
+    setIssueStatus(iss, update.status, { round, evidence: update.evidence, reviewer: update.reviewer });
+    if ((update.status === 'resolved' || update.status === 'not-applicable') && !wasResolved) {
+      iss.round_resolved = round;
+    }
+    iss.last_evidence = update.evidence || null;
+  }
+}
+
+/**
+ * Assign IDs to new issues, flagging likely duplicates of (a) existing open issues and
+ * (b) other new issues in this batch. Issues are added regardless (human reviews dedup warnings).
+ * Each new issue may carry `raised_by` (the models that reported it).
+ *
+ * @returns {{ assigned: object[], dedupWarnings: object[] }}
+ */
+function addNewIssues(issues, newIssues, round, dedupThreshold) {
+  // IDF weights come from every issue the workspace has seen plus this batch
+  const openIssues = issues.filter(isOpen);
+  const matcher = createIssueMatcher([...issues, ...newIssues]);
+  const dedupWarnings = [];
+  const assigned = [];
+
+  newIssues.forEach((ni, idx) => {
+    let best  = null;
+    let dupOf = null;
+
+    for (const candidate of [...openIssues, ...assigned]) {
+      const match = matcher.compare(ni, candidate);
+      if (!best || match.score > best.score) {
+        best  = match;
+        dupOf = candidate.id;
+      }
+    }
+
+    if (best && best.score >= dedupThreshold) {
+      const why = best.matchedTerms.length ? `shared terms: ${best.matchedTerms.join(', ')}` : 'no shared terms';
+      dedupWarnings.push({
+        new_issue_index:       idx,
+        possible_duplicate_of: dupOf,
+        similarity:            best.score,
+        textSimilarity:        best.textSimilarity,
+        locationSimilarity:    best.locationSimilarity,
+        matchedTerms:          best.matchedTerms,
+        note: `New issue overlaps with ${dupOf} (${why}${best.locationSimilarity > 0 ? '; locations overlap' : ''}). Confirm if distinct.`,
+      });
+    }
+
+    const newIssue = {
+      id:             nextIssueId([...issues, ...assigned]),
+      severity:       ni.severity,
+      location:       ni.location,
+      problem:        ni.problem,
+      fix:            ni.fix,
+      status:         'open',
+      round_found:    round,
+      round_resolved: null,
+      last_evidence:  null,
+    };
+    if (ni.category) newIssue.category = ni.category;
+    if (ni.raised_by) newIssue.raised_by = ni.raised_by;
+    newIssue.history = [{
+      round, from: null, status: 'open', evidence: null,
+      ...(ni.raised_by ? { reviewer: ni.raised_by.join(', ') } : {}),
+      at: new Date().toISOString(),
+    }];
+    assigned.push(newIssue);
+    issues.push(newIssue);
+  });
+
+  return { assigned, dedupWarnings };
+}
+
+/**
+ * Score a rubric object against the profile's dimensions: keeps declared dimensions, takes
+ * the weighted average of numeric scores, and warns on critical weaknesses (< 2), a low
+ * average (< 3.0) and dimensions the profile does not declare (which are dropped).
+ *
+ * @returns {{ rubric: object|null, rubricWarnings: string[] }}
+ */
+function scoreRubric(input, profile = loadProfile(DEFAULT_PROFILE)) {
+  if (!input || typeof input !== 'object') return { rubric: null, rubricWarnings: [] };
+  const rubric = {};
+  const rubricWarnings = [];
+  const scores = [];
+  for (const { id: dim, weight } of profile.dimensions) {
+    const entry = input[dim];
+    if (entry && typeof entry === 'object') {
+      rubric[dim] = {
+        score: entry.score !== undefined ? entry.score : null,
+        rationale: entry.rationale || '',
+      };
+      if (entry.score !== null && typeof entry.score === 'number') {
+        scores.push({ score: entry.score, weight });
+        if (entry.score < 2) {
+          rubricWarnings.push(`${dim} scored ${entry.score}/5 — critical weakness`);
+        }
+      }
+    }
+  }
+  const declared = profile.dimensions.map(d => d.id);
+  const dropped  = Object.keys(input).filter(k => !k.startsWith('_') && !declared.includes(k));
+  if (dropped.length) {
+    rubricWarnings.push(`Ignoring rubric dimension(s) not in the ${profile.name} profile: ${dropped.join(', ')}`);
+  }
+  if (scores.length > 0) {
+    const totalWeight = scores.reduce((a, s) => a + s.weight, 0);
+    const avg = scores.reduce((a, s) => a + s.score * s.weight, 0) / totalWeight;
+    rubric._average = Math.round(avg * 100) / 100;
+    rubric._scored_dimensions = scores.length;
+    if (avg < 3.0) {
+      rubricWarnings.push(`Average rubric score ${rubric._average}/5 is below threshold (3.0)`);
+    }
+  }
+  return { rubric, rubricWarnings };
+}
+
+/** `[{ id, result, evidence }]` from a validated response, or null when it reported none. */
+function criteriaResultsOf(parsed) {
+  const results = parsed.criteria_results;
+  if (!Array.isArray(results) || results.length === 0) return null;
+  return results.map(cr => ({ id: cr.id, result: cr.result, evidence: cr.evidence }));
+}
+
+/**
+ * Close out a round: approval gate, round-N-output.json, meta and changelog.
+ * `reviewVerdict` is what the reviewer (or panel) concluded; APPROVED is overridden to
+ * REVISE while the workspace's approval policy blocks (by default: CRITICAL/HIGH issues
+ * still open or an acceptance criterion FAILs). `blockedBy` names the rules that blocked.
+ *
+ * @param {object} r  { round, reviewVerdict, summary, rubric, rubricWarnings, criteriaResults,
+ *                      assigned, dedupWarnings, dedupThreshold, anomalies, warnings, extra }
+ *                    `anomalies` are the accountability gaps (see accountability.js);
+ *                    `extra` fields are written into the round output as-is.
+ * @returns {object} The parse-round result object
+ */
+function commitRound(wsDir, meta, issues, r) {
+  saveIssues(wsDir, issues);
+  saveIssueSnapshot(wsDir, r.round, issues);
+
+  // ---- Approval gate ----
+  const criteriaResults = r.criteriaResults || null;
+  const failingCriteria = (criteriaResults || []).filter(cr => cr.result === 'FAIL').map(cr => cr.id);
+  const gate     = evaluateApproval(resolvePolicy(meta), { issues, rubric: r.rubric, criteria: criteriaResults || [] });
+  const blockers = gate.blockers;
+  let finalVerdict = r.reviewVerdict;
+
+  if (finalVerdict === 'APPROVED' && gate.blocked) {
+    r.warnings.push(`Reviewer said APPROVED but the approval policy blocks it: ${gate.reasons.map(b => b.message).join('; ')}. Overriding verdict to REVISE.`);
+    finalVerdict = 'REVISE';
+  }
+
+  const anomalies = r.anomalies || [];
+  if (anomalies.length) {
+    r.warnings.push(`Review did not account for every prior issue (${anomalies.length}): ${anomalies.map(a => (a.reviewer ? `[${a.reviewer}] ` : '') + a.message).join('; ')}.`);
+  }
+
+  // ---- Save round output ----
+  const roundOutput = {
+    round:         r.round,
+    verdict:       finalVerdict,
+    reviewVerdict: r.reviewVerdict,
+    summary:       r.summary,
+    rubric:        r.rubric,
+    rubricWarnings: r.rubricWarnings,
+    criteriaResults,
+    failingCriteria,
+    newIssues:     r.assigned.map(i => i.id),
+    dedupWarnings: r.dedupWarnings,
+    dedupThreshold: r.dedupThreshold,
+    blockers:      blockers.map(i => i.id),
+    blockedBy:     gate.reasons,
+    anomalies,
+    ...(r.extra || {}),
+  };
+  writeJson(path.join(wsDir, `round-${r.round}-output.json`), roundOutput);
+
+  // ---- Update meta ----
+  meta.currentRound = r.round;
+  meta.verdict = finalVerdict;
+  meta.needsRevision = (finalVerdict === 'REVISE');
+  saveMeta(wsDir, meta);
+
+  // ---- Append to changelog ----
+  const rubric        = r.rubric;
+  const openCount     = issues.filter(isOpen).length;
+  const resolvedCount = issues.filter(i => i.status === 'resolved').length;
+  const rubricLine = rubric && rubric._average !== undefined
+    ? `Rubric: avg ${rubric._average}/5 (${rubric._scored_dimensions} dimensions)${r.rubricWarnings.length ? ' ⚠️ ' + r.rubricWarnings.join('; ') : ''}`
+    : 'Rubric: not provided';
+  const criteriaLine = criteriaResults
+    ? `Acceptance criteria: ${criteriaResults.length - failingCriteria.length}/${criteriaResults.length} PASS${failingCriteria.length ? ` (FAIL: ${failingCriteria.join(', ')})` : ''}`
+    : null;
+  const disputesAnswered = issues.filter(i => i.dispute && i.dispute.answer && i.dispute.answer.round === r.round);
+  const changeEntry   = [
+    `\n## Round ${r.round} — ${new Date().toISOString()}`,
+    `Verdict: **${finalVerdict}**`,
+    `Summary: ${r.summary}`,
+    rubricLine,
+    criteriaLine,
+    `New issues: ${r.assigned.length} (${r.assigned.map(i => `${i.id} ${i.severity}`).join(', ') || 'none'})`,
+    `Dedup warnings: ${r.dedupWarnings.length}`,
+    disputesAnswered.length ? `Disputes answered: ${disputesAnswered.map(i => `${i.id} ${i.dispute.answer.status}`).join(', ')}` : null,
+    anomalies.length ? `Reviewer anomalies: ${anomalies.map(a => `${a.kind} ${a.id}${a.reviewer ? ` (${a.reviewer})` : ''}`).join(', ')}` : null,
+    `Open blockers: ${blockers.length}`,
+    gate.blocked ? `Blocked by: ${gate.reasons.map(b => `${b.rule} — ${b.message}`).join('; ')}` : null,
+    `Total open: ${openCount} | Resolved: ${resolvedCount}`,
+    '',
+  ].filter(l => l !== null).join('\n');
+  appendChangelog(wsDir, changeEntry);
+
+  return {
+    verdict: finalVerdict,
+    round: r.round,
+    rubric: rubric ? {
+      average: rubric._average,
+      scored: rubric._scored_dimensions,
+      warnings: r.rubricWarnings,
+      dimensions: Object.fromEntries(
+        workspaceProfile(meta).dimensions.map(d => [d.id, rubric[d.id] || null])
+      ),
+    } : null,
+    criteria: criteriaResults ? { results: criteriaResults, failing: failingCriteria } : null,
+    newIssues: r.assigned.length,
+    dedupWarnings: r.dedupWarnings.length,
+    anomalies,
+    blockers: blockers.length,
+    blockedBy: gate.reasons,
+    dedupWarningDetails: r.dedupWarnings,
+    warnings: r.warnings,
+  };
+}
+
+module.exports = {
+  agreedCriteriaIds,
+  responseSchemaOptions,
+  parseReviewResponse,
+  resolveDedupThreshold,
+  roundReviewer,
+  applyPriorUpdates,
+  addNewIssues,
+  scoreRubric,
+  criteriaResultsOf,
+  commitRound,
+};
@@ -0,0 +1,135 @@
+/**
+ * run.js — Drive the next-step loop to completion through model adapters
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { toInt } = require('./util');
+const { ReviewError, UsageError } = require('./errors');
+const { requireWorkspace, getWorkspaceMeta } = require('./workspace');
+const { selectAdapter } = require('./adapters');
+const { nextStep } = require('./next-step');
+const { parseRound } = require('./parse-round');
+const { aggregateRound } = require('./panel');
+const { saveCriteria } = require('./save-criteria');
+const { savePlan } = require('./save-plan');
+
+/** Flatten a ReviewError (and its schema errors) into one line for a re-prompt. */
+function describeError(e) {
+  return e.errors && e.errors.length ? `${e.message}: ${e.errors.join('; ')}` : e.message;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {Array<{ models: string[], adapter: object }>} opts.adapters  From loadAdapters()
+ * @param {number} [opts.retries]   Retries per step after a model or parse failure (default: 1)
+ * @param {function} [opts.log]     Progress callback, one line per model call
+ * @returns {{ result: 'done'|'max-rounds'|'stalled'|'error', workspace: string, steps: object[], reason?: string, diagnosis?: object }}
+ */
+function run(opts = {}) {
+  const wsDir    = opts.workspace;
+  const retries  = toInt(opts.retries, 1);
+  const adapters = opts.adapters || [];
+  const log      = opts.log || (() => {});
+
+  requireWorkspace(wsDir);
+  if (isNaN(retries) || retries < 0) throw new UsageError('--retries must be a non-negative integer');
+  if (adapters.length === 0) throw new UsageError('--adapters <file> or --fixtures <dir> is required');
+
+  const meta  = getWorkspaceMeta(wsDir);
+  // Criteria phases + reviews (one per panelist, plus aggregate) and one revise per round,
+  // plus slack for the terminal step
+  const reviewSteps = meta.mode === 'panel' ? meta.reviewers.length + 1 : 1;
+  const maxSteps = 2 + (meta.maxRounds * (reviewSteps + 1)) + 2;
+  const steps    = [];
+
+  const finish = (result, extra = {}) => ({ result, workspace: wsDir, ...extra, steps });
+
+  for (let n = 0; n < maxSteps; n++) {
+    let step;
+    try { step = nextStep({ workspace: wsDir }); } catch (e) {
+      if (!(e instanceof ReviewError)) throw e;
+      return finish('error', { reason: e.message });
+    }
+
+    if (step.action === 'done')       return finish('done');
+    if (step.action === 'max-rounds') return finish('max-rounds', { reason: step.reason });
+    if (step.action === 'stalled')    return finish('stalled', { reason: step.reason, diagnosis: step.diagnosis });
+    if (step.action === 'error')      return finish('error', { reason: step.reason });
+
+    // Aggregating a complete panel is local bookkeeping, no model involved
+    if (step.action === 'aggregate') {
+      log(`[run] aggregate round ${step.round} (${meta.panelPolicy})`);
+      try { aggregateRound({ workspace: wsDir, round: step.round }); } catch (e) {
+        if (!(e instanceof ReviewError)) throw e;
+        return finish('error', { reason: e.message });
+      }
+      steps.push({ action: step.action, round: step.round, attempts: 1, accepted: true });
+      continue;
+    }
+
+    const adapter = selectAdapter(adapters, step.model);
+    if (!adapter) return finish('error', { reason: `no adapter configured for model: ${step.model}` });
+
+    let target, submit;
+    if (step.action === 'criteria-propose' || step.action === 'criteria-challenge') {
+      const phase = step.action.slice('criteria-'.length);
+      target = path.join(wsDir, `criteria-${phase}-response.json`);
+      submit = () => saveCriteria({ workspace: wsDir, response: target, phase, stepToken: step.stepToken });
+    } else if ((step.action === 'review' || step.action === 'repair') && step.reviewer) {
+      const k = step.panel.reviewers.indexOf(step.reviewer) + 1;
+      target = path.join(wsDir, `round-${step.round}-response-${k}.json`);
+      submit = () => parseRound({ workspace: wsDir, round: step.round, response: target, reviewer: step.reviewer, stepToken: step.stepToken });
+    } else if (step.action === 'review' || step.action === 'repair') {
+      target = path.join(wsDir, `round-${step.round}-response.json`);
+      submit = () => parseRound({ workspace: wsDir, round: step.round, response: target, stepToken: step.stepToken });
+    } else if (step.action === 'revise') {
+      target = path.join(wsDir, `plan-v${step.planVersion}-response.md`);
+      submit = () => savePlan({ workspace: wsDir, plan: target, version: step.planVersion, stepToken: step.stepToken });
+    } else {
+      return finish('error', { reason: `unsupported action: ${step.action}` });
+    }
+
+    // Retry policy from SKILL.md: model failures and unparseable output are retried,
+    // the latter with a re-prompt that quotes the validation errors.
+    let prompt    = step.prompt;
+    let lastError = null;
+    let attempt   = 0;
+    let accepted  = false;
+    while (!accepted && attempt <= retries) {
+      attempt++;
+      log(`[run] ${step.action} → ${step.model} via ${adapter.describe()} (attempt ${attempt})`);
+      let output;
+      try {
+        output = adapter.invoke({ ...step, prompt }, attempt);
+      } catch (e) {
+        lastError = `model call failed: ${e.message}`;
+        continue;
+      }
+      fs.writeFileSync(target, output, 'utf8');
+      try {
+        submit();
+        accepted = true;
+      } catch (e) {
+        if (!(e instanceof ReviewError)) throw e;
+        lastError = describeError(e);
+        prompt = step.action === 'revise'
+          ? `${step.prompt}\n\nYour previous output was rejected: ${lastError}\nOutput ONLY the complete revised plan as markdown.`
+          : `${step.prompt}\n\nYour response was not valid JSON or failed schema validation:\n${lastError}\nPlease respond with ONLY the JSON schema specified, no other text.`;
+      }
+    }
+
+    steps.push({ action: step.action, model: step.model, round: step.round, attempts: attempt, accepted });
+    if (!accepted) {
+      return finish('error', { reason: `${step.action} failed after ${attempt} attempt(s): ${lastError}` });
+    }
+  }
+
+  return finish('error', { reason: `loop did not converge within ${maxSteps} steps` });
+}
+
+module.exports = { run };
@@ -0,0 +1,90 @@
+/**
+ * save-criteria.js — Save Round 0 criteria negotiation output
+ */
+
+'use strict';
+
+const path = require('path');
+
+const { writeJson } = require('./util');
+const { UsageError, WorkspaceError, ValidationError } = require('./errors');
+const {
+  requireWorkspace, getWorkspaceMeta, saveMeta, getIssues, saveIssueSnapshot, appendChangelog,
+} = require('./workspace');
+const { loadResponseText } = require('./parse-round');
+const { consumeStepToken } = require('./steps');
+const { lockedCommand } = require('./lock');
+
+/**
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {string} opts.phase             "propose" or "challenge"
+ * @param {string} [opts.response]        Path to the raw criteria response (or pass `responseText`)
+ * @param {string} [opts.responseText]
+ * @param {string} [opts.stepToken]       stepToken from the next-step that asked for these criteria
+ * @throws {WorkspaceError} E_SEQUENCE when the workspace is not in `phase`
+ */
+function saveCriteria(opts = {}) {
+  const wsDir = opts.workspace;
+  const phase = opts.phase;  // 'propose' or 'challenge'
+
+  if (!wsDir) throw new UsageError('--workspace <dir> is required');
+  if (!opts.response && opts.responseText === undefined) throw new UsageError('--response <file> is required');
+  if (!phase || !['propose', 'challenge'].includes(phase)) throw new UsageError('--phase must be "propose" or "challenge"');
+  requireWorkspace(wsDir);
+
+  const respContent = loadResponseText(opts);
+  const meta = getWorkspaceMeta(wsDir);
+  const currentPhase = meta.criteriaPhase || 'done';
+  if (phase !== currentPhase) {
+    const why = currentPhase === 'done' ? 'criteria negotiation is complete' : `the workspace is in the ${currentPhase} phase`;
+    throw new WorkspaceError(`Criteria phase ${phase} is out of sequence: ${why}.`, { code: 'E_SEQUENCE' });
+  }
+  consumeStepToken(meta, { action: `criteria-${phase}` }, opts.stepToken);
+
+  // Parse JSON response (strip markdown fences if present)
+  let parsed;
+  try {
+    const cleaned = respContent.replace(/^```(?:json)?\s*/m, '').replace(/\s*```\s*$/m, '').trim();
+    parsed = JSON.parse(cleaned);
+  } catch (e) {
+    throw new ValidationError(`Failed to parse criteria response: ${e.message}`, [], { exitCode: 1 });
+  }
+
+  // Check the shape before anything is written, so a bad response leaves the phase open
+  const criteriaField = phase === 'propose' ? 'criteria' : 'final_criteria';
+  const response      = parsed && typeof parsed === 'object' ? parsed : {};
+  // The challenger may echo the list back as `criteria`
+  const criteriaList  = phase === 'propose' || response.final_criteria !== undefined ? response[criteriaField] : response.criteria;
+  if (!Array.isArray(criteriaList)) {
+    throw new ValidationError(`Criteria response has no ${criteriaField} array`, [`${criteriaField}: expected an array of criteria`]);
+  }
+
+  if (phase === 'propose') {
+    // Store proposed criteria, advance to challenge phase
+    writeJson(path.join(wsDir, 'criteria-proposed.json'), parsed);
+    meta.criteriaPhase = 'challenge';
+    saveMeta(wsDir, meta);
+    appendChangelog(wsDir,
+      `\n## Round 0a — Criteria Proposed — ${new Date().toISOString()}\n${parsed.criteria.length} criteria proposed\nScope: ${parsed.scope_boundary || 'not specified'}\n\n`);
+    return { phase: 'propose', saved: true, criteriaCount: parsed.criteria.length };
+  }
+
+  // Challenge phase: store final criteria, mark done
+  const finalCriteria = criteriaList;
+  writeJson(path.join(wsDir, 'criteria-final.json'), {
+    criteria: finalCriteria,
+    scope_boundary: parsed.scope_boundary || '',
+    challenges: parsed.challenges || [],
+  });
+  meta.criteria = finalCriteria;
+  meta.criteriaPhase = 'done';
+  saveMeta(wsDir, meta);
+  // Round 0 ends here: rewinding to it restores the tracker as the first review will find it
+  saveIssueSnapshot(wsDir, 0, getIssues(wsDir));
+  appendChangelog(wsDir,
+    `\n## Round 0b — Criteria Finalized — ${new Date().toISOString()}\n${finalCriteria.length} criteria agreed\nScope: ${parsed.scope_boundary || 'not specified'}\n\n`);
+  return { phase: 'challenge', saved: true, criteriaCount: finalCriteria.length };
+}
+
+module.exports = { saveCriteria: lockedCommand('save-criteria', saveCriteria) };
@@ -0,0 +1,90 @@
+/**
+ * save-plan.js — Save a revised plan from the writer model
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readFile, toInt } = require('./util');
+const { UsageError, WorkspaceError, ValidationError } = require('./errors');
+const {
+  requireWorkspace, getWorkspaceMeta, saveMeta, getIssues, saveIssues, appendChangelog, listPlanVersions,
+} = require('./workspace');
+const { screenPlan, logScreening } = require('./screening');
+const { consumeStepToken } = require('./steps');
+const { lockedCommand } = require('./lock');
+
+/**
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {number} opts.version         Plan version number (2, 3, ...)
+ * @param {string} [opts.plan]          Path to the revised plan (or pass `planText`)
+ * @param {string} [opts.planText]
+ * @param {string} [opts.stepToken]     stepToken from the next-step that asked for this revision
+ * @returns {{ saved, version, chars, screening: object[], warnings: string[] }}
+ *   `screening` lists prompt-injection findings in the revision (see screening.js)
+ * @throws {WorkspaceError} E_SEQUENCE when `version` is not the next plan version
+ */
+function savePlan(opts = {}) {
+  const wsDir    = opts.workspace;
+  const planPath = opts.plan;
+  const version  = toInt(opts.version, NaN);
+
+  if (!wsDir)   throw new UsageError('--workspace <dir> is required');
+  if (!planPath && opts.planText === undefined) throw new UsageError('--plan <file> is required');
+  if (!version || isNaN(version)) throw new UsageError('--version <n> is required');
+  requireWorkspace(wsDir);
+  if (planPath && !fs.existsSync(planPath)) throw new UsageError(`Plan file not found: ${planPath}`);
+
+  const planContent = planPath ? readFile(planPath) : String(opts.planText);
+
+  // Validate: reject empty/garbage output
+  if (planContent.length < 50) {
+    throw new ValidationError(`Plan file too small (${planContent.length} bytes) — likely empty or failed output. Min 50 bytes.`, [], { exitCode: 1 });
+  }
+  if (!/^#\s/m.test(planContent)) {
+    throw new ValidationError('Plan file contains no markdown heading (# ...). Likely not a valid plan.', [], { exitCode: 1 });
+  }
+
+  // Versions are append-only (overwriting one would change what an earlier round reviewed),
+  // and the revision after round N is plan v(N+1)
+  const meta = getWorkspaceMeta(wsDir);
+  const versions = listPlanVersions(wsDir);
+  const latest = versions.length ? parseInt(versions[versions.length - 1].match(/(\d+)/)[1], 10) : 0;
+  const expected = meta.currentRound + 1;
+  if (version <= latest || version > expected) {
+    const why = version <= latest
+      ? `plan-v${latest}.md already exists`
+      : `round ${meta.currentRound} is the latest review, so the next revision is plan v${expected}`;
+    throw new WorkspaceError(`Plan version ${version} is out of sequence: ${why}.`, { code: 'E_SEQUENCE' });
+  }
+  consumeStepToken(meta, { action: 'revise', planVersion: version }, opts.stepToken);
+
+  const destPath = path.join(wsDir, `plan-v${version}.md`);
+  fs.writeFileSync(destPath, planContent, 'utf8');
+
+  const issues = getIssues(wsDir);
+  const screened = screenPlan(meta, issues, { version, content: planContent });
+  if (screened.opened || screened.resolved.length) saveIssues(wsDir, issues);
+
+  // Update meta: revision done, ready for next review
+  meta.needsRevision = false;
+  saveMeta(wsDir, meta);
+
+  // Append to changelog
+  appendChangelog(wsDir, `\n## Plan v${version} — ${new Date().toISOString()}\nRevised plan saved (${planContent.length} chars)\n`);
+  logScreening(wsDir, version, screened);
+
+  return {
+    saved:     destPath,
+    version,
+    chars:     planContent.length,
+    screening: screened.findings,
+    ...(screened.opened ? { screeningIssue: screened.opened.id } : {}),
+    warnings:  screened.warnings,
+  };
+}
+
+module.exports = { savePlan: lockedCommand('save-plan', savePlan) };
@@ -0,0 +1,170 @@
+/**
+ * schema.js — Reviewer response extraction and schema validation
+ */
+
+'use strict';
+
+const VALID_VERDICTS   = new Set(['APPROVED', 'REVISE']);
+const VALID_SEVERITIES = new Set(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW']);
+const VALID_STATUSES   = new Set(['resolved', 'still-open', 'regressed', 'not-applicable']);
+const VALID_CRITERIA_RESULTS = new Set(['PASS', 'FAIL']);
+/** The default profile's required dimensions; profiles (profiles.js) may declare others. */
+const RUBRIC_DIMENSIONS = [
+  'security', 'data_integrity', 'concurrency',
+  'error_handling', 'scalability', 'completeness', 'maintainability',
+];
+
+/**
+ * Check `obj.criteria_results` against the acceptance criteria agreed in Round 0. Once
+ * criteria exist every one of them must be reported exactly once; with none agreed the
+ * field may be omitted or empty.
+ */
+function validateCriteriaResults(obj, criteriaIds, errors) {
+  const results = obj.criteria_results;
+  if (results === undefined || results === null) {
+    if (criteriaIds.length > 0) errors.push(`criteria_results is required: report PASS or FAIL for ${criteriaIds.join(', ')}`);
+    return;
+  }
+  if (!Array.isArray(results)) {
+    errors.push('criteria_results must be an array');
+    return;
+  }
+  const seen = new Set();
+  results.forEach((cr, i) => {
+    if (!cr || typeof cr !== 'object') {
+      errors.push(`criteria_results[${i}] must be an object with id, result and evidence`);
+      return;
+    }
+    if (!cr.id || typeof cr.id !== 'string') {
+      errors.push(`criteria_results[${i}].id missing`);
+    } else if (!criteriaIds.includes(cr.id)) {
+      errors.push(`criteria_results[${i}].id ${cr.id} is not an agreed criterion${criteriaIds.length ? ` (${criteriaIds.join(', ')})` : ''}`);
+    } else if (seen.has(cr.id)) {
+      errors.push(`criteria_results[${i}].id ${cr.id} is reported twice`);
+    }
+    if (cr.id) seen.add(cr.id);
+    if (!VALID_CRITERIA_RESULTS.has(cr.result)) errors.push(`criteria_results[${i}].result must be PASS or FAIL, got: ${cr.result}`);
+    if (typeof cr.evidence !== 'string' || cr.evidence.length === 0) errors.push(`criteria_results[${i}].evidence must be a non-empty string`);
+  });
+  const missing = criteriaIds.filter(id => !seen.has(id));
+  if (missing.length) errors.push(`criteria_results is missing ${missing.join(', ')}`);
+}
+
+/**
+ * @param {object} obj  Parsed reviewer response
+ * @param {object} [opts]
+ * @param {string[]} [opts.criteriaIds]  IDs of the acceptance criteria agreed in Round 0
+ * @param {Array<{ id: string, optional?: boolean }>} [opts.dimensions]  Rubric dimensions of
+ *   the workspace's profile (default: RUBRIC_DIMENSIONS, all required)
+ * @param {string[]} [opts.categories]   Allowed issue categories (default: RUBRIC_DIMENSIONS)
+ * @returns {string[]} Schema errors (empty when valid)
+ */
+function validateReviewResponse(obj, opts = {}) {
+  const errors = [];
+  const dimensions = opts.dimensions || RUBRIC_DIMENSIONS.map(id => ({ id }));
+  const categories = opts.categories || RUBRIC_DIMENSIONS;
+  if (!VALID_VERDICTS.has(obj.verdict)) {
+    errors.push(`verdict must be APPROVED or REVISE, got: ${obj.verdict}`);
+  }
+  if (!Array.isArray(obj.prior_issues)) {
+    errors.push('prior_issues must be an array');
+  } else {
+    obj.prior_issues.forEach((pi, i) => {
+      if (!pi.id || typeof pi.id !== 'string') errors.push(`prior_issues[${i}].id missing`);
+      if (!VALID_STATUSES.has(pi.status)) errors.push(`prior_issues[${i}].status invalid: ${pi.status}`);
+    });
+  }
+  if (!Array.isArray(obj.new_issues)) {
+    errors.push('new_issues must be an array');
+  } else {
+    obj.new_issues.forEach((ni, i) => {
+      if (!VALID_SEVERITIES.has(ni.severity)) errors.push(`new_issues[${i}].severity invalid: ${ni.severity}`);
+      if (!ni.location) errors.push(`new_issues[${i}].location missing`);
+      if (!ni.problem)  errors.push(`new_issues[${i}].problem missing`);
+      if (!ni.fix)      errors.push(`new_issues[${i}].fix missing`);
+      if (ni.category !== undefined && ni.category !== null && !categories.includes(ni.category)) {
+        errors.push(`new_issues[${i}].category must be one of ${categories.join(', ')}, got: ${ni.category}`);
+      }
+    });
+  }
+  if (typeof obj.summary !== 'string') {
+    errors.push('summary must be a string');
+  }
+
+  // Rubric validation (optional for backward compat, but validated if present)
+  if (obj.rubric !== undefined && obj.rubric !== null) {
+    if (typeof obj.rubric !== 'object' || Array.isArray(obj.rubric)) {
+      errors.push('rubric must be an object');
+    } else {
+      let scoredCount = 0;
+      for (const { id: dim, optional } of dimensions) {
+        const entry = obj.rubric[dim];
+        if (entry === undefined) {
+          if (!optional) errors.push(`rubric.${dim} is missing`);
+          continue;
+        }
+        if (typeof entry !== 'object' || entry === null) {
+          errors.push(`rubric.${dim} must be an object with score and rationale`);
+          continue;
+        }
+        if (entry.score !== null) {
+          if (typeof entry.score !== 'number' || entry.score < 0 || entry.score > 5 || !Number.isInteger(entry.score)) {
+            errors.push(`rubric.${dim}.score must be an integer 0-5 or null, got: ${entry.score}`);
+          } else {
+            scoredCount++;
+          }
+        }
+        if (typeof entry.rationale !== 'string' || entry.rationale.length === 0) {
+          errors.push(`rubric.${dim}.rationale must be a non-empty string`);
+        }
+      }
+      const minScored = Math.min(3, dimensions.length);
+      if (scoredCount < minScored) {
+        errors.push(`rubric must have at least ${minScored} scored (non-null) dimensions, got: ${scoredCount}`);
+      }
+    }
+  }
+
+  validateCriteriaResults(obj, opts.criteriaIds || [], errors);
+
+  return errors;
+}
+
+// ---------------------------------------------------------------------------
+// Parse reviewer response text → JSON, stripping fences if needed
+// ---------------------------------------------------------------------------
+function extractJson(raw) {
+  // Try direct parse first
+  try {
+    return JSON.parse(raw.trim());
+  } catch (_) {}
+
+  // Strip markdown fences
+  const fenceMatch = raw.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenceMatch) {
+    try {
+      return JSON.parse(fenceMatch[1].trim());
+    } catch (_) {}
+  }
+
+  // Find first { ... } block
+  const start = raw.indexOf('{');
+  const end   = raw.lastIndexOf('}');
+  if (start !== -1 && end !== -1 && end > start) {
+    try {
+      return JSON.parse(raw.slice(start, end + 1));
+    } catch (_) {}
+  }
+
+  throw new Error('Could not extract valid JSON from reviewer response');
+}
+
+module.exports = {
+  VALID_VERDICTS,
+  VALID_SEVERITIES,
+  VALID_STATUSES,
+  VALID_CRITERIA_RESULTS,
+  RUBRIC_DIMENSIONS,
+  validateReviewResponse,
+  extractJson,
+};
@@ -0,0 +1,169 @@
+/**
+ * screening.js — Delimiter-spoofing and prompt-injection screening of plan content
+ *
+ * Plans reach the models wrapped in <<<UNTRUSTED_PLAN_CONTENT>>> delimiters. A plan (or a
+ * writer's revision) that contains the delimiter itself could close the block early and follow
+ * it with text the model reads as instructions, so:
+ *
+ *   - every prompt neutralizes delimiter look-alikes inside plan content before rendering
+ *   - init and save-plan screen each plan version for the patterns below, record the findings
+ *     in meta.screening and report them as warnings. With `init --screening strict` they also
+ *     open a CRITICAL issue (raised_by "screening"), resolved once a revision screens clean
+ *
+ * Plan files are stored as written; only the rendered prompts are rewritten.
+ */
+
+'use strict';
+
+const { UsageError } = require('./errors');
+const { isOpen, setIssueStatus, nextIssueId, appendChangelog } = require('./workspace');
+
+const SCREENING_MODES = ['warn', 'strict'];
+const DEFAULT_SCREENING_MODE = 'warn';
+const SCREENING_SOURCE = 'screening';
+
+/** Look-alikes of the <<<UNTRUSTED_…>>> / <<<END_UNTRUSTED_…>>> delimiters, spacing and case ignored. */
+const DELIMITER_PATTERN = /<<<\s*\/?\s*(END_?)?\s*UNTRUSTED[A-Z_ ]*?\s*>>>/gi;
+
+const SCREENING_RULES = [
+  {
+    id:      'delimiter',
+    label:   'copy of the untrusted-content delimiter',
+    pattern: DELIMITER_PATTERN,
+  },
+  {
+    id:      'ignore-instructions',
+    label:   'asks the model to ignore its instructions',
+    pattern: /\b(?:ignore|disregard|forget|override)\b[^.\n]{0,30}?\b(?:previous|prior|above|earlier|preceding|all|your|system)\b[^.\n]{0,20}?\b(?:instructions?|prompts?|rules|directions|guidelines)\b/gi,
+  },
+  {
+    id:      'fake-verdict',
+    label:   'review verdict in JSON form',
+    pattern: /["']verdict["']\s*:\s*["'](?:APPROVED|REVISE)["']/gi,
+  },
+  {
+    id:      'role-marker',
+    label:   'chat role marker',
+    pattern: /^[ \t>]*(?:SYSTEM|ASSISTANT|Assistant|Human)\s*:|<\|im_(?:start|end)\|>|\[\/?INST\]|<\/?(?:system|assistant|developer)(?:\s[^>]*)?>/gm,
+  },
+  {
+    id:      'approval-request',
+    label:   'tells the reviewer to approve',
+    pattern: /\b(?:reviewers?|you)\b[^.\n]{0,30}?\b(?:must|should|shall|will|are to)\s+(?:approve|return APPROVED|respond with APPROVED|answer APPROVED)\b/gi,
+  },
+];
+
+const EXCERPT_CHARS = 80;
+
+/** `--screening` as a mode; throws on anything else. */
+function parseScreeningMode(value) {
+  const mode = value === undefined || value === null ? DEFAULT_SCREENING_MODE : String(value);
+  if (!SCREENING_MODES.includes(mode)) throw new UsageError(`--screening must be one of ${SCREENING_MODES.join(', ')}`);
+  return mode;
+}
+
+/**
+ * Injection patterns found in `text`, in order of appearance.
+ * @returns {Array<{ rule, label, line: number, excerpt: string }>}
+ */
+function screenText(text) {
+  const content = String(text || '');
+  const findings = [];
+  for (const rule of SCREENING_RULES) {
+    for (const m of content.matchAll(new RegExp(rule.pattern.source, rule.pattern.flags))) {
+      const line = content.slice(0, m.index).split('\n').length;
+      const excerpt = m[0].trim().replace(/\s+/g, ' ');
+      findings.push({
+        rule:    rule.id,
+        label:   rule.label,
+        line,
+        excerpt: excerpt.length > EXCERPT_CHARS ? excerpt.slice(0, EXCERPT_CHARS) + '…' : excerpt,
+      });
+    }
+  }
+  return findings.sort((a, b) => a.line - b.line);
+}
+
+/** `text` with every delimiter look-alike replaced by a visible, inert marker. */
+function neutralizeDelimiters(text) {
+  return String(text).replace(DELIMITER_PATTERN, m => `[[neutralized delimiter: ${m.replace(/[<>]/g, '').trim()}]]`);
+}
+
+function describeFindings(findings) {
+  return findings.map(f => `line ${f.line}: ${f.label} ("${f.excerpt}")`).join('; ');
+}
+
+/**
+ * Screen plan version `version` and record the result in `meta.screening` (the caller saves
+ * meta and issues). In strict mode findings open a CRITICAL issue, and a clean version
+ * resolves open screening issues.
+ *
+ * @returns {{ findings: object[], warnings: string[], opened: object|null, resolved: string[] }}
+ */
+function screenPlan(meta, issues, { version, content }) {
+  const mode = meta.screeningMode || DEFAULT_SCREENING_MODE;
+  const findings = screenText(content);
+  meta.screening = (meta.screening || []).filter(s => s.planVersion !== version);
+  meta.screening.push({ planVersion: version, screenedAt: new Date().toISOString(), findings });
+
+  const warnings = findings.length
+    ? [`Plan v${version} contains text that may be a prompt injection (${describeFindings(findings)}). Delimiter copies are neutralized in prompts; check the plan before trusting the review.`]
+    : [];
+
+  let opened = null;
+  const resolved = [];
+  if (mode === 'strict') {
+    const open = issues.filter(i => i.raised_by && i.raised_by.includes(SCREENING_SOURCE) && isOpen(i));
+    if (findings.length && !open.length) {
+      opened = {
+        id:             nextIssueId(issues),
+        severity:       'CRITICAL',
+        location:       `plan-v${version}.md line ${findings[0].line}`,
+        problem:        `Plan contains text that may be a prompt injection aimed at the review models: ${describeFindings(findings)}.`,
+        fix:            'Remove the injected text, or rephrase it so it cannot be read as instructions to the reviewer.',
+        status:         'open',
+        round_found:    meta.currentRound,
+        round_resolved: null,
+        last_evidence:  null,
+        raised_by:      [SCREENING_SOURCE],
+        history:        [{ round: meta.currentRound, from: null, status: 'open', evidence: null, source: SCREENING_SOURCE, at: new Date().toISOString() }],
+      };
+      issues.push(opened);
+    } else if (!findings.length) {
+      for (const iss of open) {
+        setIssueStatus(iss, 'resolved', { round: meta.currentRound, evidence: `Plan v${version} screened clean.`, source: SCREENING_SOURCE });
+        iss.round_resolved = meta.currentRound;
+        iss.last_evidence = `Plan v${version} screened clean.`;
+        resolved.push(iss.id);
+      }
+    }
+  }
+  return { findings, warnings, opened, resolved };
+}
+
+/** Changelog lines for a screenPlan() result (empty when there is nothing to note). */
+function logScreening(wsDir, version, result) {
+  const lines = [];
+  if (result.findings.length) lines.push(`Screening: plan v${version} — ${describeFindings(result.findings)}`);
+  if (result.opened) lines.push(`Screening: opened ${result.opened.id} (CRITICAL)`);
+  if (result.resolved.length) lines.push(`Screening: plan v${version} is clean, resolved ${result.resolved.join(', ')}`);
+  if (lines.length) appendChangelog(wsDir, lines.join('\n') + '\n');
+}
+
+/** Findings recorded for plan version `version`, or []. */
+function planFindings(meta, version) {
+  const entry = (meta.screening || []).find(s => s.planVersion === version);
+  return entry ? entry.findings : [];
+}
+
+module.exports = {
+  SCREENING_MODES,
+  DEFAULT_SCREENING_MODE,
+  SCREENING_RULES,
+  parseScreeningMode,
+  screenText,
+  neutralizeDelimiters,
+  screenPlan,
+  logScreening,
+  planFindings,
+};
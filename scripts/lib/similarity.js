@@ -0,0 +1,196 @@
+/**
+ * similarity.js — Issue dedup: Jaccard (legacy) and TF-IDF issue matching
+ *
+ * The issue matcher is fully offline: problem text is reduced to stemmed content terms
+ * (stop words and review boilerplate removed, a few synonyms folded together), weighted
+ * by TF-IDF over the workspace's issue corpus, and compared by cosine similarity. Issue
+ * locations are compared separately and blended in, so the same complaint about the
+ * same section scores higher than the same words about different sections.
+ */
+
+'use strict';
+
+const DEFAULT_DEDUP_THRESHOLD = 0.5;
+
+/** Share of the final score that comes from `location` agreement. */
+const LOCATION_WEIGHT = 0.2;
+
+function normalizeText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  return new Set(normalizeText(text).split(' ').filter(Boolean));
+}
+
+function jaccardSimilarity(a, b) {
+  const setA = tokenize(a);
+  const setB = tokenize(b);
+  if (setA.size === 0 && setB.size === 0) return 1;
+  let intersection = 0;
+  for (const w of setA) { if (setB.has(w)) intersection++; }
+  const union = setA.size + setB.size - intersection;
+  return union === 0 ? 0 : intersection / union;
+}
+
+// ---------------------------------------------------------------------------
+// Term extraction
+// ---------------------------------------------------------------------------
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'than', 'so', 'of', 'to', 'in', 'on',
+  'at', 'by', 'for', 'from', 'with', 'without', 'into', 'onto', 'over', 'under', 'as', 'via',
+  'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its', 'this', 'that', 'these',
+  'those', 'there', 'which', 'who', 'what', 'when', 'where', 'how', 'any', 'all', 'each',
+  'some', 'such', 'can', 'could', 'may', 'might', 'will', 'would', 'does', 'do', 'has',
+  'have', 'had', 'not', 'no', 'nor', 'none', 'also', 'only', 'very', 'more', 'most', 'other',
+  // Review boilerplate: present in most issues, so it says nothing about which one
+  'issue', 'problem', 'plan', 'should', 'must', 'need', 'needs', 'missing', 'lack', 'lacks',
+  'lacking', 'absent', 'unclear', 'ensure', 'consider', 'add', 'adds', 'adding', 'currently',
+  'step', 'section', 'specify', 'specified', 'unspecified', 'undefined', 'defined',
+]);
+
+const SUFFIXES = [
+  'ational', 'ization', 'ations', 'ation', 'ements', 'ement', 'ments', 'ment',
+  'ingly', 'ings', 'ing', 'edly', 'ed', 'ies', 'ness', 'ers', 'er', 'ly', 'ate', 'es', 's',
+];
+
+/** Stems folded onto shared words so common paraphrases land on the same terms. */
+const SYNONYMS = {
+  throttl:     ['rate', 'limit'],
+  ratelimit:   ['rate', 'limit'],
+  authn:       ['auth'],
+  authentic:   ['auth'],
+  authenticat: ['auth'],
+  signin:      ['login'],
+  logon:       ['login'],
+  db:          ['database'],
+  datastor:    ['database'],
+};
+
+/** Light suffix-stripping stemmer — consistent rather than linguistically exact. */
+function stem(word) {
+  if (word.length <= 3) return word;
+  let w = word;
+  for (const suf of SUFFIXES) {
+    if (!w.endsWith(suf) || w.length - suf.length < 3) continue;
+    if (suf === 's' && (w.endsWith('ss') || w.endsWith('us'))) continue;
+    w = w.slice(0, -suf.length) + (suf === 'ies' ? 'y' : '');
+    break;
+  }
+  if (/([^aeiouls])\1$/.test(w)) w = w.slice(0, -1);  // running → run, but keep "fill", "pass"
+  if (w.length > 3 && w.endsWith('e')) w = w.slice(0, -1);
+  return w;
+}
+
+/** Content terms of a text as [{ term, surface }] (surface = the word as written). */
+function extractTerms(text) {
+  const out = [];
+  for (const word of normalizeText(String(text || '')).split(' ')) {
+    if (!word || STOP_WORDS.has(word) || /^\d+$/.test(word)) continue;
+    const s = stem(word);
+    for (const term of SYNONYMS[s] ? SYNONYMS[s].map(stem) : [s]) out.push({ term, surface: word });
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// TF-IDF issue matcher
+// ---------------------------------------------------------------------------
+function termFrequencies(text) {
+  const tf = new Map();
+  const surfaces = new Map();
+  for (const { term, surface } of extractTerms(text)) {
+    tf.set(term, (tf.get(term) || 0) + 1);
+    if (!surfaces.has(term)) surfaces.set(term, surface);
+  }
+  return { tf, surfaces };
+}
+
+function locationSimilarity(a, b) {
+  const setA = new Set(extractTerms(a).map(t => t.term));
+  const setB = new Set(extractTerms(b).map(t => t.term));
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let shared = 0;
+  for (const t of setA) { if (setB.has(t)) shared++; }
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Build a matcher whose IDF weights come from `corpus` (every issue in the workspace plus
+ * the incoming batch). Terms that appear in many issues count for little.
+ *
+ * @param {Array<{ problem: string }>} corpus
+ * @returns {{ compare(a, b): { score, textSimilarity, locationSimilarity, matchedTerms: string[] } }}
+ */
+function createIssueMatcher(corpus) {
+  const df = new Map();
+  for (const issue of corpus) {
+    for (const term of new Set(extractTerms(issue.problem).map(t => t.term))) {
+      df.set(term, (df.get(term) || 0) + 1);
+    }
+  }
+  const n = corpus.length;
+  const idf = term => Math.log((n + 1) / ((df.get(term) || 0) + 1)) + 1;
+
+  function vector(text) {
+    const { tf, surfaces } = termFrequencies(text);
+    const weights = new Map();
+    let norm = 0;
+    for (const [term, count] of tf) {
+      const w = count * idf(term);
+      weights.set(term, w);
+      norm += w * w;
+    }
+    return { weights, surfaces, norm: Math.sqrt(norm) };
+  }
+
+  function compare(a, b) {
+    const va = vector(a.problem);
+    const vb = vector(b.problem);
+    const contributions = [];
+    let dot = 0;
+    for (const [term, wa] of va.weights) {
+      const wb = vb.weights.get(term);
+      if (!wb) continue;
+      dot += wa * wb;
+      contributions.push({ term, weight: wa * wb });
+    }
+    const textSim = va.norm && vb.norm ? dot / (va.norm * vb.norm) : 0;
+    const locSim  = locationSimilarity(a.location, b.location);
+    const score   = (1 - LOCATION_WEIGHT) * textSim + LOCATION_WEIGHT * locSim;
+
+    // Strongest shared terms first, shown as written ("limiting ~ throttling" for folded synonyms)
+    const matchedTerms = contributions
+      .sort((x, y) => y.weight - x.weight)
+      .map(({ term }) => {
+        const sa = va.surfaces.get(term);
+        const sb = vb.surfaces.get(term);
+        return sa === sb ? sa : `${sa} ~ ${sb}`;
+      })
+      .filter((t, i, all) => all.indexOf(t) === i);
+
+    return {
+      score:              Math.round(score * 100) / 100,
+      textSimilarity:     Math.round(textSim * 100) / 100,
+      locationSimilarity: Math.round(locSim * 100) / 100,
+      matchedTerms,
+    };
+  }
+
+  return { compare };
+}
+
+module.exports = {
+  DEFAULT_DEDUP_THRESHOLD,
+  LOCATION_WEIGHT,
+  normalizeText,
+  tokenize,
+  jaccardSimilarity,
+  stem,
+  extractTerms,
+  createIssueMatcher,
+};
@@ -0,0 +1,264 @@
+/**
+ * stats.js — Analytics across every workspace under a reviews directory
+ *
+ * Reads issues.json, the round outputs, the round-N-issues.json snapshots and summary.json of
+ * each workspace and aggregates them:
+ *
+ *   byReviewer   per reviewer model: issues found by severity and what became of them
+ *                (resolved, not-applicable, force-approved, still open), resolution and
+ *                regression rates. An issue counts for the model that reviewed the round it
+ *                was found in; panel issues count for every panelist in `raised_by`.
+ *   byPair       per reviewer/planner pairing (alternating: the two models, either order):
+ *                the same issue metrics plus approval, rounds to approval and force-approvals
+ *   byMode       rounds to approval and approval / force-approve rates per mode
+ *   dimensions   final rubric scores per dimension across workspaces, lowest mean first
+ *
+ * Merged duplicates are left out; the issue they were merged into carries them.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readJson } = require('./util');
+const {
+  isMerged, getWorkspaceMeta, getIssues, getIssueSnapshot, getLatestRubric,
+} = require('./workspace');
+const { roundReviewer } = require('./round');
+const { findWorkspaces, parseDate } = require('./list');
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+/** A final rubric score below this counts the dimension as low for that workspace. */
+const LOW_SCORE = 3;
+
+function ratio(n, d) {
+  return d ? Math.round((n / d) * 1000) / 1000 : null;
+}
+
+function mean(values) {
+  return values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100 : null;
+}
+
+function outcomeOf(iss) {
+  if (iss.status === 'resolved')       return 'resolved';
+  if (iss.status === 'not-applicable') return 'notApplicable';
+  if (iss.status === 'force-approved') return 'forceApproved';
+  if (iss.status === 'waived')         return 'waived';
+  return 'open';
+}
+
+function emptyIssueStats() {
+  return {
+    found:         0,
+    resolved:      0,
+    notApplicable: 0,
+    forceApproved: 0,
+    waived:        0,
+    open:          0,
+    regressed:     0,
+    bySeverity:    Object.fromEntries(SEVERITIES.map(s => [s, { found: 0, resolved: 0, notApplicable: 0, forceApproved: 0, waived: 0, open: 0 }])),
+  };
+}
+
+function addIssue(stats, iss, regressed) {
+  const outcome = outcomeOf(iss);
+  stats.found++;
+  stats[outcome]++;
+  if (regressed) stats.regressed++;
+  const sev = stats.bySeverity[iss.severity];
+  if (sev) {
+    sev.found++;
+    sev[outcome]++;
+  }
+}
+
+function finishIssueStats(stats) {
+  return {
+    ...stats,
+    resolutionRate:    ratio(stats.resolved, stats.found),
+    notApplicableRate: ratio(stats.notApplicable, stats.found),
+    regressionRate:    ratio(stats.regressed, stats.found),
+  };
+}
+
+/** IDs of issues that were `regressed` after any round, or are now. */
+function regressedIds(wsDir, meta, issues) {
+  const ids = new Set(issues.filter(i => i.status === 'regressed').map(i => i.id));
+  for (let r = 1; r <= meta.currentRound; r++) {
+    for (const i of getIssueSnapshot(wsDir, r) || []) {
+      if (i.status === 'regressed') ids.add(i.id);
+    }
+  }
+  return ids;
+}
+
+function pairOf(meta) {
+  if (meta.mode === 'alternating') {
+    const [a, b] = [meta.modelA, meta.modelB].sort();
+    return { key: `${a} <-> ${b}`, reviewers: [a, b], planners: [a, b] };
+  }
+  if (meta.mode === 'panel') {
+    const reviewers = [...(meta.reviewers || [])].sort();
+    return { key: `[${reviewers.join(', ')}] -> ${meta.plannerModel}`, reviewers, planners: [meta.plannerModel] };
+  }
+  return { key: `${meta.reviewerModel} -> ${meta.plannerModel}`, reviewers: [meta.reviewerModel], planners: [meta.plannerModel] };
+}
+
+/** Final verdict: summary.json once finalized, otherwise the workspace's current verdict. */
+function finalVerdictOf(wsDir, meta) {
+  const p = path.join(wsDir, 'summary.json');
+  return fs.existsSync(p) ? readJson(p).finalVerdict || meta.verdict : meta.verdict;
+}
+
+/** First round whose verdict was APPROVED, or null. */
+function roundsToApproval(wsDir, meta) {
+  for (let r = 1; r <= meta.currentRound; r++) {
+    const p = path.join(wsDir, `round-${r}-output.json`);
+    if (fs.existsSync(p) && readJson(p).verdict === 'APPROVED') return r;
+  }
+  return null;
+}
+
+function analyzeWorkspace(wsDir) {
+  const meta   = getWorkspaceMeta(wsDir);
+  const issues = getIssues(wsDir).filter(i => !isMerged(i));
+  return {
+    wsDir,
+    meta,
+    issues,
+    regressed:   regressedIds(wsDir, meta, issues),
+    pair:        pairOf(meta),
+    verdict:     finalVerdictOf(wsDir, meta),
+    approvedIn:  roundsToApproval(wsDir, meta),
+    rubric:      getLatestRubric(wsDir, meta),
+  };
+}
+
+function emptyOutcomeStats() {
+  return { workspaces: 0, finalized: 0, approved: 0, forceApproved: 0, roundsToApproval: [], rounds: [] };
+}
+
+function addOutcome(stats, ws) {
+  stats.workspaces++;
+  stats.rounds.push(ws.meta.currentRound);
+  if (ws.verdict === 'APPROVED' || ws.verdict === 'FORCE_APPROVED') stats.finalized++;
+  if (ws.verdict === 'APPROVED') stats.approved++;
+  if (ws.verdict === 'FORCE_APPROVED') stats.forceApproved++;
+  if (ws.approvedIn !== null) stats.roundsToApproval.push(ws.approvedIn);
+}
+
+function finishOutcomeStats(stats) {
+  const { roundsToApproval, rounds, ...rest } = stats;
+  return {
+    ...rest,
+    averageRounds:           mean(rounds),
+    averageRoundsToApproval: mean(roundsToApproval),
+    approvalRate:            ratio(stats.approved, stats.workspaces),
+    forceApproveRate:        ratio(stats.forceApproved, stats.finalized),
+  };
+}
+
+/**
+ * Aggregate review metrics across workspaces.
+ *
+ * @param {object} opts
+ * @param {string} [opts.out]     Reviews directory (default: tasks/reviews)
+ * @param {string} [opts.since]   Only workspaces created on or after this date
+ * @param {string} [opts.until]   Only workspaces created on or before this date
+ * @param {string} [opts.mode]    Only workspaces in this mode
+ * @returns {{ out, workspaces, skipped, totals, byReviewer, byPair, byMode, dimensions }}
+ */
+function stats(opts = {}) {
+  const since = parseDate(opts.since, '--since', false);
+  const until = parseDate(opts.until, '--until', true);
+  const { out, dirs, skipped } = findWorkspaces(opts.out);
+
+  const analyzed = [];
+  for (const dir of dirs) {
+    try {
+      analyzed.push(analyzeWorkspace(dir));
+    } catch (e) {
+      skipped.push({ path: dir, reason: e.message });
+    }
+  }
+  const included = analyzed.filter(ws => {
+    const created = Date.parse(ws.meta.created);
+    if (since !== null && !(created >= since)) return false;
+    if (until !== null && !(created <= until)) return false;
+    return !opts.mode || ws.meta.mode === opts.mode;
+  });
+
+  const totals     = { issues: emptyIssueStats(), outcomes: emptyOutcomeStats() };
+  const byReviewer = {};
+  const byPair     = {};
+  const byMode     = {};
+  const dimScores  = {};
+
+  for (const ws of included) {
+    const pair = byPair[ws.pair.key] = byPair[ws.pair.key] || {
+      mode: ws.meta.mode, reviewers: ws.pair.reviewers, planners: ws.pair.planners,
+      issues: emptyIssueStats(), outcomes: emptyOutcomeStats(),
+    };
+    const mode = byMode[ws.meta.mode] = byMode[ws.meta.mode] || emptyOutcomeStats();
+    addOutcome(totals.outcomes, ws);
+    addOutcome(pair.outcomes, ws);
+    addOutcome(mode, ws);
+
+    const reviewedBy = new Set();
+    for (let r = 1; r <= ws.meta.currentRound; r++) {
+      if (ws.meta.mode !== 'panel') reviewedBy.add(roundReviewer(ws.meta, r));
+    }
+    for (const m of ws.meta.mode === 'panel' ? ws.meta.reviewers || [] : reviewedBy) {
+      byReviewer[m] = byReviewer[m] || { workspaces: 0, issues: emptyIssueStats() };
+      byReviewer[m].workspaces++;
+    }
+
+    for (const iss of ws.issues) {
+      const regressed = ws.regressed.has(iss.id);
+      addIssue(totals.issues, iss, regressed);
+      addIssue(pair.issues, iss, regressed);
+      const finders = iss.raised_by ? [].concat(iss.raised_by) : [roundReviewer(ws.meta, iss.round_found)];
+      for (const m of finders) {
+        byReviewer[m] = byReviewer[m] || { workspaces: 0, issues: emptyIssueStats() };
+        addIssue(byReviewer[m].issues, iss, regressed);
+      }
+    }
+
+    if (ws.rubric) {
+      for (const [dim, entry] of Object.entries(ws.rubric)) {
+        if (dim.startsWith('_') || !entry || typeof entry.score !== 'number') continue;
+        (dimScores[dim] = dimScores[dim] || []).push(entry.score);
+      }
+    }
+  }
+
+  const mapValues = (obj, fn) => Object.fromEntries(Object.entries(obj).sort(([a], [b]) => a.localeCompare(b)).map(([k, v]) => [k, fn(v)]));
+  const dimensions = Object.entries(dimScores)
+    .map(([id, scores]) => ({
+      id,
+      workspaces: scores.length,
+      mean:       mean(scores),
+      min:        Math.min(...scores),
+      lowShare:   ratio(scores.filter(s => s < LOW_SCORE).length, scores.length),
+    }))
+    .sort((a, b) => a.mean - b.mean || a.id.localeCompare(b.id));
+
+  return {
+    out,
+    workspaces: included.length,
+    skipped,
+    totals:     { issues: finishIssueStats(totals.issues), outcomes: finishOutcomeStats(totals.outcomes) },
+    byReviewer: mapValues(byReviewer, r => ({ workspaces: r.workspaces, ...finishIssueStats(r.issues) })),
+    byPair:     mapValues(byPair, p => ({
+      mode: p.mode, reviewers: p.reviewers, planners: p.planners,
+      ...finishOutcomeStats(p.outcomes),
+      issues: finishIssueStats(p.issues),
+    })),
+    byMode:     mapValues(byMode, finishOutcomeStats),
+    dimensions,
+  };
+}
+
+module.exports = { stats, LOW_SCORE };
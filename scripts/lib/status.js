@@ -0,0 +1,76 @@
+/**
+ * status.js — Current workspace state
+ */
+
+'use strict';
+
+const { workspaceProfile } = require('./profiles');
+const {
+  RESOLVED_STATUSES, isOpen, isMerged, requireWorkspace, getWorkspaceMeta, getIssues,
+  getLatestRubric, getCriteriaStatus,
+} = require('./workspace');
+const { resolvePolicy, evaluateApproval } = require('./policy');
+const { latestAnomalies } = require('./accountability');
+const { analyzeConvergence } = require('./convergence');
+const { pendingRepairs } = require('./repair');
+
+function status(opts = {}) {
+  const wsDir = opts.workspace;
+  requireWorkspace(wsDir);
+
+  const meta     = getWorkspaceMeta(wsDir);
+  const issues   = getIssues(wsDir);
+  const open     = issues.filter(isOpen);
+  const resolved = issues.filter(i => RESOLVED_STATUSES.includes(i.status));
+  const merged   = issues.filter(isMerged);
+
+  // Fetch latest rubric from most recent round output
+  const latestRubric = getLatestRubric(wsDir, meta);
+  const criteria     = getCriteriaStatus(wsDir, meta);
+  const policy       = resolvePolicy(meta);
+  const profile      = workspaceProfile(meta);
+  const gate         = evaluateApproval(policy, { issues, rubric: latestRubric, criteria });
+  const blockers     = gate.blockers;
+  const convergence  = analyzeConvergence(wsDir, meta, issues);
+
+  return {
+    workspace:      wsDir,
+    verdict:        meta.verdict,
+    currentRound:   meta.currentRound,
+    reviewerModel:  meta.reviewerModel,
+    plannerModel:   meta.plannerModel,
+    ...(meta.mode === 'panel' ? { reviewers: meta.reviewers, panelPolicy: meta.panelPolicy } : {}),
+    profile:        profile.name,
+    totalIssues:    issues.length,
+    openIssues:     open.length,
+    resolvedIssues: resolved.length,
+    mergedIssues:   merged.length,
+    rubric:         latestRubric ? {
+      average:    latestRubric._average,
+      scored:     latestRubric._scored_dimensions,
+      dimensions: Object.fromEntries(
+        profile.dimensions.map(d => [d.id, latestRubric[d.id] || null])
+      ),
+    } : null,
+    criteria:       criteria.length ? criteria.map(c => ({ id: c.id, result: c.result, round: c.round })) : null,
+    blockers:       blockers.map(i => ({ id: i.id, severity: i.severity, problem: i.problem })),
+    failingCriteria: criteria.filter(c => c.result === 'FAIL').map(c => c.id),
+    approvalPolicy: policy,
+    blockedBy:      gate.reasons,
+    repairs:        pendingRepairs(meta),
+    anomalies:      latestAnomalies(wsDir, meta),
+    convergence:    { stalled: convergence.stalled, window: convergence.window, signals: convergence.signals },
+    allIssues:      issues.map(i => ({
+      id:       i.id,
+      severity: i.severity,
+      status:   i.status,
+      location: i.location,
+      problem:  i.problem.slice(0, 80) + (i.problem.length > 80 ? '...' : ''),
+      ...(i.merged_into ? { merged_into: i.merged_into } : {}),
+      ...(i.merged_from ? { merged_from: i.merged_from } : {}),
+      ...(i.raised_by ? { raised_by: i.raised_by } : {}),
+    })),
+  };
+}
+
+module.exports = { status };
@@ -0,0 +1,92 @@
+/**
+ * steps.js — Step tokens: tie each submission to the next-step call that asked for it
+ *
+ * next-step records the step it hands out in meta.pendingStep along with a random token.
+ * The matching parse-round / save-plan / save-criteria call must present that token; it is
+ * then retired to meta.lastStep, so replaying a submission or answering a step nobody asked
+ * for fails with E_STEP_TOKEN instead of silently changing the workspace.
+ *
+ * Workspaces driven by hand (next-step never called) have no pending step and need no token.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const { UsageError } = require('./errors');
+
+/** Actions whose output comes back through a submitting command. */
+const TOKEN_ACTIONS = ['criteria-propose', 'criteria-challenge', 'review', 'repair', 'revise'];
+
+function sameStep(a, b) {
+  return a.action === b.action
+    && (a.round || null) === (b.round || null)
+    && (a.planVersion || null) === (b.planVersion || null)
+    && (a.reviewer || null) === (b.reviewer || null);
+}
+
+/** "review of round 2 by openai/codex", "revise to plan v3", "criteria-propose" */
+function describeStep(s) {
+  if (s.action === 'review')   return `review of round ${s.round}${s.reviewer ? ` by ${s.reviewer}` : ''}`;
+  if (s.action === 'repair')   return `repair of the round ${s.round} review${s.reviewer ? ` by ${s.reviewer}` : ''}`;
+  if (s.action === 'revise')   return `revise to plan v${s.planVersion}`;
+  return s.action;
+}
+
+/**
+ * Record `step` as the pending step and return its token. Asking again for the same step
+ * returns the same token, so a repeated next-step does not invalidate one already handed out.
+ * The caller saves meta.
+ */
+function issueStepToken(meta, step) {
+  const wanted = {
+    action:      step.action,
+    round:       step.action === 'review' || step.action === 'repair' ? step.round : null,
+    planVersion: step.action === 'revise' ? step.planVersion : null,
+    reviewer:    step.reviewer || null,
+  };
+  if (meta.pendingStep && sameStep(meta.pendingStep, wanted)) return meta.pendingStep.token;
+  meta.pendingStep = { ...wanted, token: crypto.randomBytes(8).toString('hex'), issuedAt: new Date().toISOString() };
+  return meta.pendingStep.token;
+}
+
+/**
+ * Check that `token` answers the pending step and that the submission is that step, without
+ * retiring it (parse-round checks before parsing, so a response that fails to parse leaves
+ * the step open).
+ *
+ * @param {object} submitted  { action, round?, planVersion?, reviewer? } describing the submission
+ * @throws {UsageError} E_STEP_TOKEN
+ */
+function checkStepToken(meta, submitted, token) {
+  const pending = meta.pendingStep;
+  const fail = msg => { throw new UsageError(msg, { code: 'E_STEP_TOKEN' }); };
+
+  if (token && meta.lastStep && meta.lastStep.token === token) {
+    fail(`Step token already used: ${describeStep(meta.lastStep)} was submitted at ${meta.lastStep.completedAt}. Run next-step for the current step.`);
+  }
+  if (!pending) {
+    if (token) fail('No step is pending for this token. Run next-step for the current step.');
+    return;
+  }
+  if (!token) {
+    fail(`--step-token is required: next-step handed out ${describeStep(pending)}. Pass the stepToken from that next-step output.`);
+  }
+  if (token !== pending.token) {
+    fail(`Step token does not match the pending step (${describeStep(pending)}). Run next-step again for the current token.`);
+  }
+  if (!sameStep(pending, submitted)) {
+    fail(`Step token was issued for ${describeStep(pending)}, not ${describeStep(submitted)}.`);
+  }
+}
+
+/** checkStepToken(), then retire the pending step. The caller saves meta. */
+function consumeStepToken(meta, submitted, token) {
+  checkStepToken(meta, submitted, token);
+  const pending = meta.pendingStep;
+  if (!pending) return;
+  meta.lastStep = { ...pending, completedAt: new Date().toISOString() };
+  delete meta.pendingStep;
+}
+
+module.exports = { TOKEN_ACTIONS, describeStep, issueStepToken, checkStepToken, consumeStepToken };
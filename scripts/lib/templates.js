@@ -0,0 +1,208 @@
+/**
+ * templates.js — Prompt templates: lookup and rendering
+ *
+ * A template is markdown with `{placeholder}` slots (lowercase snake_case). Rendering is a
+ * single pass: each slot is replaced by its value verbatim, and values are never scanned again,
+ * so plan text containing `{round}`, `$&` or anything else comes through unchanged.
+ *
+ *   {name}                  the value; rendering fails if the template has no such
+ *                           placeholder or the caller did not fill it
+ *   {name_or_"fallback"}    the value, or the fallback text when the value is empty
+ *   {{name}}                the literal text {name}
+ *
+ * Anything else in braces (JSON examples, `{ "id": ... }`) is plain text. Every template must
+ * contain {plan_content}, except the repair prompt, which must contain {original_output} and
+ * {validation_errors} instead.
+ *
+ * Each template is looked up, first match wins, in:
+ *
+ *   1. the review profile's `templates` overrides
+ *   2. the workspace's template directory: `init --template-dir <dir>`, else the project's
+ *      .cross-model-review/templates when it exists at init
+ *   3. the bundled templates/
+ *
+ * A directory only needs the templates it changes.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readFile } = require('./util');
+const { UsageError } = require('./errors');
+const { requireWorkspace, getWorkspaceMeta } = require('./workspace');
+const { DEFAULT_PROFILE, loadProfile, workspaceProfile } = require('./profiles');
+
+const BUNDLED_TEMPLATE_DIR = path.join(__dirname, '..', '..', 'templates');
+const PROJECT_TEMPLATE_DIR = path.join('.cross-model-review', 'templates');
+
+const REVIEW_PLACEHOLDERS = [
+  'plan_content', 'round', 'prior_issues_json', 'review_criteria', 'rubric_schema', 'issue_categories',
+  'codebase_context', 'project_context',
+];
+
+/** Every template the loop renders, and the placeholders it may use. */
+const TEMPLATES = {
+  'criteria-propose-prompt.md':     ['plan_content', 'project_context'],
+  'criteria-challenge-prompt.md':   ['plan_content', 'project_context', 'proposed_criteria_json'],
+  'reviewer-prompt.md':             REVIEW_PLACEHOLDERS,
+  'alternating-reviewer-prompt.md': REVIEW_PLACEHOLDERS,
+  'writer-prompt.md':               ['plan_content', 'review_summary', 'open_issues'],
+  'repair-prompt.md':               ['original_output', 'validation_errors', 'round', 'attempt', 'rubric_schema', 'issue_categories'],
+};
+
+/** Placeholders a template must use; a template without them would drop its subject. */
+const REQUIRED_PLACEHOLDERS = {
+  'repair-prompt.md': ['original_output', 'validation_errors'],
+};
+
+function requiredPlaceholders(name) {
+  return REQUIRED_PLACEHOLDERS[name] || ['plan_content'];
+}
+
+// `{{name}}` (escape) or `{name}` / `{name_or_"fallback"}`
+const SLOT = /\{\{([a-z][a-z0-9_]*)\}\}|\{([a-z][a-z0-9_]*?)(?:_or_"([^"\n]*)")?\}/g;
+
+/**
+ * Placeholders in `source`, in order, one entry per occurrence.
+ * @returns {Array<{ name, fallback: string|null, line: number }>}
+ */
+function parsePlaceholders(source) {
+  const found = [];
+  for (const m of String(source).matchAll(SLOT)) {
+    if (m[1]) continue;
+    found.push({ name: m[2], fallback: m[3] === undefined ? null : m[3], line: source.slice(0, m.index).split('\n').length });
+  }
+  return found;
+}
+
+/** Problems that make `source` unusable as template `name` (empty when it is fine). */
+function checkTemplate(name, source) {
+  const allowed = TEMPLATES[name];
+  if (!allowed) return [`unknown template ${name} (expected one of ${Object.keys(TEMPLATES).join(', ')})`];
+  const used = parsePlaceholders(source);
+  const problems = [];
+  for (const p of used.filter(u => !allowed.includes(u.name))) {
+    problems.push(`unknown placeholder {${p.name}} on line ${p.line} (allowed: ${allowed.join(', ')})`);
+  }
+  for (const req of requiredPlaceholders(name)) {
+    if (!used.some(u => u.name === req)) problems.push(`missing required placeholder {${req}}`);
+  }
+  return problems;
+}
+
+/**
+ * Fill template `name` from `values`.
+ *
+ * @param {string} name      Template file name (a key of TEMPLATES)
+ * @param {string} source    Template text
+ * @param {object} values    Placeholder → string
+ * @param {string} [file]    Where the template came from, for error messages
+ * @throws {UsageError} E_TEMPLATE for unknown, missing required or unfilled placeholders
+ */
+function renderTemplate(name, source, values, file) {
+  const where = `Template ${file || name}`;
+  const problems = checkTemplate(name, source);
+  const unfilled = [...new Set(parsePlaceholders(source)
+    .filter(p => TEMPLATES[name] && TEMPLATES[name].includes(p.name))
+    .filter(p => values[p.name] === undefined || values[p.name] === null)
+    .map(p => `{${p.name}}`))];
+  if (unfilled.length) problems.push(`no value for ${unfilled.join(', ')}`);
+  if (problems.length) throw new UsageError(`${where}: ${problems.join('; ')}`, { code: 'E_TEMPLATE', details: problems });
+
+  return String(source).replace(SLOT, (whole, escaped, slot, fallback) => {
+    if (escaped) return `{${escaped}}`;
+    const value = String(values[slot]);
+    return value === '' && fallback !== undefined ? fallback : value;
+  });
+}
+
+/**
+ * The workspace template directory for init: `templateDir` (must exist), else the project's
+ * .cross-model-review/templates under `root` when present, else null.
+ * @returns {{ path: string, source: 'template-dir'|'project' }|null}
+ */
+function resolveTemplateDir({ templateDir, root } = {}) {
+  if (templateDir) {
+    const dir = path.resolve(templateDir);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new UsageError(`Template directory not found: ${dir}`);
+    return { path: dir, source: 'template-dir' };
+  }
+  const project = path.resolve(root || process.cwd(), PROJECT_TEMPLATE_DIR);
+  return fs.existsSync(project) && fs.statSync(project).isDirectory() ? { path: project, source: 'project' } : null;
+}
+
+/**
+ * Where template `name` comes from.
+ * @param {object} [opts]
+ * @param {object} [opts.profile]      Review profile (its `templates` overrides win)
+ * @param {object} [opts.templateDir]  resolveTemplateDir() result, as stored in meta.templateDir
+ * @returns {{ name, path, source: 'profile'|'template-dir'|'project'|'bundled' }}
+ */
+function resolveTemplate(name, { profile, templateDir } = {}) {
+  if (profile && profile.templates && profile.templates[name]) {
+    return { name, path: profile.templates[name], source: 'profile' };
+  }
+  if (templateDir) {
+    const file = path.join(templateDir.path, name);
+    if (fs.existsSync(file)) return { name, path: file, source: templateDir.source };
+  }
+  return { name, path: path.join(BUNDLED_TEMPLATE_DIR, name), source: 'bundled' };
+}
+
+/** resolveTemplate() plus the template text. */
+function loadTemplate(name, opts) {
+  const resolved = resolveTemplate(name, opts);
+  if (!fs.existsSync(resolved.path)) throw new UsageError(`Template ${name} not found: ${resolved.path}`, { code: 'E_TEMPLATE' });
+  return { ...resolved, text: readFile(resolved.path) };
+}
+
+/**
+ * Every template with where it resolves to, its placeholders and any problems; plus `.md`
+ * files in the template directory that are not templates (likely misnamed).
+ *
+ * @param {object} opts
+ * @param {string} [opts.workspace]    Report the workspace's templates (its profile and template directory)
+ * @param {object|string} [opts.profile]  Otherwise: a loaded profile, or a profile name / JSON file
+ * @param {object|string} [opts.templateDir]  resolveTemplateDir() result, or a directory path
+ * @param {string} [opts.root]         Project root for .cross-model-review/templates (default: cwd)
+ * @returns {{ templateDir: object|null, templates: Array<{ name, path, source, placeholders: string[], problems: string[] }>, unused: string[], ok: boolean }}
+ */
+function listTemplates(opts = {}) {
+  let profile, dir;
+  if (opts.workspace) {
+    const meta = getWorkspaceMeta(requireWorkspace(opts.workspace));
+    profile = workspaceProfile(meta);
+    dir = meta.templateDir || null;
+  } else {
+    profile = typeof opts.profile === 'object' && opts.profile ? opts.profile : loadProfile(opts.profile || DEFAULT_PROFILE);
+    dir = typeof opts.templateDir === 'object' ? opts.templateDir : resolveTemplateDir({ templateDir: opts.templateDir, root: opts.root });
+  }
+
+  const templates = Object.keys(TEMPLATES).map(name => {
+    const t = loadTemplate(name, { profile, templateDir: dir });
+    return {
+      name,
+      path:         t.path,
+      source:       t.source,
+      placeholders: [...new Set(parsePlaceholders(t.text).map(p => p.name))],
+      problems:     checkTemplate(name, t.text),
+    };
+  });
+  const unused = dir ? fs.readdirSync(dir.path).filter(f => f.endsWith('.md') && !TEMPLATES[f]).sort() : [];
+  return { templateDir: dir, templates, unused, ok: templates.every(t => t.problems.length === 0) };
+}
+
+module.exports = {
+  BUNDLED_TEMPLATE_DIR,
+  PROJECT_TEMPLATE_DIR,
+  TEMPLATES,
+  parsePlaceholders,
+  checkTemplate,
+  renderTemplate,
+  resolveTemplateDir,
+  resolveTemplate,
+  loadTemplate,
+  listTemplates,
+};
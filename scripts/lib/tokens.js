@@ -0,0 +1,68 @@
+/**
+ * tokens.js — Token estimation and prompt budgeting
+ *
+ * Estimates are heuristic (~4 characters per token), which is close enough for
+ * English prose and JSON across the providers we target. Budgeting never touches
+ * the plan itself: when a prompt is over budget, lower-priority inputs are shrunk
+ * in a fixed order and every reduction is reported back to the caller.
+ */
+
+'use strict';
+
+const CHARS_PER_TOKEN = 4;
+
+/** Maximum length of `last_evidence` kept once evidence trimming kicks in. */
+const EVIDENCE_TRIM_CHARS = 160;
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/** Cut text to roughly `tokens` tokens, marking the cut. */
+function truncateToTokens(text, tokens) {
+  const maxChars = Math.max(0, tokens * CHARS_PER_TOKEN);
+  if (text.length <= maxChars) return text;
+  const marker = `\n[… truncated ${text.length - maxChars} chars to fit token budget]`;
+  return text.slice(0, Math.max(0, maxChars - marker.length)) + marker;
+}
+
+/**
+ * Fit a prompt into `budget` tokens by applying reducers in priority order.
+ *
+ * `render(state)` builds the prompt from a state object. Each reducer is
+ * `{ name, apply(state, overBy) → { state, detail } | null }`; it returns null when it
+ * has nothing left to shrink. Reducers run until the prompt fits or all are exhausted.
+ *
+ * @returns {{ prompt: string, state: object, tokens: { estimated, budget, trimmed: object[], overBudget } }}
+ */
+function fitToBudget(render, initialState, reducers, budget) {
+  let state  = initialState;
+  let prompt = render(state);
+  let estimated = estimateTokens(prompt);
+  const trimmed = [];
+
+  for (const reducer of reducers) {
+    // A reducer may need more than one pass (token estimates round per part, not per prompt)
+    while (estimated > budget) {
+      const res = reducer.apply(state, estimated - budget);
+      if (!res) break;
+      const nextPrompt = render(res.state);
+      const after = estimateTokens(nextPrompt);
+      if (after >= estimated) break;
+      const prev = trimmed[trimmed.length - 1];
+      if (prev && prev.step === reducer.name) {
+        prev.tokensSaved += estimated - after;
+      } else {
+        trimmed.push({ step: reducer.name, detail: res.detail, tokensSaved: estimated - after });
+      }
+      state     = res.state;
+      prompt    = nextPrompt;
+      estimated = after;
+    }
+  }
+
+  return { prompt, state, tokens: { estimated, budget, trimmed, overBudget: estimated > budget } };
+}
+
+module.exports = { CHARS_PER_TOKEN, EVIDENCE_TRIM_CHARS, estimateTokens, truncateToTokens, fitToBudget };
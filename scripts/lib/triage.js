@@ -0,0 +1,119 @@
+/**
+ * triage.js — Human decisions on single issues: waive, dispute, reopen
+ *
+ *   waive    an open issue becomes `waived`: an accepted risk, with the reason and who took
+ *            it. It no longer blocks approval, the reviewer is told not to report on it, and
+ *            summary.json lists it under `waivers`.
+ *   dispute  an open issue becomes `disputed` and carries the counter-argument. It still
+ *            blocks; the next review must answer it: resolved or not-applicable if the
+ *            argument holds, still-open if the issue stands (recorded as `dispute.answer`).
+ *   reopen   a resolved, not-applicable or waived issue becomes `open` again. An approved,
+ *            not yet finalized workspace goes back to REVISE so the writer addresses it.
+ *
+ * Each decision is recorded in the issue's history (source `triage`, with the actor) and in
+ * changelog.md. A review or revision handed out by next-step before the decision is
+ * withdrawn, since its prompt no longer matches the tracker. The round's issue snapshot keeps
+ * the state the reviewer left, so rewinding to that round undoes the decision.
+ */
+
+'use strict';
+
+const { UsageError, WorkspaceError } = require('./errors');
+const {
+  OPEN_STATUSES, WAIVED_STATUS, DISPUTED_STATUS, setIssueStatus, requireWorkspace, getWorkspaceMeta,
+  saveMeta, getIssues, saveIssues, appendChangelog,
+} = require('./workspace');
+const { resolvePolicy, getBlockingIssues } = require('./policy');
+const { describeStep } = require('./steps');
+const { lockedCommand } = require('./lock');
+
+const MIN_REASON_CHARS = 10;
+
+/** Per action: the statuses it applies to, and the status it sets. */
+const TRIAGE_ACTIONS = {
+  waive:   { from: OPEN_STATUSES, to: WAIVED_STATUS },
+  dispute: { from: OPEN_STATUSES.filter(s => s !== DISPUTED_STATUS), to: DISPUTED_STATUS },
+  reopen:  { from: ['resolved', 'not-applicable', WAIVED_STATUS], to: 'open' },
+};
+
+/**
+ * Waive, dispute or reopen one issue.
+ *
+ * @param {object} opts
+ * @param {string} opts.workspace
+ * @param {string} opts.action   "waive", "dispute" or "reopen"
+ * @param {string} opts.id       Issue ID, e.g. ISS-003
+ * @param {string} opts.reason   Why (min 10 chars); for a dispute, the counter-argument the reviewer answers
+ * @param {string} [opts.actor]  Who decided (default: $USER / $CI_ACTOR)
+ * @returns {{ issue, action, from, status, actor, blockers: string[], verdict, stepWithdrawn: string|null }}
+ */
+function triageIssue(opts = {}) {
+  const wsDir = requireWorkspace(opts.workspace);
+  const spec  = TRIAGE_ACTIONS[opts.action];
+  if (!spec) throw new UsageError(`triage needs an action: ${Object.keys(TRIAGE_ACTIONS).join(', ')}`);
+  if (!opts.id) throw new UsageError(`triage ${opts.action} needs an issue ID, e.g. triage ${opts.action} ISS-003`);
+  const reason = typeof opts.reason === 'string' ? opts.reason.trim() : '';
+  if (reason.length < MIN_REASON_CHARS) throw new UsageError(`--reason must be at least ${MIN_REASON_CHARS} characters`);
+
+  const meta = getWorkspaceMeta(wsDir);
+  if (meta.completedAt) {
+    throw new WorkspaceError(`Workspace was finalized (${meta.verdict}); rewind it before triaging issues`, { code: 'E_SEQUENCE' });
+  }
+  const issues = getIssues(wsDir);
+  const iss = issues.find(i => i.id === opts.id);
+  if (!iss) throw new UsageError(`Issue not found: ${opts.id}`);
+  if (!spec.from.includes(iss.status)) {
+    throw new UsageError(`Cannot ${opts.action} ${iss.id}: it is ${iss.status} (${opts.action} applies to ${spec.from.join(', ')})`);
+  }
+
+  const actor = opts.actor || process.env.USER || process.env.CI_ACTOR || 'unknown';
+  const at    = new Date().toISOString();
+  const from  = iss.status;
+  setIssueStatus(iss, spec.to, { round: meta.currentRound, evidence: reason, source: 'triage', actor });
+  if (opts.action === 'waive') {
+    iss.waiver = { reason, actor, round: meta.currentRound, at };
+    iss.round_resolved = meta.currentRound;
+  } else if (opts.action === 'dispute') {
+    iss.dispute = { argument: reason, actor, round: meta.currentRound, at, answer: null };
+  } else {
+    delete iss.waiver;
+    iss.round_resolved = null;
+  }
+
+  // A prompt built before this decision would show the reviewer or writer the old tracker
+  const pending = meta.pendingStep;
+  const stepWithdrawn = pending && ['review', 'repair', 'revise'].includes(pending.action) ? describeStep(pending) : null;
+  if (stepWithdrawn) delete meta.pendingStep;
+  const reopenedApproval = opts.action === 'reopen' && meta.verdict === 'APPROVED';
+  if (reopenedApproval) {
+    meta.verdict = 'REVISE';
+    meta.needsRevision = true;
+  }
+  saveMeta(wsDir, meta);
+
+  saveIssues(wsDir, issues);
+  appendChangelog(wsDir, [
+    `\n## Triage — ${at}`,
+    `${iss.id} ${{ waive: 'waived', dispute: 'disputed', reopen: 'reopened' }[opts.action]} by ${actor} — "${reason}"`,
+    `${iss.id} is now ${iss.severity} / ${iss.status} (was ${from})`,
+    reopenedApproval ? 'Verdict: APPROVED → REVISE (revision pending)' : null,
+    stepWithdrawn ? `Withdrawn: ${stepWithdrawn} (run next-step again)` : null,
+    '',
+  ].filter(l => l !== null).join('\n'));
+
+  return {
+    issue:    iss.id,
+    action:   opts.action,
+    from,
+    status:   iss.status,
+    actor,
+    blockers: getBlockingIssues(issues, resolvePolicy(meta)).map(i => i.id),
+    verdict:  meta.verdict,
+    stepWithdrawn,
+  };
+}
+
+module.exports = {
+  TRIAGE_ACTIONS,
+  triageIssue: lockedCommand('triage', triageIssue),
+};
@@ -0,0 +1,58 @@
+/**
+ * util.js — File helpers shared by every command
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { ReviewError } = require('./errors');
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new ReviewError(`Failed to read JSON from ${filePath}: ${e.message}`, { code: 'E_IO' });
+  }
+}
+
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+}
+
+/** Atomic JSON write: write to .tmp then rename (POSIX atomic). */
+function writeJsonAtomic(filePath, data) {
+  const tmp = filePath + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmp, filePath);
+}
+
+function readFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (e) {
+    throw new ReviewError(`Cannot read file ${filePath}: ${e.message}`, { code: 'E_IO' });
+  }
+}
+
+function ensureDir(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+/** Parse an integer option; `undefined`/`null` falls back to `dflt`. Returns NaN on garbage. */
+function toInt(value, dflt) {
+  if (value === undefined || value === null) return dflt;
+  return typeof value === 'number' ? value : parseInt(value, 10);
+}
+
+/** Parse a numeric option; `undefined`/`null` falls back to `dflt`. Returns NaN on garbage. */
+function toNumber(value, dflt) {
+  if (value === undefined || value === null) return dflt;
+  return typeof value === 'number' ? value : Number(value);
+}
+
+/** Dedup thresholds are similarity scores: (0, 1]. */
+function isValidThreshold(value) {
+  return typeof value === 'number' && value > 0 && value <= 1;
+}
+
+module.exports = { readJson, writeJson, writeJsonAtomic, readFile, ensureDir, toInt, toNumber, isValidThreshold };
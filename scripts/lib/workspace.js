@@ -0,0 +1,195 @@
+/**
+ * workspace.js — Workspace state helpers (meta, issue tracker, plan versions, changelog)
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { readJson, writeJsonAtomic } = require('./util');
+const { UsageError, WorkspaceError } = require('./errors');
+
+/** Where `init` creates workspaces (and `list` looks for them) unless --out says otherwise. */
+const DEFAULT_REVIEWS_DIR = 'tasks/reviews';
+
+/** Set by triage: a human contests the issue (still open) or accepts it as a risk. */
+const DISPUTED_STATUS = 'disputed';
+const WAIVED_STATUS   = 'waived';
+
+const OPEN_STATUSES     = ['open', 'still-open', 'regressed', DISPUTED_STATUS];
+const RESOLVED_STATUSES = ['resolved', 'not-applicable', 'force-approved', WAIVED_STATUS];
+
+/** Folded into another issue by merge-issues; tracked there (see `merged_into`). */
+const MERGED_STATUS = 'merged';
+
+function isOpen(iss) {
+  return OPEN_STATUSES.includes(iss.status);
+}
+
+function isMerged(iss) {
+  return iss.status === MERGED_STATUS;
+}
+
+/**
+ * Set an issue's status and append the report to `iss.history`, so a resolved → regressed →
+ * resolved cycle stays visible. Reports that leave the status as it was are kept too: they
+ * record who confirmed it. `by` names the reviewer model(s), or the command and the person
+ * behind a change made outside a review round.
+ *
+ * @param {object} by  { round, evidence?, reviewer? } or { round, evidence?, source, actor? }
+ */
+function setIssueStatus(iss, status, by) {
+  const entry = { round: by.round, from: iss.status || null, status, evidence: by.evidence || null };
+  if (by.reviewer) entry.reviewer = by.reviewer;
+  if (by.source)   entry.source = by.source;
+  if (by.actor)    entry.actor = by.actor;
+  entry.at = new Date().toISOString();
+  iss.status = status;
+  iss.history = [...(iss.history || []), entry];
+}
+
+/** Validate the --workspace option and that the directory exists. Returns the directory. */
+function requireWorkspace(wsDir) {
+  if (!wsDir) throw new UsageError('--workspace <dir> is required');
+  if (!fs.existsSync(wsDir)) throw new WorkspaceError(`Workspace not found: ${wsDir}`);
+  return wsDir;
+}
+
+function getWorkspaceMeta(wsDir) {
+  const metaPath = path.join(wsDir, 'meta.json');
+  if (!fs.existsSync(metaPath)) throw new WorkspaceError(`Not a review workspace: ${wsDir}`);
+  return readJson(metaPath);
+}
+
+function saveMeta(wsDir, meta) {
+  writeJsonAtomic(path.join(wsDir, 'meta.json'), meta);
+}
+
+function getIssues(wsDir) {
+  const p = path.join(wsDir, 'issues.json');
+  return fs.existsSync(p) ? readJson(p) : [];
+}
+
+function saveIssues(wsDir, issues) {
+  writeJsonAtomic(path.join(wsDir, 'issues.json'), issues);
+}
+
+/**
+ * issues.json as it stood after `round`, for rewind. Written when the round is parsed and
+ * refreshed by merge/split before the next round. Round 0 is the tracker before the first
+ * review (issues opened by plan screening), written at init and when the criteria are agreed.
+ */
+function saveIssueSnapshot(wsDir, round, issues) {
+  writeJsonAtomic(path.join(wsDir, `round-${round}-issues.json`), issues);
+}
+
+/** Snapshot for `round`, or null if the round was parsed before snapshots existed. */
+function getIssueSnapshot(wsDir, round) {
+  const p = path.join(wsDir, `round-${round}-issues.json`);
+  if (fs.existsSync(p)) return readJson(p);
+  // Workspaces from before round-0 snapshots could not open issues before round 1
+  return round === 0 ? [] : null;
+}
+
+function nextIssueId(issues) {
+  const nums = issues.map(iss => {
+    const m = iss.id.match(/ISS-(\d+)/);
+    return m ? parseInt(m[1], 10) : 0;
+  });
+  const max = nums.length ? Math.max(...nums) : 0;
+  return `ISS-${String(max + 1).padStart(3, '0')}`;
+}
+
+/** All plan-vN.md file names in ascending version order. */
+function listPlanVersions(wsDir) {
+  return fs.readdirSync(wsDir)
+    .filter(f => /^plan-v\d+\.md$/.test(f))
+    .sort((a, b) => {
+      const na = parseInt(a.match(/(\d+)/)[1], 10);
+      const nb = parseInt(b.match(/(\d+)/)[1], 10);
+      return na - nb;
+    });
+}
+
+/** Text of the plan's first heading, as submitted (plan-v1.md), or null if it has none. */
+function planTitle(wsDir) {
+  const plans = listPlanVersions(wsDir);
+  if (!plans.length) return null;
+  const m = fs.readFileSync(path.join(wsDir, plans[0]), 'utf8').match(/^#{1,6}\s+(.+?)\s*#*\s*$/m);
+  return m ? m[1] : null;
+}
+
+/** Find latest plan-vN.md in workspace. */
+function getLatestPlanVersion(wsDir) {
+  const planVersions = listPlanVersions(wsDir);
+  if (planVersions.length === 0) throw new WorkspaceError('No plan versions found in workspace.');
+  return planVersions[planVersions.length - 1];
+}
+
+/** Rubric from the most recent round output that has one, or null. */
+function getLatestRubric(wsDir, meta) {
+  for (let r = meta.currentRound; r >= 1; r--) {
+    const roundOutPath = path.join(wsDir, `round-${r}-output.json`);
+    if (fs.existsSync(roundOutPath)) {
+      const roundOut = readJson(roundOutPath);
+      if (roundOut.rubric) return roundOut.rubric;
+    }
+  }
+  return null;
+}
+
+/**
+ * Latest result for each acceptance criterion agreed in Round 0, taken from the most recent
+ * round output that reported it. `result` is null for a criterion no round has evaluated.
+ *
+ * @returns {Array<{ id, description, result: 'PASS'|'FAIL'|null, evidence, round }>}
+ */
+function getCriteriaStatus(wsDir, meta) {
+  const criteria = Array.isArray(meta.criteria) ? meta.criteria : [];
+  const latest = {};
+  for (let r = meta.currentRound; r >= 1 && criteria.length; r--) {
+    const roundOutPath = path.join(wsDir, `round-${r}-output.json`);
+    if (!fs.existsSync(roundOutPath)) continue;
+    for (const cr of readJson(roundOutPath).criteriaResults || []) {
+      if (!latest[cr.id]) latest[cr.id] = { result: cr.result, evidence: cr.evidence, round: r };
+    }
+  }
+  return criteria.map(c => ({
+    id:          c.id,
+    description: c.description,
+    result:      latest[c.id] ? latest[c.id].result : null,
+    evidence:    latest[c.id] ? latest[c.id].evidence : null,
+    round:       latest[c.id] ? latest[c.id].round : null,
+  }));
+}
+
+function appendChangelog(wsDir, entry) {
+  fs.appendFileSync(path.join(wsDir, 'changelog.md'), entry, 'utf8');
+}
+
+module.exports = {
+  DEFAULT_REVIEWS_DIR,
+  OPEN_STATUSES,
+  RESOLVED_STATUSES,
+  MERGED_STATUS,
+  DISPUTED_STATUS,
+  WAIVED_STATUS,
+  isOpen,
+  isMerged,
+  setIssueStatus,
+  requireWorkspace,
+  getWorkspaceMeta,
+  saveMeta,
+  getIssues,
+  saveIssues,
+  saveIssueSnapshot,
+  getIssueSnapshot,
+  nextIssueId,
+  listPlanVersions,
+  planTitle,
+  getLatestPlanVersion,
+  getLatestRubric,
+  getCriteriaStatus,
+  appendChangelog,
+};
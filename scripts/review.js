@@ -4,21 +4,41 @@
  *
  * Works with: OpenClaw (sessions_spawn), Claude Code (Agent tool + Codex plugin)
  *
+ * Thin CLI over the programmatic API in ./lib (require('cross-model-review')).
+ *
  * Subcommands:
  *   init         Create a review workspace
  *   parse-round  Parse reviewer response, update issue tracker
+ *   aggregate    Merge a complete review panel's responses into the round verdict
  *   finalize     Generate plan-final.md, changelog.md, summary.json
  *   status       Print current workspace state
  *   next-step    Get next action for autonomous loop (alternating mode)
  *   save-plan    Save a revised plan from writer sub-agent
+ *   run          Drive the next-step loop to completion through model adapters
+ *   add-context  Snapshot more repo files into the workspace's codebase context
+ *   merge-issues Merge a duplicate issue into another (acts on dedup warnings)
+ *   split-issue  Undo a merge
+ *   diff         Section-aware diff between two plan versions, linked to issues
+ *   rewind       Roll a workspace back to the state right after an earlier round
+ *   export       Export issues as SARIF or JUnit XML for CI dashboards
+ *   report       Write a self-contained HTML report of the review
+ *   list         List review workspaces with filters
+ *   stats        Aggregate metrics per reviewer model, model pair and mode
+ *   templates    Show where each prompt template resolves from and check its placeholders
+ *   issue        Show one issue's status history, or list issues with filters
+ *   triage       Waive, dispute or reopen a single issue
  *
  * Exit codes: 0=approved/ok  1=revise/unapproved  2=error
  */
 
 'use strict';
 
-const fs   = require('fs');
-const path = require('path');
+const fs = require('fs');
+
+const api = require('./lib');
+const { ReviewError } = require('./lib/errors');
+const { formatTable } = require('./lib/list');
+const { formatIssue, formatIssueTable } = require('./lib/issues');
 
 // ---------------------------------------------------------------------------
 // Argument parsing — minimal, no external deps
@@ -44,46 +64,18 @@ function parseArgs(argv) {
 }
 
 // ---------------------------------------------------------------------------
-// Utilities
+// Output helpers
 // ---------------------------------------------------------------------------
-function die(msg, code = 2) {
-  console.error(`ERROR: ${msg}`);
-  process.exit(code);
-}
-
 function info(msg) {
   console.log(msg);
 }
 
-function readJson(filePath) {
-  try {
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  } catch (e) {
-    die(`Failed to read JSON from ${filePath}: ${e.message}`);
-  }
-}
-
-function writeJson(filePath, data) {
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+function printJson(obj, pretty = true) {
+  info(pretty ? JSON.stringify(obj, null, 2) : JSON.stringify(obj));
 }
 
-/** Atomic JSON write: write to .tmp then rename (POSIX atomic). */
-function writeJsonAtomic(filePath, data) {
-  const tmp = filePath + '.tmp';
-  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', 'utf8');
-  fs.renameSync(tmp, filePath);
-}
-
-function readFile(filePath) {
-  try {
-    return fs.readFileSync(filePath, 'utf8');
-  } catch (e) {
-    die(`Cannot read file ${filePath}: ${e.message}`);
-  }
-}
-
-function ensureDir(dir) {
-  fs.mkdirSync(dir, { recursive: true });
+function warn(warnings) {
+  for (const w of warnings || []) console.warn(`WARNING: ${w}`);
 }
 
 /**
@@ -107,1052 +99,304 @@ function readLineSync() {
   return result.trim();
 }
 
-// ---------------------------------------------------------------------------
-// Model family detection — prevent same-provider review
-// ---------------------------------------------------------------------------
-const PROVIDER_FAMILIES = {
-  anthropic: ['claude', 'anthropic', 'sonnet', 'haiku', 'opus'],
-  openai:    ['gpt', 'openai', 'codex', 'o1', 'o3', 'davinci'],
-  google:    ['gemini', 'google', 'bard', 'palm'],
-  mistral:   ['mistral', 'mixtral'],
-  meta:      ['llama', 'meta'],
-  cohere:    ['command', 'cohere'],
-};
-
-function detectFamily(modelId) {
-  const lower = modelId.toLowerCase();
-  for (const [family, keywords] of Object.entries(PROVIDER_FAMILIES)) {
-    for (const kw of keywords) {
-      if (lower.includes(kw)) return family;
-    }
-  }
-  // Fall back to the first path segment (e.g. "myprovider/model-name" → "myprovider")
-  const firstSegment = lower.split('/')[0];
-  return (firstSegment && firstSegment !== lower) ? firstSegment : 'unknown';
+/** Interactive CONFIRM prompt used by finalize when overriding blockers on a TTY. */
+function confirmForceApprove({ blockers, blockedBy, reason }) {
+  const warning = [
+    '',
+    '⚠️  FORCE APPROVE: This will bypass what the approval policy blocks on:',
+    ...blockedBy.map(b => `  - ${b.rule}: ${b.message}`),
+    blockers.length ? `Unresolved: ${blockers.map(i => `${i.id}(${i.severity})`).join(', ')}` : null,
+    `Override reason: "${reason}"`,
+    'Type CONFIRM to proceed, or Ctrl-C to abort: ',
+  ].filter(l => l !== null).join('\n');
+  process.stderr.write(warning);
+  return readLineSync() === 'CONFIRM';
 }
 
 // ---------------------------------------------------------------------------
-// Jaccard similarity for dedup
+// Commands — map CLI flags to API options and results to exit codes
 // ---------------------------------------------------------------------------
-function normalizeText(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function tokenize(text) {
-  return new Set(normalizeText(text).split(' ').filter(Boolean));
+function cmdInit(args) {
+  const res = api.createWorkspace({
+    plan:           args['plan'],
+    mode:           args['mode'],
+    modelA:         args['model-a'],
+    modelB:         args['model-b'],
+    reviewerModel:  args['reviewer-model'],
+    plannerModel:   args['planner-model'],
+    reviewers:      args['reviewers'],
+    panelPolicy:    args['panel-policy'],
+    projectContext: args['project-context'],
+    out:            args['out'],
+    maxRounds:      args['max-rounds'],
+    maxRepairs:     args['max-repairs'],
+    stallWindow:    args['stall-window'],
+    tokenBudget:    args['token-budget'],
+    contextFiles:   args['context-files'],
+    contextRoot:    args['context-root'],
+    dedupThreshold: args['dedup-threshold'],
+    profile:        args['profile'],
+    policy:         args['policy'],
+    blockOn:        args['block-on'],
+    minRubricAverage: args['min-rubric-average'],
+    families:       args['families'],
+    unknownFamily:  args['unknown-family'],
+    screening:      args['screening'],
+    accountability: args['accountability'],
+    templateDir:    args['template-dir'],
+  });
+  warn(res.warnings);
+  // Which registry rule decided each family, on stderr so stdout stays the workspace path
+  for (const m of res.familyMatches) console.warn(`Family (${m.role}): ${api.describeMatch(m)}`);
+  info(res.workspace);
+  return 0;
 }
 
-function jaccardSimilarity(a, b) {
-  const setA = tokenize(a);
-  const setB = tokenize(b);
-  if (setA.size === 0 && setB.size === 0) return 1;
-  let intersection = 0;
-  for (const w of setA) { if (setB.has(w)) intersection++; }
-  const union = setA.size + setB.size - intersection;
-  return union === 0 ? 0 : intersection / union;
+function cmdParseRound(args) {
+  const { warnings, ...out } = api.parseRound({
+    workspace:      args['workspace'],
+    round:          args['round'],
+    response:       args['response'],
+    reviewer:       args['reviewer'],
+    stepToken:      args['step-token'],
+    dedupThreshold: args['dedup-threshold'],
+  });
+  warn(warnings);
+  printJson(out);
+  // A recorded panel response is progress, not a verdict
+  if (out.panelSubmission) return 0;
+  return out.verdict === 'APPROVED' ? 0 : 1;
 }
 
-// ---------------------------------------------------------------------------
-// Issue ID generation
-// ---------------------------------------------------------------------------
-function nextIssueId(issues) {
-  const nums = issues.map(iss => {
-    const m = iss.id.match(/ISS-(\d+)/);
-    return m ? parseInt(m[1], 10) : 0;
+function cmdAggregate(args) {
+  const { warnings, ...out } = api.aggregateRound({
+    workspace:      args['workspace'],
+    round:          args['round'],
+    dedupThreshold: args['dedup-threshold'],
   });
-  const max = nums.length ? Math.max(...nums) : 0;
-  return `ISS-${String(max + 1).padStart(3, '0')}`;
+  warn(warnings);
+  printJson(out);
+  return out.verdict === 'APPROVED' ? 0 : 1;
 }
 
-// ---------------------------------------------------------------------------
-// Review schema validation
-// ---------------------------------------------------------------------------
-const VALID_VERDICTS   = new Set(['APPROVED', 'REVISE']);
-const VALID_SEVERITIES = new Set(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW']);
-const VALID_STATUSES   = new Set(['resolved', 'still-open', 'regressed', 'not-applicable']);
-const RUBRIC_DIMENSIONS = [
-  'security', 'data_integrity', 'concurrency',
-  'error_handling', 'scalability', 'completeness', 'maintainability',
-];
-
-function validateReviewResponse(obj) {
-  const errors = [];
-  if (!VALID_VERDICTS.has(obj.verdict)) {
-    errors.push(`verdict must be APPROVED or REVISE, got: ${obj.verdict}`);
-  }
-  if (!Array.isArray(obj.prior_issues)) {
-    errors.push('prior_issues must be an array');
-  } else {
-    obj.prior_issues.forEach((pi, i) => {
-      if (!pi.id || typeof pi.id !== 'string') errors.push(`prior_issues[${i}].id missing`);
-      if (!VALID_STATUSES.has(pi.status)) errors.push(`prior_issues[${i}].status invalid: ${pi.status}`);
-    });
-  }
-  if (!Array.isArray(obj.new_issues)) {
-    errors.push('new_issues must be an array');
-  } else {
-    obj.new_issues.forEach((ni, i) => {
-      if (!VALID_SEVERITIES.has(ni.severity)) errors.push(`new_issues[${i}].severity invalid: ${ni.severity}`);
-      if (!ni.location) errors.push(`new_issues[${i}].location missing`);
-      if (!ni.problem)  errors.push(`new_issues[${i}].problem missing`);
-      if (!ni.fix)      errors.push(`new_issues[${i}].fix missing`);
-    });
-  }
-  if (typeof obj.summary !== 'string') {
-    errors.push('summary must be a string');
-  }
-
-  // Rubric validation (optional for backward compat, but validated if present)
-  if (obj.rubric !== undefined && obj.rubric !== null) {
-    if (typeof obj.rubric !== 'object' || Array.isArray(obj.rubric)) {
-      errors.push('rubric must be an object');
-    } else {
-      let scoredCount = 0;
-      for (const dim of RUBRIC_DIMENSIONS) {
-        const entry = obj.rubric[dim];
-        if (entry === undefined) {
-          errors.push(`rubric.${dim} is missing`);
-          continue;
-        }
-        if (typeof entry !== 'object' || entry === null) {
-          errors.push(`rubric.${dim} must be an object with score and rationale`);
-          continue;
-        }
-        if (entry.score !== null) {
-          if (typeof entry.score !== 'number' || entry.score < 0 || entry.score > 5 || !Number.isInteger(entry.score)) {
-            errors.push(`rubric.${dim}.score must be an integer 0-5 or null, got: ${entry.score}`);
-          } else {
-            scoredCount++;
-          }
-        }
-        if (typeof entry.rationale !== 'string' || entry.rationale.length === 0) {
-          errors.push(`rubric.${dim}.rationale must be a non-empty string`);
-        }
-      }
-      if (scoredCount < 3) {
-        errors.push(`rubric must have at least 3 scored (non-null) dimensions, got: ${scoredCount}`);
-      }
-    }
-  }
+function cmdFinalize(args) {
+  const isTTY = process.stdin.isTTY && process.stdout.isTTY;
+  printJson(api.finalize({
+    workspace:      args['workspace'],
+    overrideReason: args['override-reason'],
+    ciForce:        !!args['ci-force'],
+    confirm:        isTTY ? confirmForceApprove : undefined,
+  }));
+  return 0;
+}
 
-  return errors;
+function cmdStatus(args) {
+  const out = api.status({ workspace: args['workspace'] });
+  printJson(out);
+  return out.verdict === 'APPROVED' || out.verdict === 'FORCE_APPROVED' ? 0 : 1;
 }
 
-// ---------------------------------------------------------------------------
-// Parse reviewer response text → JSON, stripping fences if needed
-// ---------------------------------------------------------------------------
-function extractJson(raw) {
-  // Try direct parse first
+function cmdNextStep(args) {
+  // Error states returned as JSON instead of dying (orchestrator needs machine-readable errors)
+  let step;
   try {
-    return JSON.parse(raw.trim());
-  } catch (_) {}
-
-  // Strip markdown fences
-  const fenceMatch = raw.match(/```(?:json)?\s*([\s\S]*?)```/);
-  if (fenceMatch) {
-    try {
-      return JSON.parse(fenceMatch[1].trim());
-    } catch (_) {}
-  }
-
-  // Find first { ... } block
-  const start = raw.indexOf('{');
-  const end   = raw.lastIndexOf('}');
-  if (start !== -1 && end !== -1 && end > start) {
-    try {
-      return JSON.parse(raw.slice(start, end + 1));
-    } catch (_) {}
+    step = api.nextStep({ workspace: args['workspace'], ignoreStall: !!args['ignore-stall'], reason: args['reason'] });
+  } catch (e) {
+    if (!(e instanceof ReviewError) || e.code === 'E_USAGE') throw e;
+    step = { action: 'error', reason: e.message };
   }
-
-  throw new Error('Could not extract valid JSON from reviewer response');
-}
-
-// ---------------------------------------------------------------------------
-// Workspace state helpers
-// ---------------------------------------------------------------------------
-function getWorkspaceMeta(wsDir) {
-  const metaPath = path.join(wsDir, 'meta.json');
-  if (!fs.existsSync(metaPath)) die(`Not a review workspace: ${wsDir}`);
-  return readJson(metaPath);
-}
-
-function getIssues(wsDir) {
-  const p = path.join(wsDir, 'issues.json');
-  return fs.existsSync(p) ? readJson(p) : [];
+  printJson(step, false);
+  if (step.action === 'error') return 2;
+  if (step.action === 'max-rounds' || step.action === 'stalled') return 1;
+  return 0;
 }
 
-function saveIssues(wsDir, issues) {
-  writeJson(path.join(wsDir, 'issues.json'), issues);
+function cmdSaveCriteria(args) {
+  printJson(api.saveCriteria({
+    workspace: args['workspace'],
+    response:  args['response'],
+    phase:     args['phase'],
+    stepToken: args['step-token'],
+  }), false);
+  return 0;
 }
 
-function getOpenBlockers(issues) {
-  return issues.filter(iss =>
-    (iss.severity === 'CRITICAL' || iss.severity === 'HIGH') &&
-    (iss.status === 'open' || iss.status === 'still-open' || iss.status === 'regressed')
-  );
+function cmdSavePlan(args) {
+  const { warnings, ...out } = api.savePlan({
+    workspace: args['workspace'],
+    plan:      args['plan'],
+    version:   args['version'],
+    stepToken: args['step-token'],
+  });
+  warn(warnings);
+  printJson(out, false);
+  return 0;
 }
 
-// ---------------------------------------------------------------------------
-// COMMAND: init
-// ---------------------------------------------------------------------------
-function cmdInit(args) {
-  const mode          = args['mode'] || 'static';
-  const planPath      = args['plan'];
-  const outBase       = args['out'] || path.join(process.cwd(), 'tasks/reviews');
-  const maxRounds     = parseInt(args['max-rounds'] || (mode === 'alternating' ? '8' : '5'), 10);
-  const tokenBudget   = parseInt(args['token-budget'] || '8000', 10);
-  const projectCtx    = args['project-context'] || '';
-
-  if (!planPath) die('--plan <file> is required');
-  if (!['static', 'alternating'].includes(mode)) die('--mode must be "static" or "alternating"');
-
-  if (isNaN(maxRounds) || maxRounds < 1)   die('--max-rounds must be a positive integer');
-  if (isNaN(tokenBudget) || tokenBudget < 1) die('--token-budget must be a positive integer');
-  if (!fs.existsSync(planPath)) die(`Plan file not found: ${planPath}`);
-
-  let reviewerModel, plannerModel, rFamily, pFamily, modelA, modelB, familyA, familyB;
-
-  if (mode === 'alternating') {
-    modelA = args['model-a'];
-    modelB = args['model-b'];
-    if (!modelA) die('--model-a <model> is required for alternating mode');
-    if (!modelB) die('--model-b <model> is required for alternating mode');
-    familyA = detectFamily(modelA);
-    familyB = detectFamily(modelB);
-    if (familyA !== 'unknown' && familyB !== 'unknown' && familyA === familyB) {
-      die(`Model A and Model B are from the same provider family (${familyA}). Cross-provider review required.`);
-    }
-    // For backward compat, set reviewer/planner to modelB/modelA
-    reviewerModel = modelB;
-    plannerModel  = modelA;
-    rFamily = familyB;
-    pFamily = familyA;
-  } else {
-    reviewerModel = args['reviewer-model'];
-    plannerModel  = args['planner-model'];
-    if (!reviewerModel) die('--reviewer-model <model> is required');
-    if (!plannerModel)  die('--planner-model <model> is required');
-    rFamily = detectFamily(reviewerModel);
-    pFamily = detectFamily(plannerModel);
-    modelA = plannerModel;
-    modelB = reviewerModel;
-    familyA = pFamily;
-    familyB = rFamily;
-  }
-
-  if (rFamily === 'unknown' && pFamily === 'unknown') {
-    console.warn(`WARNING: Both models resolved to unknown provider family. Cannot verify cross-provider constraint. Proceeding anyway.`);
-  } else if (rFamily === 'unknown') {
-    console.warn(`WARNING: Reviewer model resolved to unknown provider family. Proceeding anyway.`);
-  } else if (pFamily === 'unknown') {
-    console.warn(`WARNING: Planner model resolved to unknown provider family. Proceeding anyway.`);
-  } else if (mode === 'static' && rFamily === pFamily) {
-    die(`Reviewer and planner are from the same provider family (${rFamily}). Cross-provider review required.`);
+function cmdRun(args) {
+  if (!args['adapters'] && !args['fixtures']) {
+    throw new api.UsageError('--adapters <file> or --fixtures <dir> is required');
   }
+  const out = api.run({
+    workspace: args['workspace'],
+    adapters:  api.loadAdapters({ config: args['adapters'], fixtures: args['fixtures'] }),
+    retries:   args['retries'],
+    log:       line => console.error(line),
+  });
+  printJson(out);
+  if (out.result === 'done') return 0;
+  if (out.result === 'max-rounds' || out.result === 'stalled') return 1;
+  return 2;
+}
 
-  ensureDir(outBase);
-
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-  const uuid      = Math.random().toString(36).slice(2, 10);
-  const wsDir     = path.join(outBase, `${timestamp}-${uuid}`);
-  ensureDir(wsDir);
-
-  // Copy plan as v1
-  const planContent = readFile(planPath);
-  fs.writeFileSync(path.join(wsDir, 'plan-v1.md'), planContent, 'utf8');
-
-  // Write meta
-  const meta = {
-    created:        new Date().toISOString(),
-    mode,
-    modelA,
-    modelB,
-    familyA,
-    familyB,
-    reviewerModel,
-    plannerModel,
-    reviewerFamily: rFamily,
-    plannerFamily:  pFamily,
-    maxRounds,
-    tokenBudget,
-    projectContext: projectCtx,
-    currentRound:   0,
-    verdict:        'PENDING',
-    needsRevision:  false,
-    criteria:       null,         // Round 0: task-specific acceptance criteria (set by criteria-negotiate)
-    criteriaPhase:  'propose',    // 'propose' → 'challenge' → 'done'
-    wsDir,
-  };
-  writeJsonAtomic(path.join(wsDir, 'meta.json'), meta);
-
-  // Initialize issue tracker and changelog
-  writeJson(path.join(wsDir, 'issues.json'), []);
-  fs.writeFileSync(path.join(wsDir, 'changelog.md'), `# Review Changelog\n\nWorkspace: ${wsDir}\nStarted: ${meta.created}\nMode: ${mode}\nModel A: ${modelA}\nModel B: ${modelB}\n\n`, 'utf8');
-
-  info(wsDir);
+function cmdAddContext(args) {
+  printJson(api.addContext({
+    workspace: args['workspace'],
+    files:     args['files'],
+    root:      args['root'],
+  }));
   return 0;
 }
 
-// ---------------------------------------------------------------------------
-// COMMAND: parse-round
-// ---------------------------------------------------------------------------
-function cmdParseRound(args) {
-  const wsDir    = args['workspace'];
-  const round    = parseInt(args['round'], 10);
-  const respPath = args['response'];
-
-  if (!wsDir)    die('--workspace <dir> is required');
-  if (!round || isNaN(round)) die('--round <n> is required');
-  if (!respPath) die('--response <file> is required');
-
-  if (!fs.existsSync(wsDir))    die(`Workspace not found: ${wsDir}`);
-  if (!fs.existsSync(respPath)) die(`Response file not found: ${respPath}`);
-
-  const raw = readFile(respPath);
-  let parsed;
-  try {
-    parsed = extractJson(raw);
-  } catch (e) {
-    die(`JSON extraction failed: ${e.message}`);
-  }
-
-  const schemaErrors = validateReviewResponse(parsed);
-  if (schemaErrors.length > 0) {
-    console.error('Schema validation errors:');
-    schemaErrors.forEach(e => console.error(`  - ${e}`));
-    die(`Response failed schema validation (${schemaErrors.length} errors)`);
-  }
-
-  const issues = getIssues(wsDir);
-
-  // ---- Process prior issue status updates ----
-  const priorUpdateMap = {};
-  for (const pu of (parsed.prior_issues || [])) {
-    priorUpdateMap[pu.id] = pu;
-  }
-
-  for (const iss of issues) {
-    if (priorUpdateMap[iss.id]) {
-      const update = priorUpdateMap[iss.id];
-      iss.status = update.status;
-      if (update.status === 'resolved' || update.status === 'not-applicable') {
-        iss.round_resolved = round;
-      }
-      iss.last_evidence = update.evidence || null;
-    }
-  }
-
-  // ---- Dedup check on new issues ----
-  // Check each new issue against: (a) existing open issues AND (b) other new issues in this batch
-  const openIssues = issues.filter(i => i.status === 'open' || i.status === 'still-open' || i.status === 'regressed');
-  const dedupWarnings = [];
-  const assignedNewIssues = [];
-
-  for (let idx = 0; idx < (parsed.new_issues || []).length; idx++) {
-    const ni = parsed.new_issues[idx];
-    let maxSim = 0;
-    let dupOf  = null;
-
-    // Check against existing open issues from prior rounds
-    for (const open of openIssues) {
-      const sim = jaccardSimilarity(ni.problem, open.problem);
-      if (sim > maxSim) {
-        maxSim = sim;
-        dupOf  = open.id;
-      }
-    }
-
-    // Check against other new issues already assigned in this same batch (intra-batch dedup)
-    for (const prev of assignedNewIssues) {
-      const sim = jaccardSimilarity(ni.problem, prev.problem);
-      if (sim > maxSim) {
-        maxSim = sim;
-        dupOf  = prev.id;
-      }
-    }
-
-    if (maxSim >= 0.6) {
-      dedupWarnings.push({
-        new_issue_index:       idx,
-        possible_duplicate_of: dupOf,
-        similarity:            Math.round(maxSim * 100) / 100,
-        note: `New issue overlaps significantly with ${dupOf}. Confirm if distinct.`,
-      });
-    }
-
-    // Assign stable ID and add to issues regardless (human reviews dedup warnings)
-    const newId = nextIssueId([...issues, ...assignedNewIssues]);
-    const newIssue = {
-      id:             newId,
-      severity:       ni.severity,
-      location:       ni.location,
-      problem:        ni.problem,
-      fix:            ni.fix,
-      status:         'open',
-      round_found:    round,
-      round_resolved: null,
-      last_evidence:  null,
-    };
-    assignedNewIssues.push(newIssue);
-    issues.push(newIssue);
-  }
-
-  saveIssues(wsDir, issues);
-
-  // ---- Rubric scoring ----
-  let rubric = null;
-  let rubricWarnings = [];
-  if (parsed.rubric && typeof parsed.rubric === 'object') {
-    rubric = {};
-    const scores = [];
-    for (const dim of RUBRIC_DIMENSIONS) {
-      const entry = parsed.rubric[dim];
-      if (entry && typeof entry === 'object') {
-        rubric[dim] = {
-          score: entry.score !== undefined ? entry.score : null,
-          rationale: entry.rationale || '',
-        };
-        if (entry.score !== null && typeof entry.score === 'number') {
-          scores.push(entry.score);
-          if (entry.score < 2) {
-            rubricWarnings.push(`${dim} scored ${entry.score}/5 — critical weakness`);
-          }
-        }
-      }
-    }
-    if (scores.length > 0) {
-      const avg = scores.reduce((a, b) => a + b, 0) / scores.length;
-      rubric._average = Math.round(avg * 100) / 100;
-      rubric._scored_dimensions = scores.length;
-      if (avg < 3.0) {
-        rubricWarnings.push(`Average rubric score ${rubric._average}/5 is below threshold (3.0)`);
-      }
-    }
-  }
-
-  // ---- Approval gate ----
-  const blockers   = getOpenBlockers(issues);
-  let finalVerdict = parsed.verdict;
-
-  if (finalVerdict === 'APPROVED' && blockers.length > 0) {
-    console.error(`WARNING: Reviewer said APPROVED but ${blockers.length} CRITICAL/HIGH issue(s) are still open.`);
-    console.error('Overriding verdict to REVISE.');
-    finalVerdict = 'REVISE';
-  }
-
-  // ---- Save round output ----
-  const roundOutput = {
-    round,
-    verdict:       finalVerdict,
-    reviewVerdict: parsed.verdict,
-    summary:       parsed.summary,
-    rubric:        rubric,
-    rubricWarnings,
-    newIssues:     assignedNewIssues.map(i => i.id),
-    dedupWarnings,
-    blockers:      blockers.map(i => i.id),
-  };
-  writeJson(path.join(wsDir, `round-${round}-output.json`), roundOutput);
-
-  // ---- Update meta ----
-  const meta = getWorkspaceMeta(wsDir);
-  meta.currentRound = round;
-  meta.verdict = finalVerdict;
-  meta.needsRevision = (finalVerdict === 'REVISE');
-  writeJsonAtomic(path.join(wsDir, 'meta.json'), meta);
-
-  // ---- Append to changelog ----
-  const openCount     = issues.filter(i => i.status === 'open' || i.status === 'still-open').length;
-  const resolvedCount = issues.filter(i => i.status === 'resolved').length;
-  const rubricLine = rubric && rubric._average !== undefined
-    ? `Rubric: avg ${rubric._average}/5 (${rubric._scored_dimensions} dimensions)${rubricWarnings.length ? ' ⚠️ ' + rubricWarnings.join('; ') : ''}`
-    : 'Rubric: not provided';
-  const changeEntry   = [
-    `\n## Round ${round} — ${new Date().toISOString()}`,
-    `Verdict: **${finalVerdict}**`,
-    `Summary: ${parsed.summary}`,
-    rubricLine,
-    `New issues: ${assignedNewIssues.length} (${assignedNewIssues.map(i => `${i.id} ${i.severity}`).join(', ') || 'none'})`,
-    `Dedup warnings: ${dedupWarnings.length}`,
-    `Open blockers: ${blockers.length}`,
-    `Total open: ${openCount} | Resolved: ${resolvedCount}`,
-    '',
-  ].join('\n');
-  fs.appendFileSync(path.join(wsDir, 'changelog.md'), changeEntry, 'utf8');
-
-  // ---- Print result ----
-  info(JSON.stringify({
-    verdict: finalVerdict,
-    round,
-    rubric: rubric ? {
-      average: rubric._average,
-      scored: rubric._scored_dimensions,
-      warnings: rubricWarnings,
-      dimensions: Object.fromEntries(
-        RUBRIC_DIMENSIONS.map(d => [d, rubric[d] || null])
-      ),
-    } : null,
-    newIssues: assignedNewIssues.length,
-    dedupWarnings: dedupWarnings.length,
-    blockers: blockers.length,
-    dedupWarningDetails: dedupWarnings,
-  }, null, 2));
-
-  return finalVerdict === 'APPROVED' ? 0 : 1;
+function cmdMergeIssues(args) {
+  printJson(api.mergeIssues({
+    workspace: args['workspace'],
+    from:      args['from'],
+    into:      args['into'],
+    reason:    args['reason'],
+  }));
+  return 0;
 }
 
-// ---------------------------------------------------------------------------
-// COMMAND: finalize
-// ---------------------------------------------------------------------------
-function cmdFinalize(args) {
-  const wsDir          = args['workspace'];
-  const overrideReason = args['override-reason'];
-  const ciForce        = !!args['ci-force'];
-
-  if (!wsDir) die('--workspace <dir> is required');
-  if (!fs.existsSync(wsDir)) die(`Workspace not found: ${wsDir}`);
-
-  const meta     = getWorkspaceMeta(wsDir);
-  const issues   = getIssues(wsDir);
-  const blockers = getOpenBlockers(issues);
-
-  let forceApproveLog = null;
-
-  if (blockers.length > 0) {
-    if (!overrideReason) {
-      die(
-        `Cannot finalize: ${blockers.length} CRITICAL/HIGH issue(s) still open (${blockers.map(i => i.id).join(', ')}).\n` +
-        'Use --override-reason "text" to force-approve.'
-      );
-    }
-
-    if (overrideReason.length < 10) {
-      die('--override-reason must be at least 10 characters.');
-    }
-
-    const isTTY = process.stdin.isTTY && process.stdout.isTTY;
-
-    if (isTTY && !ciForce) {
-      // Interactive confirmation via readline (no execSync dependency)
-      const warning = [
-        '',
-        '⚠️  FORCE APPROVE: This will bypass unresolved CRITICAL/HIGH issues.',
-        `Unresolved: ${blockers.map(i => `${i.id}(${i.severity})`).join(', ')}`,
-        `Override reason: "${overrideReason}"`,
-        'Type CONFIRM to proceed, or Ctrl-C to abort: ',
-      ].join('\n');
-      process.stderr.write(warning);
-
-      const input = readLineSync();
-      if (input !== 'CONFIRM') {
-        die('Force-approve aborted (did not receive CONFIRM).', 1);
-      }
-    } else if (!ciForce) {
-      // Non-interactive without --ci-force: reject
-      die(
-        'Force-approve in non-interactive mode requires both --override-reason and --ci-force.',
-        2
-      );
-    }
-    // If ciForce is set, skip confirmation (non-interactive CI path)
-
-    forceApproveLog = {
-      actor:             process.env.USER || process.env.CI_ACTOR || 'unknown',
-      reason:            overrideReason,
-      timestamp:         new Date().toISOString(),
-      unresolved_issues: blockers.map(i => i.id),
-      tty_confirmed:     (isTTY && !ciForce),
-      ci_force:          ciForce,
-    };
-
-    // Mark blockers as force-approved
-    for (const iss of issues) {
-      if (blockers.find(b => b.id === iss.id)) {
-        iss.status = 'force-approved';
-        iss.round_resolved = meta.currentRound;
-      }
-    }
-    saveIssues(wsDir, issues);
-  }
-
-  // ---- Find latest plan version ----
-  const planVersions = fs.readdirSync(wsDir)
-    .filter(f => /^plan-v\d+\.md$/.test(f))
-    .sort((a, b) => {
-      const na = parseInt(a.match(/(\d+)/)[1], 10);
-      const nb = parseInt(b.match(/(\d+)/)[1], 10);
-      return na - nb;
-    });
-
-  if (planVersions.length === 0) die('No plan versions found in workspace.');
-  const latestPlan = readFile(path.join(wsDir, planVersions[planVersions.length - 1]));
-
-  // plan-final.md — clean copy without review comments
-  const finalPlan = latestPlan
-    .replace(/<!--[\s\S]*?-->/g, '')  // strip HTML comments
-    .replace(/\n{3,}/g, '\n\n')       // collapse extra blank lines
-    .trim() + '\n';
-  fs.writeFileSync(path.join(wsDir, 'plan-final.md'), finalPlan, 'utf8');
-
-  // ---- Summary ----
-  const totalFound    = issues.length;
-  const totalResolved = issues.filter(i => ['resolved', 'not-applicable', 'force-approved'].includes(i.status)).length;
-  const bySeverity    = { critical: 0, high: 0, medium: 0, low: 0 };
-  for (const iss of issues) {
-    const key = iss.severity.toLowerCase();
-    if (key in bySeverity) bySeverity[key]++;
-  }
-
-  // ---- Aggregate rubric scores across rounds ----
-  let latestRubric = null;
-  for (let r = meta.currentRound; r >= 1; r--) {
-    const roundOutPath = path.join(wsDir, `round-${r}-output.json`);
-    if (fs.existsSync(roundOutPath)) {
-      const roundOut = readJson(roundOutPath);
-      if (roundOut.rubric) {
-        latestRubric = roundOut.rubric;
-        break;
-      }
-    }
-  }
-
-  const isTTY = process.stdin.isTTY && process.stdout.isTTY;
-  const summary = {
-    rounds:            meta.currentRound,
-    plannerModel:      meta.plannerModel,
-    reviewerModel:     meta.reviewerModel,
-    totalIssuesFound:  totalFound,
-    issuesBySeverity:  bySeverity,
-    issuesResolved:    totalResolved,
-    issuesUnresolved:  totalFound - totalResolved,
-    rubric:            latestRubric ? {
-      average:    latestRubric._average,
-      scored:     latestRubric._scored_dimensions,
-      dimensions: Object.fromEntries(
-        RUBRIC_DIMENSIONS.map(d => [d, latestRubric[d] || null])
-      ),
-    } : null,
-    finalVerdict:      blockers.length > 0 && forceApproveLog ? 'FORCE_APPROVED' : 'APPROVED',
-    completedAt:       new Date().toISOString(),
-    force_approve_log: forceApproveLog,
-  };
-  writeJson(path.join(wsDir, 'summary.json'), summary);
-
-  // ---- Finalize changelog ----
-  const finalEntry = [
-    `\n## FINAL — ${summary.completedAt}`,
-    `Verdict: **${summary.finalVerdict}**`,
-    `Rounds: ${summary.rounds}`,
-    `Issues found: ${totalFound} | Resolved: ${totalResolved} | Unresolved: ${summary.issuesUnresolved}`,
-    forceApproveLog ? `Force-approved by: ${forceApproveLog.actor} — "${forceApproveLog.reason}"` : '',
-    '',
-  ].filter(l => l !== undefined).join('\n');
-  fs.appendFileSync(path.join(wsDir, 'changelog.md'), finalEntry, 'utf8');
-
-  // Update meta
-  meta.verdict = summary.finalVerdict;
-  meta.completedAt = summary.completedAt;
-  writeJsonAtomic(path.join(wsDir, 'meta.json'), meta);
-
-  info(JSON.stringify({
-    verdict:        summary.finalVerdict,
-    planFinal:      path.join(wsDir, 'plan-final.md'),
-    summaryJson:    path.join(wsDir, 'summary.json'),
-    changelogMd:    path.join(wsDir, 'changelog.md'),
-    issuesJson:     path.join(wsDir, 'issues.json'),
-    rounds:         summary.rounds,
-    issuesFound:    totalFound,
-    issuesResolved: totalResolved,
-    forceApproved:  !!forceApproveLog,
-  }, null, 2));
-
+function cmdSplitIssue(args) {
+  printJson(api.splitIssue({
+    workspace: args['workspace'],
+    issue:     args['issue'],
+    reason:    args['reason'],
+  }));
   return 0;
 }
 
-// ---------------------------------------------------------------------------
-// COMMAND: status
-// ---------------------------------------------------------------------------
-function cmdStatus(args) {
-  const wsDir = args['workspace'];
-  if (!wsDir) die('--workspace <dir> is required');
-  if (!fs.existsSync(wsDir)) die(`Workspace not found: ${wsDir}`);
-
-  const meta     = getWorkspaceMeta(wsDir);
-  const issues   = getIssues(wsDir);
-  const open     = issues.filter(i => i.status === 'open' || i.status === 'still-open' || i.status === 'regressed');
-  const resolved = issues.filter(i => ['resolved', 'not-applicable', 'force-approved'].includes(i.status));
-  const blockers = getOpenBlockers(issues);
-
-  // Fetch latest rubric from most recent round output
-  let latestRubric = null;
-  for (let r = meta.currentRound; r >= 1; r--) {
-    const roundOutPath = path.join(wsDir, `round-${r}-output.json`);
-    if (fs.existsSync(roundOutPath)) {
-      const roundOut = readJson(roundOutPath);
-      if (roundOut.rubric) {
-        latestRubric = roundOut.rubric;
-        break;
-      }
-    }
-  }
-
-  const out = {
-    workspace:      wsDir,
-    verdict:        meta.verdict,
-    currentRound:   meta.currentRound,
-    reviewerModel:  meta.reviewerModel,
-    plannerModel:   meta.plannerModel,
-    totalIssues:    issues.length,
-    openIssues:     open.length,
-    resolvedIssues: resolved.length,
-    rubric:         latestRubric ? {
-      average:    latestRubric._average,
-      scored:     latestRubric._scored_dimensions,
-      dimensions: Object.fromEntries(
-        RUBRIC_DIMENSIONS.map(d => [d, latestRubric[d] || null])
-      ),
-    } : null,
-    blockers:       blockers.map(i => ({ id: i.id, severity: i.severity, problem: i.problem })),
-    allIssues:      issues.map(i => ({
-      id:       i.id,
-      severity: i.severity,
-      status:   i.status,
-      location: i.location,
-      problem:  i.problem.slice(0, 80) + (i.problem.length > 80 ? '...' : ''),
-    })),
-  };
-
-  info(JSON.stringify(out, null, 2));
-  return meta.verdict === 'APPROVED' || meta.verdict === 'FORCE_APPROVED' ? 0 : 1;
+function cmdDiff(args) {
+  printJson(api.diffPlans({
+    workspace: args['workspace'],
+    from:      args['from'],
+    to:        args['to'],
+  }));
+  return 0;
 }
 
-// ---------------------------------------------------------------------------
-// COMMAND: next-step (alternating mode orchestrator)
-// ---------------------------------------------------------------------------
-function cmdNextStep(args) {
-  const wsDir = args['workspace'];
-  if (!wsDir) die('--workspace <dir> is required');
-
-  // Error states returned as JSON instead of dying (orchestrator needs machine-readable errors)
-  if (!fs.existsSync(wsDir)) {
-    info(JSON.stringify({ action: 'error', reason: `workspace not found: ${wsDir}` }));
-    return 2;
-  }
-
-  const metaPath = path.join(wsDir, 'meta.json');
-  if (!fs.existsSync(metaPath)) {
-    info(JSON.stringify({ action: 'error', reason: 'meta.json missing or corrupt' }));
-    return 2;
-  }
-
-  let meta;
-  try { meta = readJson(metaPath); } catch (e) {
-    info(JSON.stringify({ action: 'error', reason: `meta.json parse error: ${e.message}` }));
-    return 2;
-  }
-
-  const issues = getIssues(wsDir);
-
-  // Sanity: needsRevision but no rounds completed
-  if (meta.needsRevision && meta.currentRound === 0) {
-    info(JSON.stringify({ action: 'error', reason: 'needsRevision set but no rounds completed' }));
-    return 2;
-  }
-
-  // Already finalized?
-  if (meta.verdict === 'APPROVED' || meta.verdict === 'FORCE_APPROVED') {
-    info(JSON.stringify({ action: 'done', reason: 'already approved' }));
-    return 0;
-  }
-
-  const mode = meta.mode || 'static';
-  const round = meta.currentRound;
-  const templateDir = path.join(__dirname, '..', 'templates');
-
-  // --- Round 0: Criteria negotiation (if not yet done) ---
-  const criteriaPhase = meta.criteriaPhase || 'done';  // backward compat: old workspaces skip
-  if (criteriaPhase !== 'done' && round === 0) {
-    const currentPlanVersion = getLatestPlanVersion(wsDir);
-    const planContent = readFile(path.join(wsDir, currentPlanVersion));
-
-    if (criteriaPhase === 'propose') {
-      // Model A proposes criteria
-      const templatePath = path.join(templateDir, 'criteria-propose-prompt.md');
-      let prompt;
-      if (fs.existsSync(templatePath)) {
-        prompt = readFile(templatePath)
-          .replace('{plan_content}', planContent)
-          .replace('{project_context}', meta.projectContext || 'None provided');
-      } else {
-        prompt = `Propose 5 task-specific acceptance criteria for this plan:\n\n${planContent}`;
-      }
-      info(JSON.stringify({
-        action:    'criteria-propose',
-        model:     meta.modelA || meta.plannerModel,
-        prompt,
-        saveTo:    'use save-criteria --phase propose',
-      }));
-      return 0;
-    }
-
-    if (criteriaPhase === 'challenge') {
-      // Model B challenges/refines criteria
-      const proposedPath = path.join(wsDir, 'criteria-proposed.json');
-      if (!fs.existsSync(proposedPath)) {
-        info(JSON.stringify({ action: 'error', reason: 'criteria-proposed.json missing — run save-criteria --phase propose first' }));
-        return 2;
-      }
-      const proposed = readJson(proposedPath);
-      const templatePath = path.join(templateDir, 'criteria-challenge-prompt.md');
-      let prompt;
-      if (fs.existsSync(templatePath)) {
-        prompt = readFile(templatePath)
-          .replace('{plan_content}', planContent)
-          .replace('{project_context}', meta.projectContext || 'None provided')
-          .replace('{proposed_criteria_json}', JSON.stringify(proposed, null, 2));
-      } else {
-        prompt = `Challenge these proposed criteria:\n${JSON.stringify(proposed, null, 2)}\n\nPlan:\n${planContent}`;
-      }
-      info(JSON.stringify({
-        action:    'criteria-challenge',
-        model:     meta.modelB || meta.reviewerModel,
-        prompt,
-        saveTo:    'use save-criteria --phase challenge',
-      }));
-      return 0;
-    }
-  }
-
-  // --- Determine state ---
-  // needsRevision: last parse-round returned REVISE, writer hasn't produced next plan yet
-  if (meta.needsRevision) {
-    // Writer needs to produce plan-v(round+1).md
-    const nextPlanVersion = round + 1;
-    const nextPlanPath = path.join(wsDir, `plan-v${nextPlanVersion}.md`);
-
-    // Who writes? In alternating: the reviewer of the last round (they implement their own fixes)
-    // Round N reviewer: odd=B, even=A. So the writer for revision after round N is:
-    let writerModel;
-    if (mode === 'alternating') {
-      writerModel = (round % 2 === 1) ? meta.modelB : meta.modelA;
-    } else {
-      writerModel = meta.plannerModel;  // static mode: planner always writes
-    }
-
-    // Build writer prompt
-    const currentPlanVersion = getLatestPlanVersion(wsDir);
-    const planContent = readFile(path.join(wsDir, currentPlanVersion));
-
-    // Get last round's review summary
-    const roundOutPath = path.join(wsDir, `round-${round}-output.json`);
-    let reviewSummary = 'No review summary available.';
-    if (fs.existsSync(roundOutPath)) {
-      const roundOut = readJson(roundOutPath);
-      reviewSummary = roundOut.summary || reviewSummary;
-    }
-
-    // Get open issues
-    const openIssues = issues
-      .filter(i => ['open', 'still-open', 'regressed'].includes(i.status))
-      .map(i => `- [${i.severity}] ${i.id}: ${i.location} — ${i.problem}\n  Fix: ${i.fix}`)
-      .join('\n');
-
-    // Load writer prompt template
-    const writerTemplatePath = path.join(templateDir, 'writer-prompt.md');
-    let writerPrompt;
-    if (fs.existsSync(writerTemplatePath)) {
-      writerPrompt = readFile(writerTemplatePath)
-        .replace('{plan_content}', planContent)
-        .replace('{review_summary}', reviewSummary)
-        .replace('{open_issues}', openIssues || 'No open issues.');
-    } else {
-      writerPrompt = `Rewrite this plan addressing the review feedback.\n\nPlan:\n${planContent}\n\nFeedback: ${reviewSummary}\n\nIssues:\n${openIssues}`;
-    }
-
-    info(JSON.stringify({
-      action:      'revise',
-      model:       writerModel,
-      round:       round,
-      planVersion: nextPlanVersion,
-      saveTo:      nextPlanPath,
-      prompt:      writerPrompt,
-    }));
-    return 0;
-  }
-
-  // Not pending revision — need to do a review
-  const nextRound = round + 1;
-
-  // Max rounds check
-  if (nextRound > meta.maxRounds) {
-    info(JSON.stringify({ action: 'max-rounds', reason: `reached max rounds (${meta.maxRounds})`, round }));
-    return 1;
-  }
-
-  // Who reviews?
-  let reviewerModel;
-  if (mode === 'alternating') {
-    // Odd rounds: B reviews. Even rounds: A reviews.
-    reviewerModel = (nextRound % 2 === 1) ? meta.modelB : meta.modelA;
-  } else {
-    reviewerModel = meta.reviewerModel;
-  }
-
-  // Build reviewer prompt
-  const currentPlanVersion = getLatestPlanVersion(wsDir);
-  const planContent = readFile(path.join(wsDir, currentPlanVersion));
-
-  // Choose template
-  const templateName = (mode === 'alternating') ? 'alternating-reviewer-prompt.md' : 'reviewer-prompt.md';
-  const templatePath = path.join(templateDir, templateName);
-  let reviewerPrompt;
-
-  const priorIssuesJson = (issues.length === 0)
-    ? '"First review — no prior issues"'
-    : JSON.stringify(issues.map(i => ({
-        id: i.id, severity: i.severity, location: i.location,
-        problem: i.problem, fix: i.fix, status: i.status, round_found: i.round_found,
-      })), null, 2);
-
-  // Build criteria section for injection
-  let criteriaSection = '';
-  if (meta.criteria && Array.isArray(meta.criteria) && meta.criteria.length > 0) {
-    criteriaSection = '\n\n## Task-Specific Acceptance Criteria (agreed in Round 0)\n\n'
-      + 'In ADDITION to the standard rubric, evaluate the plan against these task-specific criteria.\n'
-      + 'For each criterion, note PASS or FAIL with brief evidence in your summary.\n\n'
-      + meta.criteria.map(c => `- **${c.id}**: ${c.description} (risk if missed: ${c.risk_if_missed})`).join('\n')
-      + '\n';
-  }
-
-  if (fs.existsSync(templatePath)) {
-    const contextWithCriteria = (meta.projectContext || 'None provided') + criteriaSection;
-    reviewerPrompt = readFile(templatePath)
-      .replace('{plan_content}', planContent)
-      .replace('{round}', String(nextRound))
-      .replace('{prior_issues_json}', priorIssuesJson)
-      .replace('{codebase_context_or_"None provided"}', contextWithCriteria)
-      .replace('{project_context}', contextWithCriteria);
+function cmdExport(args) {
+  const result = api.exportIssues({
+    workspace: args['workspace'],
+    format:    args['format'],
+    out:       args['out'],
+  });
+  if (result.out) {
+    const { content, ...rest } = result;
+    printJson(rest);
   } else {
-    reviewerPrompt = `Review this plan (round ${nextRound}):\n\n${planContent}\n\nPrior issues: ${priorIssuesJson}${criteriaSection}`;
+    process.stdout.write(result.content);
   }
+  return 0;
+}
 
-  info(JSON.stringify({
-    action:      'review',
-    model:       reviewerModel,
-    round:       nextRound,
-    planVersion: currentPlanVersion,
-    prompt:      reviewerPrompt,
+function cmdReport(args) {
+  printJson(api.report({
+    workspace: args['workspace'],
+    format:    args['format'],
+    out:       args['out'],
   }));
   return 0;
 }
 
-// Helper: find latest plan-vN.md in workspace
-function getLatestPlanVersion(wsDir) {
-  const planVersions = fs.readdirSync(wsDir)
-    .filter(f => /^plan-v\d+\.md$/.test(f))
-    .sort((a, b) => {
-      const na = parseInt(a.match(/(\d+)/)[1], 10);
-      const nb = parseInt(b.match(/(\d+)/)[1], 10);
-      return na - nb;
-    });
-  if (planVersions.length === 0) die('No plan versions found in workspace.');
-  return planVersions[planVersions.length - 1];
+function cmdList(args) {
+  const format = args['format'] || 'json';
+  if (!['json', 'table'].includes(format)) throw new api.UsageError('--format must be "json" or "table"');
+  const result = api.listWorkspaces({
+    out:         args['out'],
+    verdict:     args['verdict'],
+    mode:        args['mode'],
+    model:       args['model'],
+    since:       args['since'],
+    until:       args['until'],
+    minBlockers: args['min-blockers'],
+    maxBlockers: args['max-blockers'],
+    title:       args['title'],
+    stale:       !!args['stale'],
+    staleDays:   args['stale-days'],
+    sort:        args['sort'],
+    order:       args['order'],
+  });
+  if (format === 'table') info(formatTable(result));
+  else printJson(result);
+  return 0;
 }
 
-// ---------------------------------------------------------------------------
-// COMMAND: save-criteria (save criteria from Round 0 negotiation)
-// ---------------------------------------------------------------------------
-function cmdSaveCriteria(args) {
-  const wsDir    = args['workspace'];
-  const respPath = args['response'];
-  const phase    = args['phase'];  // 'propose' or 'challenge'
-
-  if (!wsDir)    die('--workspace <dir> is required');
-  if (!respPath) die('--response <file> is required');
-  if (!phase || !['propose', 'challenge'].includes(phase)) die('--phase must be "propose" or "challenge"');
-  if (!fs.existsSync(wsDir))    die(`Workspace not found: ${wsDir}`);
-  if (!fs.existsSync(respPath)) die(`Response file not found: ${respPath}`);
+function cmdStats(args) {
+  printJson(api.stats({
+    out:   args['out'],
+    since: args['since'],
+    until: args['until'],
+    mode:  args['mode'],
+  }));
+  return 0;
+}
 
-  const meta = getWorkspaceMeta(wsDir);
-  const respContent = readFile(respPath);
+function cmdTemplates(args) {
+  const out = api.listTemplates({
+    workspace:   args['workspace'],
+    profile:     args['profile'],
+    templateDir: args['template-dir'],
+    root:        args['context-root'],
+  });
+  printJson(out);
+  return out.ok ? 0 : 2;
+}
 
-  // Parse JSON response (strip markdown fences if present)
-  let parsed;
-  try {
-    const cleaned = respContent.replace(/^```(?:json)?\s*/m, '').replace(/\s*```\s*$/m, '').trim();
-    parsed = JSON.parse(cleaned);
-  } catch (e) {
-    die(`Failed to parse criteria response: ${e.message}`, 1);
+function cmdIssue(args) {
+  const sub = args._[1];
+  const format = args['format'] || 'json';
+  if (sub === 'show') {
+    if (!['json', 'text'].includes(format)) throw new api.UsageError('--format must be "json" or "text"');
+    const out = api.showIssue({ workspace: args['workspace'], id: args._[2] || args['issue'] });
+    if (format === 'text') info(formatIssue(out));
+    else printJson(out);
+    return 0;
   }
-
-  if (phase === 'propose') {
-    // Store proposed criteria, advance to challenge phase
-    writeJson(path.join(wsDir, 'criteria-proposed.json'), parsed);
-    meta.criteriaPhase = 'challenge';
-    writeJsonAtomic(path.join(wsDir, 'meta.json'), meta);
-    fs.appendFileSync(path.join(wsDir, 'changelog.md'),
-      `\n## Round 0a — Criteria Proposed — ${new Date().toISOString()}\n${parsed.criteria.length} criteria proposed\nScope: ${parsed.scope_boundary || 'not specified'}\n\n`, 'utf8');
-    info(JSON.stringify({ phase: 'propose', saved: true, criteriaCount: parsed.criteria.length }));
-  } else {
-    // Challenge phase: store final criteria, mark done
-    const finalCriteria = parsed.final_criteria || parsed.criteria || [];
-    writeJson(path.join(wsDir, 'criteria-final.json'), {
-      criteria: finalCriteria,
-      scope_boundary: parsed.scope_boundary || '',
-      challenges: parsed.challenges || [],
+  if (sub === 'list') {
+    if (!['json', 'table'].includes(format)) throw new api.UsageError('--format must be "json" or "table"');
+    const out = api.listIssues({
+      workspace: args['workspace'],
+      severity:  args['severity'],
+      status:    args['status'],
+      location:  args['location'],
+      round:     args['round'],
     });
-    meta.criteria = finalCriteria;
-    meta.criteriaPhase = 'done';
-    writeJsonAtomic(path.join(wsDir, 'meta.json'), meta);
-    fs.appendFileSync(path.join(wsDir, 'changelog.md'),
-      `\n## Round 0b — Criteria Finalized — ${new Date().toISOString()}\n${finalCriteria.length} criteria agreed\nScope: ${parsed.scope_boundary || 'not specified'}\n\n`, 'utf8');
-    info(JSON.stringify({ phase: 'challenge', saved: true, criteriaCount: finalCriteria.length }));
+    if (format === 'table') info(formatIssueTable(out));
+    else printJson(out);
+    return 0;
   }
+  throw new api.UsageError('issue needs a subcommand: show <issue-id> or list');
+}
 
+function cmdTriage(args) {
+  printJson(api.triageIssue({
+    workspace: args['workspace'],
+    action:    args._[1],
+    id:        args._[2] || args['issue'],
+    reason:    args['reason'],
+    actor:     args['actor'],
+  }), false);
   return 0;
 }
 
-// ---------------------------------------------------------------------------
-// COMMAND: save-plan (save a revised plan from writer sub-agent)
-// ---------------------------------------------------------------------------
-function cmdSavePlan(args) {
-  const wsDir   = args['workspace'];
-  const planPath = args['plan'];
-  const version  = parseInt(args['version'], 10);
-
-  if (!wsDir)   die('--workspace <dir> is required');
-  if (!planPath) die('--plan <file> is required');
-  if (!version || isNaN(version)) die('--version <n> is required');
-  if (!fs.existsSync(wsDir))    die(`Workspace not found: ${wsDir}`);
-  if (!fs.existsSync(planPath)) die(`Plan file not found: ${planPath}`);
-
-  const planContent = readFile(planPath);
-
-  // Validate: reject empty/garbage output
-  if (planContent.length < 50) {
-    die(`Plan file too small (${planContent.length} bytes) — likely empty or failed output. Min 50 bytes.`, 1);
-  }
-  if (!/^#\s/m.test(planContent)) {
-    die('Plan file contains no markdown heading (# ...). Likely not a valid plan.', 1);
-  }
-
-  const destPath = path.join(wsDir, `plan-v${version}.md`);
-  fs.writeFileSync(destPath, planContent, 'utf8');
-
-  // Update meta: revision done, ready for next review
-  const meta = getWorkspaceMeta(wsDir);
-  meta.needsRevision = false;
-  writeJsonAtomic(path.join(wsDir, 'meta.json'), meta);
-
-  // Append to changelog
-  const entry = `\n## Plan v${version} — ${new Date().toISOString()}\nRevised plan saved (${planContent.length} chars)\n`;
-  fs.appendFileSync(path.join(wsDir, 'changelog.md'), entry, 'utf8');
-
-  info(JSON.stringify({ saved: destPath, version, chars: planContent.length }));
+function cmdRewind(args) {
+  printJson(api.rewind({
+    workspace: args['workspace'],
+    toRound:   args['to-round'],
+    reason:    args['reason'],
+  }));
   return 0;
 }
 
@@ -1168,31 +412,83 @@ Usage: node review.js <command> [options]
 Commands:
   init           Create a review workspace
   parse-round    Parse a reviewer response, update issue tracker
+  aggregate      Merge a complete review panel's responses into the round verdict (panel mode)
   finalize       Generate plan-final.md, changelog.md, summary.json
   status         Print current workspace state
   next-step      Get next action for autonomous loop (any mode)
   save-plan      Save a revised plan version from writer output
   save-criteria  Save Round 0 criteria (propose or challenge phase)
+  run            Drive next-step until done/max-rounds/stalled via model adapters
+  add-context    Snapshot more repo files into the workspace's codebase context
+  merge-issues   Merge a duplicate issue into another (e.g. after a dedup warning)
+  split-issue    Undo a merge, restoring the duplicate as a separate issue
+  diff           Section-aware diff between two plan versions, linked to issues
+  rewind         Roll a workspace back to the state right after an earlier round
+  export         Export issues as SARIF or JUnit XML for CI dashboards
+  report         Write a self-contained HTML report of the review
+  list           List review workspaces with filters (verdict, model, date, blockers, title)
+  stats          Aggregate metrics per reviewer model, model pair and mode across workspaces
+  templates      Show which prompt templates apply, their placeholders and any problems
+  issue          issue show <id>: one issue's status history and plan sections; issue list: filtered issues
+  triage         Waive (accept the risk), dispute (reviewer must answer) or reopen a single issue
 
 Global options:
   --help         Show this help
 
 init options:
   --plan <file>            Path to plan file (required)
-  --mode <m>               "static" (default) or "alternating"
+  --mode <m>               "static" (default), "alternating" or "panel"
   --reviewer-model <m>     Reviewer model (static mode, required)
-  --planner-model <m>      Planner model (static mode, required)
+  --planner-model <m>      Planner model (static and panel mode, required)
+  --reviewers <a,b,...>    Panel reviewers, each from a different provider (panel mode, at least 2)
+  --panel-policy <p>       Panel verdict: unanimous (default), majority or any-critical
   --model-a <m>            Model A — writes first, reviews second (alternating mode)
   --model-b <m>            Model B — reviews first, writes second (alternating mode)
   --project-context <s>    Brief project context for reviewer calibration
   --out <dir>              Output base directory (default: tasks/reviews)
   --max-rounds <n>         Maximum rounds (default: 5 static, 8 alternating)
-  --token-budget <n>       Token budget for codebase context (default: 8000)
+  --max-repairs <n>        Repair prompts per unparseable review response before next-step returns error (default: 2)
+  --stall-window <n>       Rounds checked for a stalled loop before each revision (default: 3, 0 = off)
+  --token-budget <n>       Token budget per generated prompt (default: 8000)
+  --context-files <globs>  Comma-separated repo globs to snapshot as codebase context (e.g. "src/**/*.js,README.md")
+  --context-root <dir>     Directory the context globs are relative to (default: cwd)
+  --dedup-threshold <x>    Similarity (0-1] at which new issues are flagged as duplicates (default: 0.5)
+  --profile <p>            Review profile: default, security, data-migration, frontend, mvp, or a
+                           profile JSON file (rubric dimensions, weights, categories, template overrides)
+  --policy <file>          Approval policy JSON: blockingSeverities, categorySeverities, minRubricAverage,
+                           minDimensionScores, failedCriteriaBlock (default: block on open CRITICAL/HIGH
+                           issues and failing criteria)
+  --block-on <sevs>        Severities that block approval, e.g. "CRITICAL" (overrides the policy file)
+  --min-rubric-average <x> Minimum rubric average (0-5) for approval (overrides the policy file)
+  --families <file>        Provider-family registry JSON: exact IDs, prefixes, aliases, gateways, sameFamily
+                           groups (default: .cross-model-review/families.json under --context-root, if present)
+  --unknown-family <p>     "warn" (default) or "fail" when a model's provider family cannot be told
+  --template-dir <dir>     Prompt template overrides, looked up per file before the bundled templates
+                           (default: .cross-model-review/templates under --context-root, if present)
+  --screening <m>          "warn" (default) or "strict": prompt-injection findings in a plan (delimiter copies,
+                           "ignore previous instructions", JSON verdicts, role markers) also open a CRITICAL issue
+  --accountability <m>     "warn" (default) or "strict": a review whose prior_issues omit an open issue, name an
+                           unknown ID or make an illegal transition is rejected for repair instead of flagged
 
 parse-round options:
   --workspace <dir>        Path to review workspace (required)
   --round <n>              Round number (required)
   --response <file>        Path to raw reviewer response file (required)
+  --reviewer <model>       Panel mode: the panelist that wrote the response (required in panel mode)
+  --step-token <t>         stepToken from the next-step that asked for this review (required once next-step has issued one)
+  --dedup-threshold <x>    Override the workspace dedup threshold for this round
+  Rounds must be submitted in order; replaying a parsed round is rejected
+  Open issues missing from prior_issues, unknown IDs and illegal transitions (still-open on a resolved
+  issue, any status for a force-approved one) are reported as anomalies; illegal updates are not applied
+  A response that is not valid JSON or fails the schema exits 2 and is kept as round-N-invalid-A.txt;
+  the next next-step returns a repair action for it
+
+aggregate options:
+  --workspace <dir>        Path to review workspace (required)
+  --round <n>              Round to aggregate (default: the round under review)
+  --dedup-threshold <x>    Similarity at which panelists' issues are folded together / flagged
+  Fails until every panelist has submitted. Issues reported by several panelists become one
+  issue with raised_by listing them; the verdict follows the workspace's panel policy
 
 finalize options:
   --workspace <dir>        Path to review workspace (required)
@@ -1204,30 +500,165 @@ status options:
 
 next-step options:
   --workspace <dir>        Path to review workspace (required)
-  Returns actions including: criteria-propose, criteria-challenge, review, revise, done, max-rounds
+  --ignore-stall           Revise anyway after a stalled action (the next round is checked again)
+  --reason <s>             Why, recorded in changelog.md with --ignore-stall
+  Returns actions including: criteria-propose, criteria-challenge, review, repair, aggregate, revise, done, max-rounds, stalled
+  stalled (exit 1): over the last --stall-window rounds an issue kept coming back after being resolved,
+  the rubric average fell every round, or the open-issue count rose every round; diagnosis lists the
+  signals and per-round figures. Escalate (finalize --override-reason, fix by hand, rewind) or --ignore-stall
+  repair: the last review response failed to parse; its prompt quotes that output and the schema errors
+  (attempt, maxRepairs, errors). Answer it with parse-round like a review. Once --max-repairs repairs
+  have failed too, next-step returns error with the repair record instead
+  Prompt-bearing actions include tokens: { estimated, budget, trimmed, overBudget }
+  Review prompts with codebase context add tokens.context: { included, omitted }
+  Actions answered by parse-round, save-plan or save-criteria carry a stepToken to pass back
 
 save-criteria options:
   --workspace <dir>        Path to review workspace (required)
   --response <file>        Path to raw criteria response file (required)
   --phase <p>              Criteria phase: propose or challenge
+  --step-token <t>         stepToken from the next-step that asked for these criteria
 
 save-plan options:
   --workspace <dir>        Path to review workspace (required)
   --plan <file>            Path to revised plan file (required)
-  --version <n>            Plan version number (required, e.g. 2, 3, 4)
+  --version <n>            Plan version number (required, e.g. 2, 3, 4); existing versions are never overwritten
+  --step-token <t>         stepToken from the next-step that asked for this revision
+
+run options:
+  --workspace <dir>        Path to review workspace (required)
+  --adapters <file>        JSON adapter config: { "adapters": [{ "models": ["openai*"], "type": "shell", "command": "..." }] }
+  --fixtures <dir>         Catch-all stub adapter serving canned responses (review-1.json, revise-2.md, ...)
+  --retries <n>            Retries per step after a model or parse failure (default: 1)
+
+add-context options:
+  --workspace <dir>        Path to review workspace (required)
+  --files <globs>          Comma-separated repo globs to snapshot (required)
+  --root <dir>             Directory the globs are relative to (default: root used at init, else cwd)
+
+merge-issues options:
+  --workspace <dir>        Path to review workspace (required)
+  --from <id>              Duplicate issue to fold away (required, e.g. ISS-007)
+  --into <id>              Issue that survives (required, e.g. ISS-003)
+  --reason <s>             Why they are duplicates (recorded in merges.json and changelog)
+
+split-issue options:
+  --workspace <dir>        Path to review workspace (required)
+  --issue <id>             Merged issue to restore (required)
+  --reason <s>             Why the merge was wrong
+
+diff options:
+  --workspace <dir>        Path to review workspace (required)
+  --from <n>               Older plan version (default: the one before --to)
+  --to <n>                 Newer plan version (default: latest)
+  Reports added/removed/modified sections with line diffs, and for each issue the
+  writer was asked to fix, the sections its location points at and whether they changed
+
+rewind options:
+  --workspace <dir>        Path to review workspace (required)
+  --to-round <n>           Completed round to return to (required; 0 = before the first review)
+  --reason <s>             Why (recorded in changelog.md)
+  Restores issues.json as it was after round n, moves later plan versions, round files and
+  finalize output into rewound/<timestamp>/, and resets currentRound, verdict and needsRevision
+
+export options:
+  --workspace <dir>        Path to review workspace (required)
+  --format <f>             "sarif" or "junit" (required)
+  --out <file>             Write the report here and print a JSON summary (default: report to stdout)
+  One SARIF rule / JUnit suite per issue category; plan locations become logical locations.
+  Force-approved issues are SARIF suppressions and skipped JUnit cases; JUnit fails only the
+  open issues that block approval
+
+report options:
+  --workspace <dir>        Path to review workspace (required)
+  --format <f>             "html" (default)
+  --out <file>             Output file (default: <workspace>/report.html)
+  One offline file: round timeline, rubric charts, issue lifecycles, criteria negotiation
+  (including rejected proposals), side-by-side plan diffs and any force-approve log
+
+list options:
+  --out <dir>              Reviews directory (default: tasks/reviews)
+  --verdict <v>            APPROVED, REVISE, FORCE_APPROVED or PENDING (comma-separated)
+  --mode <m>               static, alternating or panel
+  --model <s>              Any model on the workspace contains this text
+  --since <date>           Created on or after (YYYY-MM-DD or ISO timestamp)
+  --until <date>           Created on or before
+  --min-blockers <n>       At least n open blockers (under the workspace's approval policy)
+  --max-blockers <n>       At most n open blockers
+  --title <s>              Plan title (first heading) contains this text
+  --stale                  Only workspaces awaiting revision and idle for --stale-days
+  --stale-days <n>         Idle days before such a workspace is flagged stale (default: 7)
+  --sort <f>               created (default), updated, idle, blockers, rounds, title, verdict, mode
+  --order <o>              asc or desc (default: desc for dates and counts, asc for text)
+  --format <f>             "json" (default) or "table"
+
+stats options:
+  --out <dir>              Reviews directory (default: tasks/reviews)
+  --since <date>           Only workspaces created on or after (YYYY-MM-DD or ISO timestamp)
+  --until <date>           Only workspaces created on or before
+  --mode <m>               Only static, alternating or panel workspaces
+  Returns { totals, byReviewer, byPair, byMode, dimensions }: severity distribution and what
+  became of each reviewer's issues (resolution, not-applicable and regression rates), rounds
+  to approval, force-approve rate, and final rubric scores per dimension, lowest first
+
+templates options:
+  --workspace <dir>        Report the templates a workspace renders (its profile and template directory)
+  --template-dir <dir>     Otherwise: template directory to check (default: .cross-model-review/templates)
+  --profile <p>            Review profile whose template overrides apply (default: default)
+  --context-root <dir>     Project root searched for .cross-model-review/templates (default: cwd)
+  Placeholders are {name}, or {name_or_"fallback"} for text used when the value is empty;
+  {{name}} is a literal {name}. Unknown placeholders and a missing {plan_content} ({original_output} and
+  {validation_errors} in repair-prompt.md) are errors (exit 2)
+
+issue options:
+  issue show <id>          Print the issue, every status report on it (round, reviewer or command, status,
+                           evidence) and the sections of the latest plan its location points at
+  issue list               List the workspace's issues
+  --workspace <dir>        Path to review workspace (required)
+  --severity <s>           CRITICAL, HIGH, MEDIUM or LOW (comma-separated; list)
+  --status <s>             Statuses, e.g. "open,still-open,regressed" (comma-separated; list)
+  --location <s>           Location contains this text, case-insensitive (list)
+  --round <n>              Found in this round (list)
+  --format <f>             "json" (default), "text" (show) or "table" (list)
+
+triage options:
+  triage waive <id>        Accept an open issue as a risk: status waived, no longer blocks, listed in summary.json
+  triage dispute <id>      Contest an open issue: status disputed (still blocks); the next review must answer --reason
+  triage reopen <id>       Reopen a resolved, not-applicable or waived issue (an approved workspace goes back to REVISE)
+  --workspace <dir>        Path to review workspace (required)
+  --reason <s>             Why (min 10 chars); for dispute, the counter-argument shown to the reviewer (required)
+  --actor <name>           Who decided (default: $USER / $CI_ACTOR)
+  A review or revision handed out before the decision is withdrawn; run next-step again
 
 Exit codes:
   0   Approved / OK
   1   Revise / Unapproved
-  2   Error (parse failure, bad flags, etc.)
+  2   Error (parse failure, bad flags, out-of-sequence submission, workspace locked, etc.)
+
+Commands that change a workspace hold <workspace>/.lock while they run; a second one waits
+briefly, then fails naming the holder. A lock left by a dead process is taken over.
 
 Examples:
   node review.js init --plan /tmp/plan.md --reviewer-model openai-codex/gpt-5.4 --planner-model anthropic/claude-opus-4-6
   node review.js init --plan "/tmp/my plan.md" --mode alternating --model-a anthropic/claude-opus-4-6 --model-b openai-codex/gpt-5.4 --max-rounds 3 --token-budget 4000
+  node review.js init --plan /tmp/plan.md --mode panel --reviewers openai-codex/gpt-5.4,google/gemini-2.5-pro --planner-model anthropic/claude-opus-4-6 --panel-policy majority
+  node review.js init --plan /tmp/plan.md --reviewer-model acme/large --planner-model anthropic/claude-opus-4-6 --families families.json --unknown-family fail
   node review.js save-criteria --workspace tasks/reviews/2025-01-01T00-00-00-abc123 --response /tmp/criteria.json --phase propose
   node review.js parse-round --workspace tasks/reviews/2025-01-01T00-00-00-abc123 --round 1 --response /tmp/resp.json
+  node review.js issue show ISS-003 --workspace tasks/reviews/2025-01-01T00-00-00-abc123 --format text
+  node review.js issue list --workspace tasks/reviews/2025-01-01T00-00-00-abc123 --severity CRITICAL,HIGH --status open,regressed --format table
+  node review.js triage waive ISS-004 --workspace tasks/reviews/2025-01-01T00-00-00-abc123 --reason "Internal tool, rate limiting is out of scope"
   node review.js finalize --workspace tasks/reviews/2025-01-01T00-00-00-abc123
   node review.js status --workspace tasks/reviews/2025-01-01T00-00-00-abc123
+  node review.js run --workspace tasks/reviews/2025-01-01T00-00-00-abc123 --adapters adapters.json
+  node review.js diff --workspace tasks/reviews/2025-01-01T00-00-00-abc123 --from 2 --to 3
+  node review.js rewind --workspace tasks/reviews/2025-01-01T00-00-00-abc123 --to-round 2 --reason "writer dropped the rollout section"
+  node review.js export --workspace tasks/reviews/2025-01-01T00-00-00-abc123 --format sarif --out review.sarif
+  node review.js templates --template-dir .cross-model-review/templates
+  node review.js report --workspace tasks/reviews/2025-01-01T00-00-00-abc123 --format html
+  node review.js list --out tasks/reviews --title auth --since 2025-01-01 --format table
+  node review.js stats --out tasks/reviews --since 2025-01-01
+  node review.js add-context --workspace tasks/reviews/2025-01-01T00-00-00-abc123 --files "src/auth/**"
 `.trim();
   console.log(text);
 }
@@ -1235,6 +666,30 @@ Examples:
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
+const COMMANDS = {
+  'init':          cmdInit,
+  'parse-round':   cmdParseRound,
+  'aggregate':     cmdAggregate,
+  'finalize':      cmdFinalize,
+  'status':        cmdStatus,
+  'next-step':     cmdNextStep,
+  'save-plan':     cmdSavePlan,
+  'save-criteria': cmdSaveCriteria,
+  'run':           cmdRun,
+  'add-context':   cmdAddContext,
+  'merge-issues':  cmdMergeIssues,
+  'split-issue':   cmdSplitIssue,
+  'diff':          cmdDiff,
+  'rewind':        cmdRewind,
+  'export':        cmdExport,
+  'report':        cmdReport,
+  'list':          cmdList,
+  'stats':         cmdStats,
+  'templates':     cmdTemplates,
+  'issue':         cmdIssue,
+  'triage':        cmdTriage,
+};
+
 function main() {
   const argv = process.argv.slice(2);
   const args = parseArgs(argv);
@@ -1245,22 +700,27 @@ function main() {
     process.exit(0);
   }
 
+  const handler = COMMANDS[cmd];
+  if (!handler) {
+    console.error(`Unknown command: ${cmd}`);
+    printHelp();
+    process.exit(2);
+  }
+
   let exitCode;
-  switch (cmd) {
-    case 'init':        exitCode = cmdInit(args); break;
-    case 'parse-round': exitCode = cmdParseRound(args); break;
-    case 'finalize':    exitCode = cmdFinalize(args); break;
-    case 'status':      exitCode = cmdStatus(args); break;
-    case 'next-step':   exitCode = cmdNextStep(args); break;
-    case 'save-plan':      exitCode = cmdSavePlan(args); break;
-    case 'save-criteria':  exitCode = cmdSaveCriteria(args); break;
-    default:
-      console.error(`Unknown command: ${cmd}`);
-      printHelp();
-      process.exit(2);
+  try {
+    exitCode = handler(args);
+  } catch (e) {
+    if (!(e instanceof ReviewError)) throw e;
+    if (e.errors && e.errors.length) {
+      console.error('Schema validation errors:');
+      e.errors.forEach(err => console.error(`  - ${err}`));
+    }
+    console.error(`ERROR: ${e.message}`);
+    process.exit(e.exitCode);
   }
 
   process.exit(exitCode || 0);
 }
 
-main();
+if (require.main === module) main();